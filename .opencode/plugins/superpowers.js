@@ -1,36 +1,51 @@
 /**
  * Superpowers plugin for OpenCode.ai
  *
- * Injects superpowers bootstrap context via system prompt transform.
- * Skills are discovered via OpenCode's native skill tool from symlinked directory.
+ * Injects superpowers bootstrap context via system prompt transform, and
+ * registers find_skills/use_skill tools that search project, personal and
+ * superpowers skills directly - no skills symlink needed.
+ *
+ * Honors skills.roots and skills.disabled from .superpowers/config.json.
+ *
+ * The tools need @opencode-ai/plugin, declared in .opencode/package.json
+ * (see .opencode/INSTALL.md). Without it the bootstrap is still injected.
  */
 
 import path from 'path';
 import fs from 'fs';
 import os from 'os';
 import { fileURLToPath } from 'url';
+import {
+  LOCKFILE_NAME,
+  SkillDependencyError,
+  findSkillsInRoots,
+  parseFrontmatter,
+  parseSkillRoots,
+  rankSkills,
+  readLockFile,
+  resolveSkillWithDependencies,
+  rewriteToolNames,
+  stripFrontmatter
+} from '../../lib/skills-core.js';
+import { generateBootstrap } from '../../lib/bootstrap.js';
+import { isSkillDisabled, loadConfigOrDefault } from '../../scripts/teams-helpers/config.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Simple frontmatter extraction (avoid dependency on skills-core for bootstrap)
+// Optional, so a missing install costs the tools, not the whole plugin
+const { tool } = await import('@opencode-ai/plugin/tool').catch((error) => {
+  console.error(`superpowers: find_skills and use_skill are disabled (${error.message}). Run npm install in ${path.dirname(__dirname)}.`);
+  return { tool: null };
+});
+
+// Same frontmatter parser as skills-core, so skills get identical metadata on every platform
 const extractAndStripFrontmatter = (content) => {
-  const match = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
-  if (!match) return { frontmatter: {}, content };
-
-  const frontmatterStr = match[1];
-  const body = match[2];
-  const frontmatter = {};
-
-  for (const line of frontmatterStr.split('\n')) {
-    const colonIdx = line.indexOf(':');
-    if (colonIdx > 0) {
-      const key = line.slice(0, colonIdx).trim();
-      const value = line.slice(colonIdx + 1).trim().replace(/^["']|["']$/g, '');
-      frontmatter[key] = value;
-    }
+  try {
+    const { data, body } = parseFrontmatter(content);
+    return { frontmatter: data, content: body };
+  } catch (error) {
+    return { frontmatter: {}, content: stripFrontmatter(content) };
   }
-
-  return { frontmatter, content: body };
 };
 
 // Normalize a path: trim whitespace, expand ~, resolve to absolute
@@ -46,44 +61,157 @@ const normalizePath = (p, homeDir) => {
   return path.resolve(normalized);
 };
 
+// True when p is dir or inside it, following symlinks
+const isInside = (p, dir) => {
+  try {
+    const real = fs.realpathSync(p);
+    const realDir = fs.realpathSync(dir);
+    return real === realDir || real.startsWith(realDir + path.sep);
+  } catch (error) {
+    return false;
+  }
+};
+
 export const SuperpowersPlugin = async ({ client, directory }) => {
   const homeDir = os.homedir();
   const superpowersSkillsDir = path.resolve(__dirname, '../../skills');
   const envConfigDir = normalizePath(process.env.OPENCODE_CONFIG_DIR, homeDir);
   const configDir = envConfigDir || path.join(homeDir, '.config/opencode');
+  const projectDir = directory || process.cwd();
+
+  // .superpowers/config.json (user and project). A broken file should not take the tools down.
+  const getConfig = () => loadConfigOrDefault({ projectDir, homeDir });
+
+  // Search path, highest priority first: project, personal, extra roots, superpowers
+  const getSkillRoots = (config = getConfig()) => {
+    const envRoots = parseSkillRoots(process.env.SUPERPOWERS_SKILL_ROOTS);
+    const configRoots = config.skills.roots.filter(root => !envRoots.some(envRoot => envRoot.name === root.name));
+    return parseSkillRoots([
+      { name: 'project', dir: path.join(projectDir, '.opencode/skills') },
+      { name: 'personal', dir: path.join(configDir, 'skills') },
+      ...envRoots,
+      ...configRoots,
+      { name: 'superpowers', dir: superpowersSkillsDir }
+    ]);
+  };
 
-  // Helper to generate bootstrap content
-  const getBootstrapContent = () => {
-    // Try to load using-superpowers skill
-    const skillPath = path.join(superpowersSkillsDir, 'using-superpowers', 'SKILL.md');
-    if (!fs.existsSync(skillPath)) return null;
-
-    const fullContent = fs.readFileSync(skillPath, 'utf8');
-    const { content } = extractAndStripFrontmatter(fullContent);
-
-    const toolMapping = `**Tool Mapping for OpenCode:**
-When skills reference tools you don't have, substitute OpenCode equivalents:
-- \`TodoWrite\` → \`update_plan\`
-- \`Task\` tool with subagents → Use OpenCode's subagent system (@mention)
-- \`Skill\` tool → OpenCode's native \`skill\` tool
-- \`Read\`, \`Write\`, \`Edit\`, \`Bash\` → Your native tools
-
-**Skills location:**
-Superpowers skills are in \`${configDir}/skills/superpowers/\`
-Use OpenCode's native \`skill\` tool to list and load skills.`;
-
-    return `<EXTREMELY_IMPORTANT>
-You have superpowers.
-
-**IMPORTANT: The using-superpowers skill content is included below. It is ALREADY LOADED - you are currently following it. Do NOT use the skill tool to load "using-superpowers" again - that would be redundant.**
+  // skills.lock in the project pins which copy of each skill is used
+  const getLock = () => {
+    try {
+      return readLockFile(path.join(projectDir, LOCKFILE_NAME));
+    } catch (error) {
+      return null;
+    }
+  };
 
-${content}
+  // One entry per skill name, as use_skill would resolve it
+  const listSkills = () => {
+    const config = getConfig();
+    const byName = new Map();
+    for (const skill of findSkillsInRoots(getSkillRoots(config))) {
+      // An old ~/.config/opencode/skills/superpowers symlink would list every skill twice
+      if (skill.root !== 'superpowers' && isInside(skill.path, superpowersSkillsDir)) {
+        continue;
+      }
 
-${toolMapping}
-</EXTREMELY_IMPORTANT>`;
+      const key = path.relative(skill.rootDir, skill.path).split(path.sep).join('/');
+      if (isSkillDisabled(config, key, skill.root)) {
+        continue;
+      }
+      const existing = byName.get(key);
+      if (existing) {
+        existing.shadows.push(skill.root);
+      } else {
+        byName.set(key, { ...skill, key, shadows: [] });
+      }
+    }
+    return [...byName.values()];
   };
 
+  // Same bootstrap the Claude Code SessionStart hook injects, framed for OpenCode
+  const getBootstrapContent = () => generateBootstrap('opencode', { superpowersDir: superpowersSkillsDir, homeDir });
+
   return {
+    tool: tool ? {
+      find_skills: tool({
+        description: 'List available skills (project, personal and superpowers) with their descriptions. Pass a query to rank them by relevance to a task.',
+        args: {
+          query: tool.schema.string().optional().describe('What you are about to do, e.g. "fix a failing test". Omit to list every skill.')
+        },
+        execute: async (args) => {
+          let skills = listSkills();
+          if (skills.length === 0) {
+            return 'No skills found.';
+          }
+
+          if (args.query) {
+            skills = rankSkills(args.query, skills, { topK: 10 }).map(result => result.skill);
+            if (skills.length === 0) {
+              return `No skills match "${args.query}". Call find_skills without a query to list every skill.`;
+            }
+          } else {
+            skills.sort((a, b) => a.key.localeCompare(b.key));
+          }
+
+          const lines = [args.query ? `Skills relevant to "${args.query}":` : 'Available skills:', ''];
+          for (const skill of skills) {
+            lines.push(`${skill.root}:${skill.key}`);
+            if (skill.description) {
+              lines.push(`  ${skill.description}`);
+            }
+            if (skill.shadows.length > 0) {
+              lines.push(`  (overrides ${skill.shadows.map(root => `${root}:${skill.key}`).join(', ')})`);
+            }
+            lines.push(`  Directory: ${skill.path}`);
+            lines.push('');
+          }
+          lines.push('Load a skill with the use_skill tool, e.g. use_skill("superpowers:brainstorming").');
+          return lines.join('\n');
+        }
+      }),
+
+      use_skill: tool({
+        description: 'Load a skill and follow it. Skills it requires are loaded first.',
+        args: {
+          skill_name: tool.schema.string().describe('Skill to load, e.g. "brainstorming", "superpowers:brainstorming" or "project:my-skill"')
+        },
+        execute: async (args) => {
+          const config = getConfig();
+          let resolved;
+          try {
+            const lock = getLock();
+            resolved = resolveSkillWithDependencies(args.skill_name, getSkillRoots(config), undefined, lock ? { lock } : {});
+          } catch (error) {
+            if (error instanceof SkillDependencyError && error.code === 'MISSING' && error.chain.length === 1) {
+              return `Error: Skill "${args.skill_name}" not found. Use find_skills to list available skills.`;
+            }
+            return `Error: ${error.message}`;
+          }
+
+          const disabled = resolved.find(skill => isSkillDisabled(config, skill.skillPath, skill.root));
+          if (disabled) {
+            return `Error: Skill "${disabled.root}:${disabled.skillPath}" is disabled in the superpowers config (skills.disabled).`;
+          }
+
+          const sections = resolved.map((skill) => {
+            const { frontmatter, content: rawContent } = extractAndStripFrontmatter(fs.readFileSync(skill.skillFile, 'utf8'));
+            const { content } = rewriteToolNames(rawContent, 'opencode', { skillName: skill.skillPath, metadata: frontmatter });
+            const header = [
+              `# Skill: ${skill.root}:${skill.skillPath}`,
+              frontmatter.description ? `Description: ${frontmatter.description}` : null,
+              `Source: ${skill.skillFile}${skill.ref ? ` (pinned to ${skill.ref})` : ''}`,
+              skill.requires.length > 0 ? `Requires: ${skill.requires.join(', ')}` : null,
+              `Supporting files are relative to: ${path.dirname(skill.skillFile)}`
+            ].filter(Boolean);
+            return `${header.join('\n')}\n\n${content.trim()}`;
+          });
+
+          const requested = resolved[resolved.length - 1];
+          return `Launching skill: ${requested.root}:${requested.skillPath}\n\n${sections.join('\n\n---\n\n')}`;
+        }
+      })
+    } : {},
+
     // Use system prompt transform to inject bootstrap (fixes #226 agent reset bug)
     'experimental.chat.system.transform': async (_input, output) => {
       const bootstrap = getBootstrapContent();
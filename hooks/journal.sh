@@ -0,0 +1,14 @@
+#!/usr/bin/env bash
+# Session journal hook for superpowers plugin (SessionStart, PostToolUse, SessionEnd)
+#
+# Appends what happened to .superpowers/sessions/<session>.jsonl in the
+# project; see scripts/teams-helpers/journal.js. Never fails the session.
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]:-$0}")" && pwd)"
+PLUGIN_ROOT="$(cd "${SCRIPT_DIR}/.." && pwd)"
+
+if command -v node >/dev/null 2>&1; then
+    node "${PLUGIN_ROOT}/scripts/superpowers.mjs" journal-hook || true
+fi
+
+exit 0
@@ -1,5 +1,10 @@
 #!/usr/bin/env bash
 # SessionStart hook for superpowers plugin
+#
+# The bootstrap itself is built by lib/bootstrap.js, shared with the
+# OpenCode plugin, so every platform starts from the same content. When node
+# is missing, too old or the generator fails, the full using-superpowers
+# skill is injected by this script alone, as before the generator existed.
 
 set -euo pipefail
 
@@ -7,10 +12,21 @@ set -euo pipefail
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]:-$0}")" && pwd)"
 PLUGIN_ROOT="$(cd "${SCRIPT_DIR}/.." && pwd)"
 
-# Check if legacy skills directory exists and build warning
+reason="node was not found on PATH"
+if command -v node >/dev/null 2>&1; then
+    if output="$(node "${PLUGIN_ROOT}/scripts/superpowers.mjs" bootstrap --platform claude-code --hook)"; then
+        printf '%s\n' "$output"
+        exit 0
+    fi
+    reason="generating it failed"
+fi
+
+echo "superpowers: using the static bootstrap because ${reason}" >&2
+
+# Check if an unmigrated legacy skills directory exists and build warning
 warning_message=""
 legacy_skills_dir="${HOME}/.config/superpowers/skills"
-if [ -d "$legacy_skills_dir" ]; then
+if [ -d "$legacy_skills_dir" ] && [ ! -f "$legacy_skills_dir/.migrated.json" ]; then
     warning_message="\n\n<important-reminder>IN YOUR FIRST REPLY AFTER SEEING THIS MESSAGE YOU MUST TELL THE USER:⚠️ **WARNING:** Superpowers now uses Claude Code's skills system. Custom skills in ~/.config/superpowers/skills will not be read. Move custom skills to ~/.claude/skills instead. To make this message go away, remove ~/.config/superpowers/skills</important-reminder>"
 fi
 
@@ -0,0 +1,292 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseFrontmatter, rewriteToolNames, stripFrontmatter } from './skills-core.js';
+import { legacySkillsDir, readMigrationMarker } from './legacy-migration.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Session bootstrap: the using-superpowers skill wrapped in the
+ * platform-specific framing every session starts with. The Claude Code
+ * SessionStart hook and the OpenCode plugin both build it here.
+ *
+ * The bootstrap is paid for in every session, so it is kept within a token
+ * budget. When the full text does not fit it is condensed, and as a last
+ * resort replaced by an index of skills.
+ */
+
+const DEFAULT_BOOTSTRAP_BUDGET = 4000;
+const SHORT_DESCRIPTION_LENGTH = 100;
+
+const PLATFORMS = {
+    'claude-code': {
+        intro: '**Below is the full content of your \'superpowers:using-superpowers\' skill - your introduction to using skills. For all other skills, use the \'Skill\' tool:**',
+        outro: null,
+        loadHint: 'Use the \'Skill\' tool to load skills, starting with \'superpowers:using-superpowers\'.'
+    },
+
+    opencode: {
+        intro: '**IMPORTANT: The using-superpowers skill content is included below. It is ALREADY LOADED - you are currently following it. Do NOT use the skill tool to load "using-superpowers" again - that would be redundant.**',
+        outro: `**Tool Mapping for OpenCode:**
+Tool names in this skill and in skills loaded with \`use_skill\` have been adapted for OpenCode.
+Anything else may still say \`TodoWrite\` (use \`update_plan\`), \`Task\` tool (use @mention subagents) or \`Read\`/\`Write\`/\`Edit\`/\`Bash\` (use your native tools).
+
+**Finding and loading skills:**
+Use the \`find_skills\` tool to list skills (pass a query to rank them by relevance) and the
+\`use_skill\` tool to load one. Project skills override personal skills, which override
+superpowers skills; use a prefix like \`superpowers:brainstorming\` to pick a specific copy.`,
+        loadHint: 'Use the `use_skill` tool to load skills, starting with `superpowers:using-superpowers`, and `find_skills` to search them.'
+    },
+
+    codex: {
+        intro: '**IMPORTANT: The using-superpowers skill content is included below. It is ALREADY LOADED - you are currently following it.**',
+        outro: `**Tool Mapping for Codex:**
+Tool names in this skill have been adapted for Codex. Other skills may still say
+\`TodoWrite\` (use \`update_plan\`), \`Task\` tool (use \`spawn_agent\`, or do the work yourself if unavailable)
+or \`Read\`/\`Write\`/\`Edit\`/\`Bash\` (use \`shell\` and \`apply_patch\`).
+
+**Finding and loading skills:**
+Codex discovers superpowers skills in \`~/.agents/skills/superpowers/\` and loads them when their description matches.`,
+        loadHint: 'Codex loads skills from `~/.agents/skills/` when their description matches; read `superpowers/using-superpowers` first.'
+    }
+};
+
+/**
+ * Warning shown while the pre-skills-system directory still exists and
+ * has not been migrated (see lib/legacy-migration.js).
+ *
+ * @param {string} homeDir - Home directory to check
+ * @returns {string|null}
+ */
+function legacySkillsWarning(homeDir) {
+    if (!fs.existsSync(legacySkillsDir(homeDir)) || readMigrationMarker(homeDir)) {
+        return null;
+    }
+
+    return '<important-reminder>IN YOUR FIRST REPLY AFTER SEEING THIS MESSAGE YOU MUST TELL THE USER:⚠️ **WARNING:** ' +
+        'Superpowers now uses Claude Code\'s skills system. Custom skills in ~/.config/superpowers/skills will not be read. ' +
+        'Run /migrate-skills to copy them to ~/.claude/skills (it previews the changes first). ' +
+        'To make this message go away, migrate or remove ~/.config/superpowers/skills</important-reminder>';
+}
+
+/**
+ * Rough token count for budgeting: about four characters per token for
+ * English prose and markdown. Deliberately simple - it only has to keep
+ * the bootstrap in the right ballpark without a tokenizer dependency.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Split markdown into the text before the first heading and one entry per
+ * heading (any level), keeping each section's own text.
+ */
+function splitSections(markdown) {
+    const sections = [{ title: null, text: '' }];
+    let inFence = false;
+
+    for (const line of markdown.split('\n')) {
+        if (/^(```|~~~)/.test(line)) {
+            inFence = !inFence;
+        }
+        const heading = !inFence && line.match(/^#{1,6}\s+(.*)$/);
+        if (heading) {
+            sections.push({ title: heading[1].trim(), text: line });
+        } else {
+            const current = sections[sections.length - 1];
+            current.text = current.text ? `${current.text}\n${line}` : line;
+        }
+    }
+
+    return sections.filter(section => section.title || section.text.trim());
+}
+
+function removeCodeBlocks(text) {
+    let count = 0;
+    const result = text.replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[ \t]*$\n?/gm, () => {
+        count++;
+        return '';
+    });
+    return { text: result.replace(/\n{3,}/g, '\n\n'), count };
+}
+
+/**
+ * First sentence of a description, cut to a length that fits an index line.
+ */
+function shortDescription(description) {
+    const text = (description || '').replace(/\s+/g, ' ').trim();
+    const sentence = text.match(/^.*?[.!?](\s|$)/);
+    const short = sentence ? sentence[0].trim() : text;
+    return short.length > SHORT_DESCRIPTION_LENGTH
+        ? `${short.slice(0, SHORT_DESCRIPTION_LENGTH - 3).trimEnd()}...`
+        : short;
+}
+
+function skillLabel(skill) {
+    return `${skill.root || skill.sourceType || 'superpowers'}:${skill.name}`;
+}
+
+function wrap(sections) {
+    return `<EXTREMELY_IMPORTANT>\nYou have superpowers.\n\n${sections.filter(Boolean).join('\n\n')}\n</EXTREMELY_IMPORTANT>`;
+}
+
+/**
+ * Build the session bootstrap for a platform, within a token budget.
+ *
+ * Tries, in order, until the result fits:
+ * 1. full: the whole using-superpowers skill (and full skills list, if given)
+ * 2. condensed: code blocks removed, then sections dropped from the end;
+ *    skill descriptions shortened
+ * 3. index: a loading hint and a skills index with short descriptions,
+ *    truncated if even that does not fit
+ *
+ * The legacy-directory warning is never dropped.
+ *
+ * @param {string} platform - 'claude-code', 'opencode' or 'codex'
+ * @param {Object} options
+ * @param {string} [options.superpowersDir] - Bundled skills (default: ../skills)
+ * @param {string} [options.homeDir] - For the legacy directory check (default: os.homedir())
+ * @param {number} [options.budget] - Token budget (default: $SUPERPOWERS_BOOTSTRAP_BUDGET or 4000)
+ * @param {Array<{name: string, description: string, root?: string}>} [options.skills] - Skills to list, e.g. findSkillsInRoots() results
+ * @returns {{content: string, tokens: number, budget: number, level: string, dropped: Array<{kind: string, name: string}>} | null} - null when the using-superpowers skill is missing
+ * @throws {Error} On an unknown platform
+ */
+function buildBootstrap(platform, options = {}) {
+    const framing = PLATFORMS[platform];
+    if (!framing) {
+        throw new Error(`Unknown platform "${platform}" (expected ${Object.keys(PLATFORMS).join(', ')})`);
+    }
+
+    const {
+        superpowersDir = path.resolve(__dirname, '../skills'),
+        homeDir = os.homedir(),
+        skills = []
+    } = options;
+    const budget = options.budget || parseInt(process.env.SUPERPOWERS_BOOTSTRAP_BUDGET, 10) || DEFAULT_BOOTSTRAP_BUDGET;
+
+    const skillFile = path.join(superpowersDir, 'using-superpowers', 'SKILL.md');
+    if (!fs.existsSync(skillFile)) {
+        return null;
+    }
+
+    const fullContent = fs.readFileSync(skillFile, 'utf8');
+    let metadata = {};
+    let body;
+    try {
+        const parsed = parseFrontmatter(fullContent);
+        metadata = parsed.data;
+        body = parsed.body.trim();
+    } catch (error) {
+        body = stripFrontmatter(fullContent);
+    }
+
+    const { content } = rewriteToolNames(body, platform, { skillName: 'using-superpowers', metadata });
+    const warning = legacySkillsWarning(homeDir);
+    const result = (level, text, dropped) => ({ content: text, tokens: estimateTokens(text), budget, level, dropped });
+    const fits = (text) => estimateTokens(text) <= budget;
+
+    const skillsList = (describe) => skills.length === 0
+        ? null
+        : ['**Available skills:**', ...skills.map(skill => `- ${skillLabel(skill)}: ${describe(skill.description)}`)].join('\n');
+
+    // 1. Everything
+    const full = wrap([framing.intro, content, skillsList(d => (d || '').replace(/\s+/g, ' ').trim()), framing.outro, warning]);
+    if (fits(full)) {
+        return result('full', full, []);
+    }
+
+    // 2. Condensed: no code blocks, then drop trailing sections one by one
+    const dropped = [];
+    const stripped = removeCodeBlocks(content);
+    if (stripped.count > 0) {
+        dropped.push({ kind: 'code-blocks', name: `${stripped.count} code block(s)` });
+    }
+
+    const sections = splitSections(stripped.text);
+    const shortList = skillsList(shortDescription);
+    if (skills.length > 0) {
+        dropped.push({ kind: 'descriptions', name: 'full skill descriptions' });
+    }
+
+    const note = '*(Condensed to fit the session budget. Load superpowers:using-superpowers for the full text.)*';
+    while (sections.length > 0) {
+        const condensed = wrap([framing.intro, note, sections.map(section => section.text.trim()).join('\n\n'), shortList, framing.outro, warning]);
+        if (fits(condensed)) {
+            return result('condensed', condensed, dropped);
+        }
+
+        // The text before the first heading is the core instruction - never drop it alone
+        if (sections.length === 1 && !sections[0].title) {
+            break;
+        }
+        const removed = sections.pop();
+        dropped.push({ kind: 'section', name: removed.title || '(introduction)' });
+    }
+
+    // 3. Index: loading hint plus as many skills as fit
+    dropped.push({ kind: 'skill', name: 'using-superpowers' });
+    if (framing.outro) {
+        dropped.push({ kind: 'section', name: 'platform tool mapping' });
+    }
+
+    const lines = skills.map(skill => `- ${skillLabel(skill)}: ${shortDescription(skill.description)}`);
+    const indexFor = (count) => wrap([
+        `If there is even a 1% chance a skill applies to what you are doing, you MUST load it before responding. ${framing.loadHint}`,
+        count > 0 ? ['**Available skills:**', ...lines.slice(0, count)].join('\n') : null,
+        count < lines.length ? `*(${lines.length - count} more skill(s) not listed to fit the session budget.)*` : null,
+        warning
+    ]);
+
+    let count = lines.length;
+    while (count > 0 && !fits(indexFor(count))) {
+        count--;
+    }
+    for (const skill of skills.slice(count)) {
+        dropped.push({ kind: 'skill-index', name: skillLabel(skill) });
+    }
+
+    return result('index', indexFor(count), dropped);
+}
+
+/**
+ * Build the session bootstrap for a platform.
+ *
+ * @param {string} platform - 'claude-code', 'opencode' or 'codex'
+ * @param {Object} options - See buildBootstrap()
+ * @returns {string|null} - null when the using-superpowers skill is missing
+ * @throws {Error} On an unknown platform
+ */
+function generateBootstrap(platform, options = {}) {
+    const built = buildBootstrap(platform, options);
+    return built ? built.content : null;
+}
+
+/**
+ * Claude Code SessionStart hook output that injects the bootstrap.
+ *
+ * @param {string} additionalContext - Usually generateBootstrap('claude-code')
+ * @returns {string} - JSON, newline-terminated
+ */
+function sessionStartHookOutput(additionalContext) {
+    return JSON.stringify({
+        hookSpecificOutput: {
+            hookEventName: 'SessionStart',
+            additionalContext
+        }
+    }, null, 2) + '\n';
+}
+
+export {
+    PLATFORMS as BOOTSTRAP_PLATFORMS,
+    DEFAULT_BOOTSTRAP_BUDGET,
+    estimateTokens,
+    buildBootstrap,
+    generateBootstrap,
+    sessionStartHookOutput
+};
@@ -0,0 +1,279 @@
+/**
+ * Minimal Graphviz DOT syntax checker.
+ *
+ * Skills embed flowcharts as ```dot blocks. This validates them against the
+ * DOT grammar without needing graphviz installed, so broken diagrams are
+ * caught before they reach a reader.
+ */
+
+const KEYWORDS = ['strict', 'graph', 'digraph', 'node', 'edge', 'subgraph'];
+
+/**
+ * Split DOT source into tokens.
+ *
+ * @param {string} source - DOT source
+ * @returns {Array<{type: string, value: string, line: number}>}
+ * @throws {Error} With a `line` property on unterminated strings or comments
+ */
+function tokenize(source) {
+    const tokens = [];
+    let pos = 0;
+    let line = 1;
+
+    const fail = (message) => {
+        const error = new Error(message);
+        error.line = line;
+        throw error;
+    };
+
+    while (pos < source.length) {
+        const ch = source[pos];
+
+        if (ch === '\n') {
+            line++;
+            pos++;
+            continue;
+        }
+        if (/\s/.test(ch)) {
+            pos++;
+            continue;
+        }
+
+        // Comments: //, /* */ and # preprocessor-style lines
+        if (source.startsWith('//', pos) || (ch === '#' && (pos === 0 || source[pos - 1] === '\n'))) {
+            while (pos < source.length && source[pos] !== '\n') {
+                pos++;
+            }
+            continue;
+        }
+        if (source.startsWith('/*', pos)) {
+            const end = source.indexOf('*/', pos + 2);
+            if (end === -1) {
+                fail('Unterminated /* comment');
+            }
+            line += source.slice(pos, end).split('\n').length - 1;
+            pos = end + 2;
+            continue;
+        }
+
+        if (ch === '"') {
+            const startLine = line;
+            let value = '';
+            pos++;
+            while (pos < source.length && source[pos] !== '"') {
+                if (source[pos] === '\\') {
+                    value += source[pos++];
+                }
+                if (source[pos] === '\n') {
+                    line++;
+                }
+                value += source[pos++];
+            }
+            if (pos >= source.length) {
+                line = startLine;
+                fail('Unterminated string');
+            }
+            pos++;
+            tokens.push({ type: 'id', value, line: startLine });
+            continue;
+        }
+
+        if (ch === '<') {
+            const startLine = line;
+            let depth = 0;
+            const start = pos;
+            do {
+                if (source[pos] === '<') {
+                    depth++;
+                }
+                if (source[pos] === '>') {
+                    depth--;
+                }
+                if (source[pos] === '\n') {
+                    line++;
+                }
+                pos++;
+            } while (pos < source.length && depth > 0);
+            if (depth > 0) {
+                line = startLine;
+                fail('Unterminated HTML label');
+            }
+            tokens.push({ type: 'id', value: source.slice(start, pos), line: startLine });
+            continue;
+        }
+
+        if (source.startsWith('->', pos) || source.startsWith('--', pos)) {
+            tokens.push({ type: 'edgeop', value: source.slice(pos, pos + 2), line });
+            pos += 2;
+            continue;
+        }
+
+        if ('{}[];,=:+'.includes(ch)) {
+            tokens.push({ type: ch, value: ch, line });
+            pos++;
+            continue;
+        }
+
+        const word = source.slice(pos).match(/^(-?(\.\d+|\d+(\.\d*)?)|[A-Za-z_\u0080-\uFFFF][\w\u0080-\uFFFF]*)/);
+        if (!word) {
+            fail(`Unexpected character "${ch}"`);
+        }
+
+        const value = word[0];
+        const type = KEYWORDS.includes(value.toLowerCase()) ? value.toLowerCase() : 'id';
+        tokens.push({ type, value, line });
+        pos += value.length;
+    }
+
+    return tokens;
+}
+
+/**
+ * Check DOT source for syntax errors.
+ *
+ * @param {string} source - DOT source
+ * @returns {{valid: boolean, error: string|null, line: number|null}} - line is 1-based within the source
+ */
+function checkDotSyntax(source) {
+    let tokens;
+    try {
+        tokens = tokenize(source);
+    } catch (error) {
+        return { valid: false, error: error.message, line: error.line };
+    }
+
+    let pos = 0;
+    let directed = false;
+
+    const peek = () => tokens[pos] || { type: 'eof', value: 'end of input', line: tokens.length ? tokens[tokens.length - 1].line : 1 };
+
+    const fail = (message) => {
+        const error = new Error(message);
+        error.line = peek().line;
+        throw error;
+    };
+
+    const accept = (type) => {
+        if (peek().type === type) {
+            return tokens[pos++];
+        }
+        return null;
+    };
+
+    const expect = (type, what) => {
+        const token = accept(type);
+        if (!token) {
+            fail(`Expected ${what || type}, found "${peek().value}"`);
+        }
+        return token;
+    };
+
+    // ID, including "a" + "b" string concatenation
+    const expectId = (what) => {
+        const token = expect('id', what);
+        while (accept('+')) {
+            expect('id', 'string after +');
+        }
+        return token;
+    };
+
+    const parseAttrList = () => {
+        while (accept('[')) {
+            while (peek().type === 'id') {
+                expectId();
+                if (accept('=')) {
+                    expectId('attribute value');
+                }
+                accept(';') || accept(',');
+            }
+            expect(']', '"]" to close attribute list');
+        }
+    };
+
+    const parseSubgraph = () => {
+        if (accept('subgraph')) {
+            accept('id');
+        }
+        expect('{', '"{" to open subgraph');
+        parseStmtList();
+        expect('}', '"}" to close subgraph');
+    };
+
+    const parseEndpoint = () => {
+        if (peek().type === 'subgraph' || peek().type === '{') {
+            parseSubgraph();
+            return;
+        }
+        expectId('node name');
+        if (accept(':')) {
+            expectId('port');
+            if (accept(':')) {
+                expectId('compass point');
+            }
+        }
+    };
+
+    const parseStmt = () => {
+        const type = peek().type;
+
+        if (type === 'graph' || type === 'node' || type === 'edge') {
+            pos++;
+            if (peek().type !== '[') {
+                fail(`Expected "[" after ${type}`);
+            }
+            parseAttrList();
+            return;
+        }
+
+        if (type === 'id' && tokens[pos + 1] && tokens[pos + 1].type === '=') {
+            expectId();
+            expect('=');
+            expectId('attribute value');
+            return;
+        }
+
+        parseEndpoint();
+        while (peek().type === 'edgeop') {
+            const op = tokens[pos++];
+            if (directed && op.value === '--') {
+                fail('Undirected edge "--" in a digraph');
+            }
+            if (!directed && op.value === '->') {
+                fail('Directed edge "->" in an undirected graph');
+            }
+            parseEndpoint();
+        }
+        parseAttrList();
+    };
+
+    function parseStmtList() {
+        while (peek().type !== '}' && peek().type !== 'eof') {
+            parseStmt();
+            accept(';');
+        }
+    }
+
+    try {
+        accept('strict');
+        if (accept('digraph')) {
+            directed = true;
+        } else {
+            expect('graph', '"graph" or "digraph"');
+        }
+        accept('id');
+        expect('{', '"{" to open the graph');
+        parseStmtList();
+        expect('}', '"}" to close the graph');
+        if (peek().type !== 'eof') {
+            fail(`Unexpected "${peek().value}" after the graph`);
+        }
+    } catch (error) {
+        return { valid: false, error: error.message, line: error.line };
+    }
+
+    return { valid: true, error: null, line: null };
+}
+
+export {
+    checkDotSyntax
+};
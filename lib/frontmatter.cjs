@@ -0,0 +1,646 @@
+/**
+ * YAML frontmatter parsing for SKILL.md files.
+ *
+ * Supports the subset of YAML that skill metadata actually uses:
+ * - plain, 'single' and "double" quoted scalars (multi-line plain scalars fold)
+ * - literal (|) and folded (>) block scalars with chomping indicators
+ * - block sequences and nested block mappings
+ * - flow sequences ([a, b]) and flow mappings ({a: 1})
+ * - booleans, null and numbers
+ * - # comments
+ *
+ * Anchors, aliases, tags and multi-document streams are not supported.
+ *
+ * CommonJS so the teams helpers can require() it on any Node version;
+ * ES modules import it through frontmatter.js.
+ */
+
+class FrontmatterError extends Error {
+    /**
+     * @param {string} reason - What went wrong
+     * @param {number|null} line - 1-based line number in the source file
+     */
+    constructor(reason, line = null) {
+        super(line ? `${reason} (line ${line})` : reason);
+        this.name = 'FrontmatterError';
+        this.reason = reason;
+        this.line = line;
+    }
+}
+
+/**
+ * Split a document into its raw frontmatter block and body.
+ *
+ * @param {string} content - Full file content
+ * @returns {{yaml: string, body: string, yamlStartLine: number} | null} - null when there is no frontmatter
+ * @throws {FrontmatterError} When the opening --- has no closing ---
+ */
+function splitFrontmatter(content) {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    if (lines[0].trim() !== '---') {
+        return null;
+    }
+
+    for (let i = 1; i < lines.length; i++) {
+        const trimmed = lines[i].trim();
+        if (trimmed === '---' || trimmed === '...') {
+            return {
+                yaml: lines.slice(1, i).join('\n'),
+                body: lines.slice(i + 1).join('\n'),
+                yamlStartLine: 2
+            };
+        }
+    }
+
+    throw new FrontmatterError('Frontmatter is missing its closing ---', 1);
+}
+
+/**
+ * Parse a document's frontmatter into a metadata object.
+ *
+ * @param {string} content - Full file content
+ * @returns {{data: Object, body: string, hasFrontmatter: boolean}}
+ * @throws {FrontmatterError} On malformed frontmatter, with the offending line number
+ */
+function parseFrontmatter(content) {
+    const split = splitFrontmatter(content);
+    if (!split) {
+        return { data: {}, body: content, hasFrontmatter: false };
+    }
+
+    const data = parseYaml(split.yaml, split.yamlStartLine - 1);
+    if (data === null) {
+        return { data: {}, body: split.body, hasFrontmatter: true };
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new FrontmatterError('Frontmatter must be a mapping of key: value pairs', split.yamlStartLine);
+    }
+
+    return { data, body: split.body, hasFrontmatter: true };
+}
+
+/**
+ * Read the fields every skill carries, plus its full metadata.
+ *
+ * @param {string} content - Full SKILL.md content
+ * @returns {{name: string, description: string, metadata: Object}}
+ * @throws {FrontmatterError}
+ */
+function parseSkillMetadata(content) {
+    const { data } = parseFrontmatter(content);
+
+    return {
+        name: typeof data.name === 'string' ? data.name.trim() : '',
+        description: typeof data.description === 'string' ? data.description.trim() : '',
+        metadata: data
+    };
+}
+
+/**
+ * Parse a YAML document (block style subset).
+ *
+ * @param {string} text - YAML source
+ * @param {number} lineOffset - Added to reported line numbers
+ * @returns {*} Parsed value (null for an empty document)
+ * @throws {FrontmatterError}
+ */
+function parseYaml(text, lineOffset = 0) {
+    const parser = new YamlParser(text, lineOffset);
+    return parser.parseDocument();
+}
+
+const PLAIN_KEY = /^((?:"(?:[^"\\]|\\.)*")|(?:'(?:[^']|'')*')|(?:[^\s#'"[\]{},:-][^#]*?|-[^\s#][^#]*?))\s*:(?:\s+(.*))?$/;
+
+class YamlParser {
+    constructor(text, lineOffset) {
+        this.lineOffset = lineOffset;
+        this.lines = text.split(/\r?\n/).map((raw, i) => {
+            const indentMatch = raw.match(/^[ \t]*/)[0];
+            return {
+                raw,
+                number: i + 1 + lineOffset,
+                indent: indentMatch.length,
+                hasTab: indentMatch.includes('\t'),
+                text: raw.slice(indentMatch.length)
+            };
+        });
+        this.pos = 0;
+    }
+
+    fail(reason, line) {
+        throw new FrontmatterError(reason, line ? line.number : null);
+    }
+
+    isBlank(line) {
+        return line.text === '' || line.text.startsWith('#');
+    }
+
+    // Next line that carries content, without consuming it
+    peek() {
+        while (this.pos < this.lines.length && this.isBlank(this.lines[this.pos])) {
+            this.pos++;
+        }
+        const line = this.lines[this.pos] || null;
+        if (line && line.hasTab) {
+            this.fail('Tabs are not allowed in indentation', line);
+        }
+        return line;
+    }
+
+    parseDocument() {
+        const first = this.peek();
+        if (!first) {
+            return null;
+        }
+        if (first.indent !== 0) {
+            this.fail('Unexpected indentation', first);
+        }
+
+        const value = this.parseBlock(0);
+
+        const trailing = this.peek();
+        if (trailing) {
+            this.fail('Unexpected content', trailing);
+        }
+        return value;
+    }
+
+    parseBlock(indent) {
+        const line = this.peek();
+        if (isSequenceItem(line.text)) {
+            return this.parseSequence(indent);
+        }
+        if (PLAIN_KEY.test(line.text)) {
+            return this.parseMapping(indent);
+        }
+        this.pos++;
+        return this.parseScalarValue(line.text.trim(), line, indent - 1);
+    }
+
+    parseMapping(indent) {
+        const result = {};
+
+        for (let line = this.peek(); line && line.indent >= indent; line = this.peek()) {
+            if (line.indent > indent) {
+                this.fail('Unexpected indentation', line);
+            }
+            if (isSequenceItem(line.text)) {
+                this.fail('Expected "key: value", found a list item', line);
+            }
+
+            const match = line.text.match(PLAIN_KEY);
+            if (!match) {
+                this.fail('Expected "key: value"', line);
+            }
+
+            const key = unquoteKey(match[1].trim());
+            if (Object.prototype.hasOwnProperty.call(result, key)) {
+                this.fail(`Duplicate key "${key}"`, line);
+            }
+
+            this.pos++;
+            result[key] = this.parseMappingValue(match[2] || '', line, indent);
+        }
+
+        return result;
+    }
+
+    parseMappingValue(rest, line, indent) {
+        const value = rest.trim();
+        if (value !== '' && !value.startsWith('#')) {
+            return this.parseScalarValue(value, line, indent);
+        }
+
+        const next = this.peek();
+        if (!next) {
+            return null;
+        }
+        if (next.indent > indent) {
+            return this.parseBlock(next.indent);
+        }
+        // YAML allows a list to sit at the same indentation as its key
+        if (next.indent === indent && isSequenceItem(next.text)) {
+            return this.parseSequence(indent);
+        }
+        return null;
+    }
+
+    parseSequence(indent) {
+        const result = [];
+
+        for (let line = this.peek(); line && line.indent >= indent; line = this.peek()) {
+            if (line.indent > indent) {
+                this.fail('Unexpected indentation', line);
+            }
+            if (!isSequenceItem(line.text)) {
+                break;
+            }
+
+            const itemText = line.text.slice(1).replace(/^ +/, '');
+            const itemIndent = indent + (line.text.length - itemText.length);
+
+            if (itemText === '' || itemText.startsWith('#')) {
+                this.pos++;
+                const next = this.peek();
+                result.push(next && next.indent > indent ? this.parseBlock(next.indent) : null);
+                continue;
+            }
+
+            if (isSequenceItem(itemText) || PLAIN_KEY.test(itemText)) {
+                // Re-read the item as a nested block starting at the item's column
+                this.lines[this.pos] = { ...line, indent: itemIndent, text: itemText };
+                result.push(this.parseBlock(itemIndent));
+                continue;
+            }
+
+            this.pos++;
+            result.push(this.parseScalarValue(itemText.trim(), line, indent));
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse a value that starts on the current line. Continuation lines
+     * must be indented deeper than `parentIndent`.
+     */
+    parseScalarValue(value, line, parentIndent) {
+        if (value[0] === '|' || value[0] === '>') {
+            return this.parseBlockScalar(value, line, parentIndent);
+        }
+        if (value[0] === '"' || value[0] === '\'') {
+            return this.parseQuoted(value, line, parentIndent);
+        }
+        if (value[0] === '[' || value[0] === '{') {
+            const source = this.collectFlow(value, line, parentIndent);
+            return parseFlow(source, line, this);
+        }
+
+        const plain = stripComment(value);
+        const parts = [plain];
+        for (const next of this.continuationLines(parentIndent)) {
+            if (next !== null && PLAIN_KEY.test(next.text)) {
+                this.fail('Unexpected indentation', next);
+            }
+            parts.push(next === null ? '\n' : stripComment(next.text));
+        }
+        if (parts.length > 1) {
+            return foldLines(parts);
+        }
+        return coerceScalar(plain);
+    }
+
+    // Consume lines deeper than parentIndent; blank lines are yielded as null
+    *continuationLines(parentIndent) {
+        while (this.pos < this.lines.length) {
+            const line = this.lines[this.pos];
+            if (line.text === '') {
+                let lookahead = this.pos + 1;
+                while (lookahead < this.lines.length && this.lines[lookahead].text === '') {
+                    lookahead++;
+                }
+                const after = this.lines[lookahead];
+                if (!after || after.indent <= parentIndent) {
+                    return;
+                }
+                this.pos++;
+                yield null;
+                continue;
+            }
+            if (line.indent <= parentIndent || line.text.startsWith('#')) {
+                return;
+            }
+            if (line.hasTab) {
+                this.fail('Tabs are not allowed in indentation', line);
+            }
+            this.pos++;
+            yield line;
+        }
+    }
+
+    parseQuoted(value, line, parentIndent) {
+        const quote = value[0];
+        let source = value;
+        let end = findClosingQuote(source, quote);
+
+        if (end === -1) {
+            const parts = [value];
+            for (const next of this.continuationLines(parentIndent)) {
+                parts.push(next === null ? '\n' : next.text);
+                source = foldLines(parts);
+                end = findClosingQuote(source, quote);
+                if (end !== -1) {
+                    break;
+                }
+            }
+            if (end === -1) {
+                this.fail('Unterminated quoted string', line);
+            }
+        }
+
+        const trailing = stripComment(source.slice(end + 1));
+        if (trailing !== '') {
+            this.fail(`Unexpected text after quoted string: ${trailing}`, line);
+        }
+
+        const inner = source.slice(1, end);
+        return quote === '"' ? unescapeDouble(inner, line, this) : inner.replace(/''/g, '\'');
+    }
+
+    parseBlockScalar(header, line, parentIndent) {
+        const match = header.match(/^([|>])([+-]?)(\d?)([+-]?)\s*(?:#.*)?$/);
+        if (!match) {
+            this.fail(`Invalid block scalar header "${header}"`, line);
+        }
+        const style = match[1];
+        const chomping = match[2] || match[4];
+        const explicitIndent = match[3] ? parseInt(match[3], 10) : null;
+
+        const raw = [];
+        while (this.pos < this.lines.length) {
+            const next = this.lines[this.pos];
+            if (next.text !== '' && next.indent <= parentIndent) {
+                break;
+            }
+            raw.push(next);
+            this.pos++;
+        }
+
+        const firstContent = raw.find(l => l.text !== '');
+        const contentIndent = explicitIndent !== null
+            ? parentIndent + explicitIndent
+            : (firstContent ? firstContent.indent : parentIndent + 1);
+
+        const contentLines = raw.map(l => {
+            if (l.text === '') {
+                return '';
+            }
+            if (l.indent < contentIndent) {
+                this.fail('Block scalar line is less indented than its first line', l);
+            }
+            return l.raw.slice(contentIndent);
+        });
+
+        let trailingBlank = 0;
+        while (trailingBlank < contentLines.length && contentLines[contentLines.length - 1 - trailingBlank] === '') {
+            trailingBlank++;
+        }
+        const kept = contentLines.slice(0, contentLines.length - trailingBlank);
+        if (kept.length === 0) {
+            return '';
+        }
+
+        let text = style === '|' ? kept.join('\n') : foldBlock(kept);
+
+        if (chomping === '-') {
+            return text;
+        }
+        text += '\n';
+        if (chomping === '+') {
+            text += '\n'.repeat(trailingBlank);
+        }
+        return text;
+    }
+
+    collectFlow(value, line, parentIndent) {
+        let source = value;
+        if (flowIsClosed(source)) {
+            return source;
+        }
+
+        for (const next of this.continuationLines(parentIndent)) {
+            if (next === null) {
+                continue;
+            }
+            source += ' ' + next.text;
+            if (flowIsClosed(source)) {
+                return source;
+            }
+        }
+        this.fail('Unterminated flow collection', line);
+    }
+}
+
+function isSequenceItem(text) {
+    return text === '-' || text.startsWith('- ');
+}
+
+function unquoteKey(key) {
+    if (key.startsWith('"')) {
+        return key.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    if (key.startsWith('\'')) {
+        return key.slice(1, -1).replace(/''/g, '\'');
+    }
+    return key;
+}
+
+// Remove a trailing " # comment" from an unquoted value
+function stripComment(value) {
+    if (value.startsWith('#')) {
+        return '';
+    }
+    const idx = value.search(/\s#/);
+    return (idx === -1 ? value : value.slice(0, idx)).trim();
+}
+
+function findClosingQuote(source, quote) {
+    for (let i = 1; i < source.length; i++) {
+        if (quote === '"' && source[i] === '\\') {
+            i++;
+            continue;
+        }
+        if (source[i] === quote) {
+            if (quote === '\'' && source[i + 1] === '\'') {
+                i++;
+                continue;
+            }
+            return i;
+        }
+    }
+    return -1;
+}
+
+const DOUBLE_ESCAPES = { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ' };
+
+function unescapeDouble(inner, line, parser) {
+    return inner.replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|.)/g, (whole, seq) => {
+        if (seq[0] === 'u' || seq[0] === 'x') {
+            return String.fromCharCode(parseInt(seq.slice(1), 16));
+        }
+        if (!(seq in DOUBLE_ESCAPES)) {
+            parser.fail(`Unknown escape sequence ${whole}`, line);
+        }
+        return DOUBLE_ESCAPES[seq];
+    });
+}
+
+// Fold multi-line flow text: single newlines become spaces, blank lines newlines
+function foldLines(parts) {
+    let result = '';
+    for (const part of parts) {
+        if (part === '\n') {
+            result += '\n';
+        } else if (result === '' || result.endsWith('\n')) {
+            result += part.trim();
+        } else {
+            result += ' ' + part.trim();
+        }
+    }
+    return result;
+}
+
+// Folded block scalar: lines join with spaces, more-indented lines keep breaks
+function foldBlock(lines) {
+    let result = lines[0];
+    for (let i = 1; i < lines.length; i++) {
+        const line = lines[i];
+        const previous = lines[i - 1];
+        if (line === '') {
+            result += '\n';
+        } else if (previous === '') {
+            result += line;
+        } else if (/^\s/.test(line) || /^\s/.test(previous)) {
+            result += '\n' + line;
+        } else {
+            result += ' ' + line;
+        }
+    }
+    return result;
+}
+
+function coerceScalar(value) {
+    if (/^(~|null|Null|NULL)$/.test(value)) {
+        return null;
+    }
+    if (/^(true|True|TRUE)$/.test(value)) {
+        return true;
+    }
+    if (/^(false|False|FALSE)$/.test(value)) {
+        return false;
+    }
+    if (/^[-+]?\d+$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    if (/^0x[0-9a-fA-F]+$/.test(value)) {
+        return parseInt(value, 16);
+    }
+    if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(value)) {
+        return parseFloat(value);
+    }
+    return value;
+}
+
+function flowIsClosed(source) {
+    let depth = 0;
+    let quote = null;
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quote) {
+            if (quote === '"' && ch === '\\') {
+                i++;
+            } else if (ch === quote) {
+                quote = null;
+            }
+        } else if (ch === '"' || ch === '\'') {
+            quote = ch;
+        } else if (ch === '[' || ch === '{') {
+            depth++;
+        } else if (ch === ']' || ch === '}') {
+            depth--;
+            if (depth === 0) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Parse a flow collection ([...] or {...}) that may span joined lines.
+ */
+function parseFlow(source, line, parser) {
+    let pos = 0;
+
+    const skipSpace = () => {
+        while (pos < source.length && /\s/.test(source[pos])) {
+            pos++;
+        }
+    };
+
+    const parseItem = (terminators) => {
+        skipSpace();
+        const ch = source[pos];
+        if (ch === '[' || ch === '{') {
+            return parseCollection();
+        }
+        if (ch === '"' || ch === '\'') {
+            const end = findClosingQuote(source.slice(pos), ch);
+            if (end === -1) {
+                parser.fail('Unterminated quoted string', line);
+            }
+            const inner = source.slice(pos + 1, pos + end);
+            pos += end + 1;
+            return ch === '"' ? unescapeDouble(inner, line, parser) : inner.replace(/''/g, '\'');
+        }
+        const start = pos;
+        while (pos < source.length && !terminators.includes(source[pos])) {
+            pos++;
+        }
+        return coerceScalar(source.slice(start, pos).trim());
+    };
+
+    const expect = (chars) => {
+        skipSpace();
+        if (!chars.includes(source[pos])) {
+            parser.fail(`Expected one of ${chars.split('').join(' ')} in flow collection`, line);
+        }
+        return source[pos++];
+    };
+
+    const parseCollection = () => {
+        const open = source[pos++];
+        const close = open === '[' ? ']' : '}';
+        const result = open === '[' ? [] : {};
+
+        skipSpace();
+        if (source[pos] === close) {
+            pos++;
+            return result;
+        }
+
+        for (;;) {
+            if (open === '[') {
+                result.push(parseItem(',]'));
+            } else {
+                const key = parseItem(':,}');
+                expect(':');
+                result[String(key)] = parseItem(',}');
+            }
+            if (expect(',' + close) === close) {
+                return result;
+            }
+            skipSpace();
+            // Allow a trailing comma
+            if (source[pos] === close) {
+                pos++;
+                return result;
+            }
+        }
+    };
+
+    const value = parseCollection();
+    const trailing = stripComment(source.slice(pos));
+    if (trailing !== '') {
+        parser.fail(`Unexpected text after flow collection: ${trailing}`, line);
+    }
+    return value;
+}
+
+module.exports = {
+    FrontmatterError,
+    splitFrontmatter,
+    parseFrontmatter,
+    parseSkillMetadata,
+    parseYaml
+};
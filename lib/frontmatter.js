@@ -0,0 +1,11 @@
+/**
+ * YAML frontmatter parsing for SKILL.md files (see frontmatter.cjs).
+ */
+
+export {
+    FrontmatterError,
+    splitFrontmatter,
+    parseFrontmatter,
+    parseSkillMetadata,
+    parseYaml
+} from './frontmatter.cjs';
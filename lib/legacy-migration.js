@@ -0,0 +1,355 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseFrontmatter, splitFrontmatter } from './frontmatter.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Migration of custom skills from the pre-skills-system directory,
+ * ~/.config/superpowers/skills, into Claude Code's ~/.claude/skills.
+ *
+ * Old skills were nested in category directories and described themselves
+ * with separate `description` and `when_to_use` keys. Migrated skills are
+ * flat, with a kebab-case `name` and a single "Use when ..." `description`.
+ *
+ * The legacy directory used to be a clone of the shared skills repository,
+ * so it usually also holds old copies of skills the plugin now bundles.
+ * Those are skipped: copying them would shadow the current versions.
+ */
+
+const MIGRATION_MARKER = '.migrated.json';
+
+// Keys the old format used that the skills system never reads
+const OBSOLETE_KEYS = ['when_to_use', 'version', 'languages'];
+
+/**
+ * @param {string} [homeDir] - Default: os.homedir()
+ * @returns {string}
+ */
+function legacySkillsDir(homeDir = os.homedir()) {
+    return path.join(homeDir, '.config', 'superpowers', 'skills');
+}
+
+/**
+ * The marker a completed migration leaves in the legacy directory.
+ *
+ * @param {string} [homeDir] - Default: os.homedir()
+ * @returns {Object|null} - Marker contents, or null when not migrated
+ */
+function readMigrationMarker(homeDir = os.homedir()) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(legacySkillsDir(homeDir), MIGRATION_MARKER), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function slugify(name) {
+    return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function collapse(text) {
+    return text === null || text === undefined ? '' : String(text).replace(/\s+/g, ' ').trim();
+}
+
+// "Write tests" -> "write tests", but leave "TDD" and "API" alone
+function lowerFirst(text) {
+    return /^[A-Z][a-z]/.test(text) ? text.charAt(0).toLowerCase() + text.slice(1) : text;
+}
+
+// JSON strings are valid double-quoted YAML; only quote when a plain scalar would misparse
+function yamlScalar(value) {
+    const needsQuotes = value === '' ||
+        /^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(value) ||
+        /: | #|\s$/.test(value) ||
+        /^(true|false|yes|no|null|~|[-+]?\.?\d)/i.test(value);
+    return needsQuotes ? JSON.stringify(value) : value;
+}
+
+/**
+ * Remove top-level keys (and their indented continuation lines) from raw YAML.
+ */
+function removeYamlKeys(yaml, keys) {
+    const kept = [];
+    let skipping = false;
+
+    for (const line of yaml ? yaml.split('\n') : []) {
+        const key = line.match(/^([A-Za-z_][\w-]*)\s*:/);
+        if (key) {
+            skipping = keys.includes(key[1]);
+        } else if (line.trim() && !/^\s/.test(line)) {
+            skipping = false;
+        }
+        if (!skipping) {
+            kept.push(line);
+        }
+    }
+
+    return kept;
+}
+
+function firstParagraph(body) {
+    const paragraph = body.split(/\n\s*\n/)
+        .map(block => block.trim())
+        .find(block => block && !block.startsWith('#') && !block.startsWith('```'));
+    return collapse(paragraph);
+}
+
+/**
+ * Rewrite an old-format SKILL.md in the current name/description shape.
+ *
+ * @param {string} content - SKILL.md content
+ * @param {string} dirName - Skill directory name, used when there is no name
+ * @returns {{content: string, name: string, changes: string[]}} - content is unchanged when already current
+ * @throws {FrontmatterError} On malformed frontmatter
+ */
+function upgradeSkillContent(content, dirName) {
+    const split = splitFrontmatter(content);
+    const { data } = parseFrontmatter(content);
+    const body = split ? split.body : content;
+    const changes = [];
+
+    if (!split) {
+        changes.push('added frontmatter');
+    }
+
+    const name = slugify(data.name || dirName);
+    if (data.name !== name) {
+        changes.push(data.name ? `name "${data.name}" -> "${name}"` : `name set to "${name}"`);
+    }
+
+    let description = collapse(data.description);
+    const whenToUse = collapse(data.when_to_use);
+    if (whenToUse) {
+        let condition = whenToUse.replace(/[.\s]+$/, '');
+        if (!/^use when\b/i.test(condition)) {
+            condition = condition.replace(/^when\s+/i, '');
+            condition = `Use when ${lowerFirst(condition)}`;
+        }
+        description = description ? `${condition} - ${lowerFirst(description)}` : condition;
+        changes.push('merged when_to_use into description');
+    }
+    if (!description) {
+        description = firstParagraph(body);
+        if (description) {
+            changes.push('description taken from the first paragraph');
+        }
+    }
+
+    for (const key of OBSOLETE_KEYS.filter(key => key !== 'when_to_use')) {
+        if (key in data) {
+            changes.push(`removed ${key}`);
+        }
+    }
+
+    if (changes.length === 0) {
+        return { content, name, changes };
+    }
+
+    const rest = removeYamlKeys(split ? split.yaml : '', ['name', 'description', ...OBSOLETE_KEYS]);
+    const frontmatter = [
+        `name: ${yamlScalar(name)}`,
+        `description: ${yamlScalar(description)}`,
+        ...rest
+    ];
+
+    return {
+        content: `---\n${frontmatter.join('\n')}\n---\n${split ? body : `\n${body}`}`,
+        name,
+        changes
+    };
+}
+
+/**
+ * Skill directories under the legacy root. Category directories are
+ * walked; a skill's own subdirectories are supporting files.
+ */
+function findLegacySkills(dir, depth = 0, found = []) {
+    if (depth > 4) {
+        return found;
+    }
+
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+        return found;
+    }
+
+    if (depth > 0 && entries.some(entry => entry.isFile() && entry.name === 'SKILL.md')) {
+        found.push(dir);
+        return found;
+    }
+
+    for (const entry of entries) {
+        if (entry.isDirectory() && !entry.name.startsWith('.')) {
+            findLegacySkills(path.join(dir, entry.name), depth + 1, found);
+        }
+    }
+    return found.sort();
+}
+
+/**
+ * Work out what a migration would do, without touching anything.
+ *
+ * Statuses:
+ * - migrate: will be copied (or moved) to the target
+ * - bundled: an old copy of a skill superpowers now ships; skipped
+ * - identical: the target already has the same skill
+ * - collision: the target has a different skill with this name
+ * - duplicate: another legacy skill already migrates under this name
+ * - error: SKILL.md could not be read
+ *
+ * @param {Object} options
+ * @param {string} [options.homeDir] - Default: os.homedir()
+ * @param {string} [options.sourceDir] - Default: ~/.config/superpowers/skills
+ * @param {string} [options.targetDir] - Default: ~/.claude/skills
+ * @param {string} [options.superpowersDir] - Bundled skills (default: ../skills)
+ * @returns {{sourceDir: string, targetDir: string, skills: Array<{name: string, source: string, target: string|null, status: string, changes: string[], message: string|null, content?: string}>}} - content is the upgraded SKILL.md
+ */
+function planMigration(options = {}) {
+    const {
+        homeDir = os.homedir(),
+        sourceDir = legacySkillsDir(homeDir),
+        targetDir = path.join(homeDir, '.claude', 'skills'),
+        superpowersDir = path.resolve(__dirname, '../skills')
+    } = options;
+
+    const claimed = new Map();
+    const skills = findLegacySkills(sourceDir).map(source => {
+        const entry = { name: path.basename(source), source, target: null, status: 'migrate', changes: [], message: null };
+
+        try {
+            const upgraded = upgradeSkillContent(fs.readFileSync(path.join(source, 'SKILL.md'), 'utf8'), path.basename(source));
+            entry.name = upgraded.name;
+            entry.changes = upgraded.changes;
+            entry.content = upgraded.content;
+        } catch (error) {
+            return { ...entry, status: 'error', message: error.message };
+        }
+
+        entry.target = path.join(targetDir, entry.name);
+
+        if (fs.existsSync(path.join(superpowersDir, entry.name, 'SKILL.md'))) {
+            entry.status = 'bundled';
+            entry.message = 'Superpowers ships this skill; copy it by hand only if you customized it';
+        } else if (claimed.has(entry.name)) {
+            entry.status = 'duplicate';
+            entry.message = `Same name as ${claimed.get(entry.name)}`;
+        } else if (fs.existsSync(entry.target)) {
+            const existingFile = path.join(entry.target, 'SKILL.md');
+            const existing = fs.existsSync(existingFile) ? fs.readFileSync(existingFile, 'utf8') : null;
+            entry.status = existing === entry.content ? 'identical' : 'collision';
+            entry.message = entry.status === 'collision'
+                ? `${entry.target} already exists; merge by hand or rename one of them`
+                : null;
+        }
+
+        claimed.set(entry.name, source);
+        return entry;
+    });
+
+    return { sourceDir, targetDir, skills };
+}
+
+/**
+ * Copy (or move) legacy skills into ~/.claude/skills and mark the legacy
+ * directory as migrated, which silences the session start warning.
+ *
+ * Collisions are reported and left alone; the marker is still written,
+ * since what remains needs a human decision rather than a reminder.
+ *
+ * @param {Object} options - planMigration() options, plus:
+ * @param {boolean} [options.move] - Remove migrated skills from the legacy directory
+ * @param {boolean} [options.dryRun] - Only report what would happen
+ * @returns {Object} - planMigration() result, plus dryRun, moved and markerFile
+ */
+function migrateLegacySkills(options = {}) {
+    const { move = false, dryRun = false } = options;
+    const plan = planMigration(options);
+    const report = { ...plan, dryRun, moved: move, markerFile: null };
+
+    if (dryRun || !fs.existsSync(plan.sourceDir)) {
+        return report;
+    }
+
+    for (const skill of plan.skills) {
+        if (skill.status === 'migrate') {
+            fs.mkdirSync(path.dirname(skill.target), { recursive: true });
+            fs.cpSync(skill.source, skill.target, { recursive: true });
+            fs.writeFileSync(path.join(skill.target, 'SKILL.md'), skill.content);
+        }
+        if (move && (skill.status === 'migrate' || skill.status === 'identical')) {
+            fs.rmSync(skill.source, { recursive: true, force: true });
+        }
+    }
+
+    report.markerFile = path.join(plan.sourceDir, MIGRATION_MARKER);
+    fs.writeFileSync(report.markerFile, JSON.stringify({
+        migratedAt: new Date().toISOString(),
+        targetDir: plan.targetDir,
+        mode: move ? 'move' : 'copy',
+        migrated: plan.skills.filter(skill => skill.status === 'migrate').map(skill => skill.name),
+        unresolved: plan.skills.filter(skill => ['collision', 'duplicate', 'error'].includes(skill.status)).map(skill => skill.source)
+    }, null, 2) + '\n');
+
+    return report;
+}
+
+/**
+ * Format a migration report for the terminal.
+ *
+ * @param {Object} report - migrateLegacySkills() result
+ * @returns {string}
+ */
+function formatMigrationReport(report) {
+    if (report.skills.length === 0) {
+        return `No legacy skills found in ${report.sourceDir}`;
+    }
+
+    const verb = report.moved ? 'move' : 'copy';
+    const out = [`${report.dryRun ? 'Would migrate' : 'Migrating'} ${report.sourceDir} -> ${report.targetDir}`, ''];
+
+    for (const skill of report.skills) {
+        const action = {
+            migrate: report.dryRun ? `would ${verb}` : (report.moved ? 'moved' : 'copied'),
+            bundled: 'skipped',
+            identical: 'already migrated',
+            collision: 'COLLISION',
+            duplicate: 'DUPLICATE',
+            error: 'ERROR'
+        }[skill.status];
+
+        out.push(`  ${action.padEnd(16)} ${skill.name}  (${path.relative(report.sourceDir, skill.source)})`);
+        for (const change of skill.changes) {
+            out.push(`  ${''.padEnd(16)}   ${change}`);
+        }
+        if (skill.message) {
+            out.push(`  ${''.padEnd(16)}   ${skill.message}`);
+        }
+    }
+
+    const count = (status) => report.skills.filter(skill => skill.status === status).length;
+    const unresolved = count('collision') + count('duplicate') + count('error');
+    out.push('');
+    const done = report.dryRun ? `to ${verb}` : (report.moved ? 'moved' : 'copied');
+    out.push(`${count('migrate')} ${done}, ${count('identical')} already migrated, ${count('bundled')} bundled with superpowers, ${unresolved} need attention`);
+    if (report.dryRun) {
+        out.push('Dry run: nothing was changed.');
+    } else if (report.markerFile) {
+        out.push(`Marked as migrated: ${report.markerFile}`);
+    }
+    return out.join('\n');
+}
+
+export {
+    MIGRATION_MARKER,
+    legacySkillsDir,
+    readMigrationMarker,
+    upgradeSkillContent,
+    planMigration,
+    migrateLegacySkills,
+    formatMigrationReport
+};
@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { findSkillsInRoots, stripFrontmatter } from './skills-core.js';
+import { unifiedDiff } from './unified-diff.js';
+
+/**
+ * When a skill file last changed.
+ *
+ * For a clean file in a git checkout this is the last commit that touched
+ * it: a fresh clone or `git pull` resets mtimes, which would make every
+ * bundled skill look newer than it is.
+ *
+ * @param {string} file - Path to a SKILL.md
+ * @returns {{modified: string, modifiedSource: 'git'|'mtime'}} - ISO timestamp and where it came from
+ */
+function lastModified(file) {
+    const dir = path.dirname(file);
+    try {
+        const dirty = execFileSync('git', ['status', '--porcelain', '--', file], { cwd: dir, encoding: 'utf8', stdio: 'pipe', timeout: 3000 });
+        const committed = execFileSync('git', ['log', '-1', '--format=%cI', '--', file], { cwd: dir, encoding: 'utf8', stdio: 'pipe', timeout: 3000 }).trim();
+        if (!dirty.trim() && committed) {
+            return { modified: new Date(committed).toISOString(), modifiedSource: 'git' };
+        }
+    } catch (error) {
+        // Not in a git checkout - fall back to the filesystem
+    }
+
+    return { modified: fs.statSync(file).mtime.toISOString(), modifiedSource: 'mtime' };
+}
+
+function withNewline(text) {
+    return text ? `${text}\n` : '';
+}
+
+function describeCopy(skill) {
+    return { root: skill.root, skillFile: skill.skillFile, ...lastModified(skill.skillFile) };
+}
+
+/**
+ * Find skills that exist in more than one root, i.e. where resolveSkillPath
+ * silently picks one copy over another.
+ *
+ * @param {Array<{name: string, dir: string}>} roots - Skill roots in precedence order
+ * @param {Object} options
+ * @param {boolean} [options.diff] - Include unified diffs of the bodies (default: true)
+ * @param {Object} [options.config] - Superpowers config; disabled skills are left out
+ * @returns {Array<{skill: string, active: Object, shadowed: Array<{root: string, skillFile: string, modified: string, modifiedSource: string, identical: boolean, newerThanActive: boolean, diff: string|null}>}>}
+ */
+function shadowReport(roots, options = {}) {
+    const { diff = true, config } = options;
+    const byKey = new Map();
+
+    for (const skill of findSkillsInRoots(roots, 3, { config })) {
+        const key = path.relative(skill.rootDir, skill.path).split(path.sep).join('/');
+        if (!byKey.has(key)) {
+            byKey.set(key, []);
+        }
+        byKey.get(key).push(skill);
+    }
+
+    const report = [];
+    for (const [key, copies] of byKey) {
+        if (copies.length < 2) {
+            continue;
+        }
+
+        // The same directory can be listed under two roots (e.g. run from ~)
+        const [winner, ...rest] = copies;
+        const losers = rest.filter(skill => fs.realpathSync(skill.skillFile) !== fs.realpathSync(winner.skillFile));
+        if (losers.length === 0) {
+            continue;
+        }
+
+        const active = describeCopy(winner);
+        const activeBody = stripFrontmatter(fs.readFileSync(winner.skillFile, 'utf8'));
+
+        const shadowed = losers.map(skill => {
+            const copy = describeCopy(skill);
+            const body = stripFrontmatter(fs.readFileSync(skill.skillFile, 'utf8'));
+            const identical = body === activeBody;
+
+            return {
+                ...copy,
+                identical,
+                // The shadowed copy moved on after the active copy was made
+                newerThanActive: !identical && copy.modified > active.modified,
+                diff: diff && !identical
+                    ? unifiedDiff(withNewline(body), withNewline(activeBody), {
+                        oldLabel: `${skill.root}:${key}`,
+                        newLabel: `${winner.root}:${key}`
+                    })
+                    : null
+            };
+        });
+
+        report.push({ skill: key, active, shadowed });
+    }
+
+    return report.sort((a, b) => a.skill.localeCompare(b.skill));
+}
+
+/**
+ * Format a shadow report for the terminal.
+ *
+ * @param {Array} report - shadowReport() result
+ * @returns {string}
+ */
+function formatShadowReport(report) {
+    if (report.length === 0) {
+        return 'No shadowed skills';
+    }
+
+    const out = [];
+    for (const entry of report) {
+        out.push(`${entry.skill}`);
+        out.push(`  active    ${entry.active.root.padEnd(12)} ${entry.active.modified}  ${entry.active.skillFile}`);
+
+        for (const copy of entry.shadowed) {
+            out.push(`  shadowed  ${copy.root.padEnd(12)} ${copy.modified}  ${copy.skillFile}`);
+            if (copy.identical) {
+                out.push('  (bodies are identical)');
+            }
+            if (copy.newerThanActive) {
+                out.push(`  warning: the ${copy.root} copy changed after the ${entry.active.root} copy; ` +
+                    `your ${entry.active.root} copy may be stale`);
+            }
+            if (copy.diff) {
+                out.push('');
+                out.push(copy.diff.trimEnd().split('\n').map(line => `    ${line}`).join('\n'));
+            }
+        }
+        out.push('');
+    }
+
+    const stale = report.filter(entry => entry.shadowed.some(copy => copy.newerThanActive)).length;
+    out.push(`${report.length} shadowed skill(s)${stale ? `, ${stale} possibly stale` : ''}`);
+    return out.join('\n');
+}
+
+export {
+    shadowReport,
+    formatShadowReport
+};
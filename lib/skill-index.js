@@ -0,0 +1,275 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { parseSkillMetadata } from './frontmatter.js';
+
+const INDEX_VERSION = 1;
+
+/**
+ * Default location of the on-disk skill index.
+ *
+ * @returns {string} - $XDG_CACHE_HOME/superpowers/skill-index.json (or ~/.cache/...)
+ */
+function defaultIndexFile() {
+    const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+    return path.join(cacheHome, 'superpowers', 'skill-index.json');
+}
+
+function emptyIndex() {
+    return { version: INDEX_VERSION, dirs: {}, skills: {} };
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function isWithin(candidate, dir) {
+    return candidate === dir || candidate.startsWith(dir + path.sep);
+}
+
+/**
+ * Persistent cache for findSkillsInDir.
+ *
+ * Directory listings are reused while the directory's mtime is unchanged,
+ * and a SKILL.md is only re-parsed when its content hash changes. Results
+ * have exactly the shape findSkillsInDir returns.
+ */
+class SkillIndex {
+    /**
+     * @param {Object} options
+     * @param {string} [options.indexFile] - Where to persist the index (default: defaultIndexFile())
+     */
+    constructor(options = {}) {
+        this.indexFile = options.indexFile || defaultIndexFile();
+        this.data = null;
+        this.dirty = false;
+        this.stats = { parsed: 0, reused: 0 };
+    }
+
+    /**
+     * Find all skills under a directory, reusing cached entries.
+     *
+     * @param {string} dir - Directory to search
+     * @param {string} sourceType - 'personal' or 'superpowers' for namespacing
+     * @param {number} maxDepth - Maximum recursion depth (default: 3)
+     * @returns {Array<{path: string, skillFile: string, name: string, description: string, metadata: Object, sourceType: string, root: string, rootDir: string}>}
+     */
+    findSkills(dir, sourceType, maxDepth = 3) {
+        const skills = [];
+        this.stats = { parsed: 0, reused: 0 };
+
+        if (!fs.existsSync(dir)) {
+            return skills;
+        }
+
+        this.load();
+
+        const recurse = (currentDir, depth) => {
+            if (depth > maxDepth) {
+                return;
+            }
+
+            for (const name of this.listSubdirs(path.resolve(currentDir))) {
+                const fullPath = path.join(currentDir, name);
+                const entry = this.readSkill(path.resolve(fullPath, 'SKILL.md'));
+
+                if (entry) {
+                    skills.push({
+                        path: fullPath,
+                        skillFile: path.join(fullPath, 'SKILL.md'),
+                        name: entry.name || name,
+                        description: entry.description || '',
+                        metadata: entry.metadata,
+                        sourceType: sourceType,
+                        root: sourceType,
+                        rootDir: dir
+                    });
+                }
+
+                recurse(fullPath, depth + 1);
+            }
+        };
+
+        recurse(dir, 0);
+        this.save();
+        return skills;
+    }
+
+    /**
+     * Drop cached entries so they are re-read on the next lookup.
+     *
+     * @param {string} [dir] - Only forget entries under this directory (default: everything)
+     */
+    invalidate(dir) {
+        this.load();
+
+        if (!dir) {
+            this.data = emptyIndex();
+        } else {
+            this.forget(path.resolve(dir));
+        }
+
+        this.dirty = true;
+        this.save();
+    }
+
+    /**
+     * Re-parse every skill under a directory and refresh the index.
+     *
+     * @param {string} dir - Directory to search
+     * @param {string} sourceType - 'personal' or 'superpowers' for namespacing
+     * @param {number} maxDepth - Maximum recursion depth (default: 3)
+     * @returns {Array} - Same shape as findSkills()
+     */
+    rebuild(dir, sourceType, maxDepth = 3) {
+        this.invalidate(dir);
+        return this.findSkills(dir, sourceType, maxDepth);
+    }
+
+    /**
+     * Subdirectory names of a directory, from cache while its mtime is unchanged.
+     */
+    listSubdirs(dir) {
+        let stat;
+        try {
+            stat = fs.statSync(dir);
+        } catch (error) {
+            return [];
+        }
+
+        const cached = this.data.dirs[dir];
+        if (cached && cached.mtimeMs === stat.mtimeMs) {
+            return cached.subdirs;
+        }
+
+        const subdirs = fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name);
+
+        // Forget anything under subdirectories that have disappeared
+        if (cached) {
+            for (const name of cached.subdirs) {
+                if (!subdirs.includes(name)) {
+                    this.forget(path.join(dir, name));
+                }
+            }
+        }
+
+        this.data.dirs[dir] = { mtimeMs: stat.mtimeMs, subdirs };
+        this.dirty = true;
+        return subdirs;
+    }
+
+    /**
+     * Cached frontmatter for a SKILL.md, re-parsing only when its hash changes.
+     *
+     * @returns {{name: string, description: string, metadata: Object} | null} - null when the file is missing
+     */
+    readSkill(skillFile) {
+        let stat;
+        try {
+            stat = fs.statSync(skillFile);
+        } catch (error) {
+            if (this.data.skills[skillFile]) {
+                delete this.data.skills[skillFile];
+                this.dirty = true;
+            }
+            return null;
+        }
+
+        const cached = this.data.skills[skillFile];
+        if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+            this.stats.reused++;
+            return cached;
+        }
+
+        const content = fs.readFileSync(skillFile, 'utf8');
+        const hash = hashContent(content);
+        this.dirty = true;
+
+        if (cached && cached.hash === hash) {
+            cached.mtimeMs = stat.mtimeMs;
+            cached.size = stat.size;
+            this.stats.reused++;
+            return cached;
+        }
+
+        let parsed;
+        try {
+            parsed = parseSkillMetadata(content);
+        } catch (error) {
+            parsed = { name: '', description: '', metadata: {} };
+        }
+
+        const entry = { mtimeMs: stat.mtimeMs, size: stat.size, hash, ...parsed };
+        this.data.skills[skillFile] = entry;
+        this.stats.parsed++;
+        return entry;
+    }
+
+    forget(dir) {
+        for (const key of Object.keys(this.data.dirs)) {
+            if (isWithin(key, dir)) {
+                delete this.data.dirs[key];
+            }
+        }
+        for (const key of Object.keys(this.data.skills)) {
+            if (isWithin(key, dir)) {
+                delete this.data.skills[key];
+            }
+        }
+    }
+
+    load() {
+        if (this.data) {
+            return;
+        }
+
+        try {
+            const parsed = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+            this.data = parsed && parsed.version === INDEX_VERSION ? parsed : emptyIndex();
+        } catch (error) {
+            // Missing or corrupt index - start over
+            this.data = emptyIndex();
+        }
+    }
+
+    save() {
+        if (!this.dirty) {
+            return;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.indexFile), { recursive: true });
+            const tmpFile = `${this.indexFile}.${process.pid}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify(this.data));
+            fs.renameSync(tmpFile, this.indexFile);
+            this.dirty = false;
+        } catch (error) {
+            // Read-only home, full disk, etc. - the in-memory index still works
+        }
+    }
+}
+
+const sharedIndexes = new Map();
+
+/**
+ * The index at defaultIndexFile(), shared within a process. findSkillsInDir
+ * uses it unless the caller passes its own index (or index: false).
+ *
+ * @returns {SkillIndex}
+ */
+function defaultSkillIndex() {
+    const indexFile = defaultIndexFile();
+    if (!sharedIndexes.has(indexFile)) {
+        sharedIndexes.set(indexFile, new SkillIndex({ indexFile }));
+    }
+    return sharedIndexes.get(indexFile);
+}
+
+export {
+    SkillIndex,
+    defaultIndexFile,
+    defaultSkillIndex
+};
@@ -0,0 +1,211 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractFrontmatter, findSkillsInDir } from './skills-core.js';
+import { splitFrontmatter } from './frontmatter.js';
+import { checkDotSyntax } from './dot-syntax.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_LIMITS = {
+    maxNameLength: 64,
+    maxDescriptionLength: 1024,
+    maxBodyLines: 500
+};
+
+/**
+ * 1-based line of the first line matching a pattern, or null.
+ */
+function findLine(lines, pattern) {
+    const index = lines.findIndex(line => pattern.test(line));
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Names that `superpowers:<name>` may legitimately refer to: bundled skill
+ * directories and bundled agents (e.g. superpowers:code-reviewer).
+ *
+ * @param {string} superpowersDir - Bundled skills directory
+ * @param {string} agentsDir - Bundled agents directory
+ * @returns {Set<string>}
+ */
+function knownSuperpowersNames(superpowersDir, agentsDir) {
+    const names = new Set(findSkillsInDir(superpowersDir, 'superpowers').map(skill => path.basename(skill.path)));
+
+    if (agentsDir && fs.existsSync(agentsDir)) {
+        for (const file of fs.readdirSync(agentsDir)) {
+            if (file.endsWith('.md')) {
+                names.add(file.slice(0, -3));
+            }
+        }
+    }
+
+    return names;
+}
+
+/**
+ * Lint one skill.
+ *
+ * @param {{path: string, skillFile: string}} skill - A findSkillsInDir result
+ * @param {Object} context
+ * @param {Set<string>} context.knownNames - Valid superpowers:<name> targets
+ * @param {Object} [context.limits] - Overrides for DEFAULT_LIMITS
+ * @returns {Array<{rule: string, severity: string, message: string, line: number|null}>}
+ */
+function lintSkill(skill, context) {
+    const limits = { ...DEFAULT_LIMITS, ...context.limits };
+    const problems = [];
+    const report = (rule, severity, message, line = null) => {
+        problems.push({ rule, severity, message, line });
+    };
+
+    const { name, description, error } = extractFrontmatter(skill.skillFile);
+    if (error) {
+        report('frontmatter', 'error', error.reason || error.message, error.line || null);
+        return problems;
+    }
+
+    const content = fs.readFileSync(skill.skillFile, 'utf8');
+    const lines = content.split(/\r?\n/);
+    const split = splitFrontmatter(content);
+    const bodyStartLine = split ? (split.yaml ? split.yaml.split('\n').length : 0) + 3 : 1;
+    const nameLine = findLine(lines, /^name\s*:/) || 1;
+    const descriptionLine = findLine(lines, /^description\s*:/) || 1;
+    const dirName = path.basename(skill.path);
+
+    if (!name) {
+        report('name-missing', 'error', 'Missing or empty "name"', nameLine);
+    } else {
+        if (name !== dirName) {
+            report('name-mismatch', 'error', `Name "${name}" does not match directory "${dirName}"`, nameLine);
+        }
+        if (!/^[A-Za-z0-9-]+$/.test(name)) {
+            report('name-format', 'error', `Name "${name}" may only contain letters, numbers and hyphens`, nameLine);
+        }
+        if (name.length > limits.maxNameLength) {
+            report('name-format', 'error', `Name is ${name.length} characters (max ${limits.maxNameLength})`, nameLine);
+        }
+    }
+
+    if (!description) {
+        report('description-missing', 'error', 'Missing or empty "description"', descriptionLine);
+    } else {
+        if (description.length > limits.maxDescriptionLength) {
+            report('description-length', 'error',
+                `Description is ${description.length} characters (max ${limits.maxDescriptionLength})`, descriptionLine);
+        }
+        if (!/^use when\b/i.test(description)) {
+            report('description-convention', 'warning', 'Description should start with "Use when..."', descriptionLine);
+        }
+    }
+
+    lines.forEach((line, i) => {
+        const seen = new Set();
+        for (const match of line.matchAll(/\bsuperpowers:([a-z0-9][a-z0-9-]*)/gi)) {
+            const target = match[1];
+            if (!context.knownNames.has(target) && !seen.has(target)) {
+                seen.add(target);
+                report('unknown-reference', 'error', `Reference to unknown skill "superpowers:${target}"`, i + 1);
+            }
+        }
+    });
+
+    for (let i = bodyStartLine - 1; i < lines.length; i++) {
+        if (lines[i].trim() !== '```dot') {
+            continue;
+        }
+
+        const start = i;
+        const block = [];
+        for (i++; i < lines.length && lines[i].trim() !== '```'; i++) {
+            block.push(lines[i]);
+        }
+
+        const result = checkDotSyntax(block.join('\n'));
+        if (!result.valid) {
+            report('dot-syntax', 'error', `Invalid dot block: ${result.error}`, start + 1 + (result.line || 1));
+        }
+    }
+
+    const bodyLines = lines.length - bodyStartLine + 1;
+    if (bodyLines > limits.maxBodyLines) {
+        report('body-size', 'warning', `Body is ${bodyLines} lines (max ${limits.maxBodyLines})`, bodyStartLine);
+    }
+
+    return problems;
+}
+
+/**
+ * Lint every skill under a directory.
+ *
+ * @param {string} dir - Directory to search for SKILL.md files
+ * @param {Object} options
+ * @param {string} [options.superpowersDir] - Bundled skills, for resolving superpowers:<name> references
+ * @param {string} [options.agentsDir] - Bundled agents, also valid superpowers:<name> targets
+ * @param {Object} [options.limits] - Overrides for DEFAULT_LIMITS
+ * @returns {{skills: Array<{name: string, skillFile: string, problems: Array}>, errorCount: number, warningCount: number}}
+ */
+function lintSkills(dir, options = {}) {
+    const {
+        superpowersDir = path.resolve(__dirname, '../skills'),
+        agentsDir = path.resolve(__dirname, '../agents'),
+        limits = {}
+    } = options;
+
+    const context = {
+        knownNames: knownSuperpowersNames(superpowersDir, agentsDir),
+        limits
+    };
+
+    const skills = findSkillsInDir(dir, 'lint').map(skill => ({
+        name: skill.name,
+        skillFile: skill.skillFile,
+        problems: lintSkill(skill, context)
+    }));
+
+    const all = skills.flatMap(skill => skill.problems);
+
+    return {
+        skills,
+        errorCount: all.filter(p => p.severity === 'error').length,
+        warningCount: all.filter(p => p.severity === 'warning').length
+    };
+}
+
+/**
+ * Format lint results for the terminal.
+ *
+ * @param {Object} result - lintSkills() result
+ * @param {string} [cwd] - Paths are shown relative to this directory
+ * @returns {string}
+ */
+function formatLintReport(result, cwd = process.cwd()) {
+    const out = [];
+
+    for (const skill of result.skills) {
+        if (skill.problems.length === 0) {
+            continue;
+        }
+
+        out.push(path.relative(cwd, skill.skillFile));
+        for (const problem of skill.problems) {
+            const line = String(problem.line || '-').padStart(5);
+            out.push(`${line}  ${problem.severity.padEnd(7)}  ${problem.message}  ${problem.rule}`);
+        }
+        out.push('');
+    }
+
+    const total = result.errorCount + result.warningCount;
+    out.push(total === 0
+        ? `${result.skills.length} skill(s) checked, no problems`
+        : `${total} problem(s) (${result.errorCount} error(s), ${result.warningCount} warning(s)) in ${result.skills.length} skill(s)`);
+
+    return out.join('\n');
+}
+
+export {
+    DEFAULT_LIMITS,
+    lintSkill,
+    lintSkills,
+    formatLintReport
+};
@@ -0,0 +1,477 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import { parseSkillMetadata } from './frontmatter.js';
+
+/**
+ * skills.lock: which skill each name resolved to, and what it contained.
+ *
+ * {
+ *   "lockfileVersion": 1,
+ *   "skills": {
+ *     "brainstorming": {
+ *       "root": "superpowers",
+ *       "path": "brainstorming/SKILL.md",
+ *       "hash": "sha256-...",
+ *       "ref": "v4.1.0",          // only when pinned
+ *       "commit": "3f2a..."       // commit the ref pointed at when pinned
+ *     }
+ *   }
+ * }
+ *
+ * Paths are relative to the root directory so the file is portable
+ * between machines.
+ */
+
+const LOCKFILE_VERSION = 1;
+const LOCKFILE_NAME = 'skills.lock';
+
+class SkillLockError extends Error {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {string} code - 'INVALID', 'NOT_FOUND' or 'BAD_REF'
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'SkillLockError';
+        this.code = code;
+    }
+}
+
+/**
+ * Default directory for checked-out copies of pinned skills.
+ *
+ * @returns {string} - $XDG_CACHE_HOME/superpowers/pinned (or ~/.cache/...)
+ */
+function defaultPinCacheDir() {
+    const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+    return path.join(cacheHome, 'superpowers', 'pinned');
+}
+
+/**
+ * Files belonging to a skill, relative to its directory. Nested skills
+ * (subdirectories with their own SKILL.md) are separate skills and excluded.
+ */
+function listSkillFiles(skillDir, prefix = '') {
+    const files = [];
+
+    for (const entry of fs.readdirSync(path.join(skillDir, prefix), { withFileTypes: true })) {
+        const relative = path.join(prefix, entry.name);
+        if (entry.isDirectory()) {
+            if (fs.existsSync(path.join(skillDir, relative, 'SKILL.md'))) {
+                continue;
+            }
+            files.push(...listSkillFiles(skillDir, relative));
+        } else if (entry.isFile()) {
+            files.push(relative);
+        }
+    }
+
+    return files.sort();
+}
+
+/**
+ * Content hash of a skill directory: SKILL.md plus its supporting files.
+ *
+ * @param {string} skillDir - Directory containing SKILL.md
+ * @returns {string} - "sha256-<hex>"
+ */
+function hashSkill(skillDir) {
+    const hash = crypto.createHash('sha256');
+
+    for (const file of listSkillFiles(skillDir)) {
+        hash.update(file.split(path.sep).join('/'));
+        hash.update('\0');
+        hash.update(fs.readFileSync(path.join(skillDir, file)));
+        hash.update('\0');
+    }
+
+    return `sha256-${hash.digest('hex')}`;
+}
+
+/**
+ * Skill directory relative to its root, with forward slashes ("nested/skill-c").
+ */
+function skillKey(skill) {
+    return path.relative(skill.rootDir, skill.path).split(path.sep).join('/');
+}
+
+function git(cwd, args, encoding = 'utf8') {
+    return execFileSync('git', args, { cwd, encoding, stdio: ['ignore', 'pipe', 'pipe'], timeout: 10000 });
+}
+
+/**
+ * Check out a skill directory as it was at a git ref of its root's repository.
+ *
+ * Copies are written once per commit under the pin cache and reused.
+ *
+ * @param {string} rootDir - Skill root inside a git checkout
+ * @param {string} key - Skill directory relative to the root
+ * @param {string} ref - Tag, branch or commit
+ * @param {Object} options
+ * @param {string} [options.commit] - Expected commit; skips resolving the ref
+ * @param {string} [options.cacheDir] - Where copies live (default: defaultPinCacheDir())
+ * @returns {{skillDir: string, commit: string}}
+ * @throws {SkillLockError} When the ref or the skill at that ref cannot be found
+ */
+function checkoutPinnedSkill(rootDir, key, ref, options = {}) {
+    const { cacheDir = defaultPinCacheDir() } = options;
+
+    let topLevel;
+    let commit = options.commit;
+    try {
+        topLevel = git(rootDir, ['rev-parse', '--show-toplevel']).trim();
+        if (!commit) {
+            commit = git(rootDir, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]).trim();
+        }
+    } catch (error) {
+        throw new SkillLockError(`Cannot resolve "${ref}" in ${rootDir}`, 'BAD_REF');
+    }
+
+    const repoPath = path.relative(fs.realpathSync(topLevel), fs.realpathSync(rootDir)).split(path.sep).join('/');
+    const prefix = repoPath ? `${repoPath}/${key}` : key;
+    const skillDir = path.join(cacheDir, commit, ...prefix.split('/'));
+    const marker = path.join(cacheDir, '.complete', commit, ...prefix.split('/'));
+
+    if (fs.existsSync(marker)) {
+        return { skillDir, commit };
+    }
+
+    let files;
+    try {
+        files = git(topLevel, ['ls-tree', '-r', '-z', '--name-only', commit, '--', `${prefix}/`])
+            .split('\0')
+            .filter(Boolean);
+    } catch (error) {
+        throw new SkillLockError(`Cannot read ${prefix} at "${ref}"`, 'BAD_REF');
+    }
+
+    if (!files.includes(`${prefix}/SKILL.md`)) {
+        throw new SkillLockError(`Skill "${key}" does not exist at "${ref}"`, 'NOT_FOUND');
+    }
+
+    for (const file of files) {
+        const target = path.join(cacheDir, commit, ...file.split('/'));
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, git(topLevel, ['show', `${commit}:${file}`], 'buffer'));
+    }
+    fs.mkdirSync(path.dirname(marker), { recursive: true });
+    fs.writeFileSync(marker, '');
+
+    return { skillDir, commit };
+}
+
+/**
+ * Read a skills.lock file.
+ *
+ * @param {string} lockFile - Path to skills.lock
+ * @returns {Object|null} - null when the file does not exist
+ * @throws {SkillLockError} When the file is not a valid lockfile
+ */
+function readLockFile(lockFile) {
+    let content;
+    try {
+        content = fs.readFileSync(lockFile, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+
+    let lock;
+    try {
+        lock = JSON.parse(content);
+    } catch (error) {
+        throw new SkillLockError(`${lockFile} is not valid JSON: ${error.message}`, 'INVALID');
+    }
+
+    if (!lock || lock.lockfileVersion !== LOCKFILE_VERSION || typeof lock.skills !== 'object') {
+        throw new SkillLockError(`${lockFile} is not a version ${LOCKFILE_VERSION} skills lockfile`, 'INVALID');
+    }
+
+    return lock;
+}
+
+/**
+ * Write a skills.lock file with stable key order, so diffs stay small.
+ *
+ * @param {string} lockFile - Path to skills.lock
+ * @param {Object} lock - Lock object
+ */
+function writeLockFile(lockFile, lock) {
+    const skills = {};
+    for (const key of Object.keys(lock.skills).sort()) {
+        skills[key] = lock.skills[key];
+    }
+
+    fs.writeFileSync(lockFile, JSON.stringify({ lockfileVersion: LOCKFILE_VERSION, skills }, null, 2) + '\n');
+}
+
+/**
+ * First skill for each key in root order, i.e. the one resolveSkillPath returns.
+ */
+function effectiveSkills(skills) {
+    const effective = new Map();
+    for (const skill of skills) {
+        const key = skillKey(skill);
+        if (!effective.has(key)) {
+            effective.set(key, skill);
+        }
+    }
+    return effective;
+}
+
+/**
+ * Build a lock from the skills currently resolved.
+ *
+ * Pinned entries in `previous` keep their pin; everything else is
+ * re-recorded from disk.
+ *
+ * @param {Array} skills - findSkillsInRoots() results, in root order
+ * @param {Object} options
+ * @param {Object} [options.previous] - Existing lock whose pins should survive
+ * @returns {Object} - Lock object
+ */
+function createLock(skills, options = {}) {
+    const previous = (options.previous && options.previous.skills) || {};
+    const lock = { lockfileVersion: LOCKFILE_VERSION, skills: {} };
+
+    for (const [key, skill] of effectiveSkills(skills)) {
+        const pinned = previous[key];
+        if (pinned && pinned.ref) {
+            lock.skills[key] = pinned;
+            continue;
+        }
+
+        lock.skills[key] = {
+            root: skill.root,
+            path: `${key}/SKILL.md`,
+            hash: hashSkill(skill.path)
+        };
+    }
+
+    // Pinned skills stay locked even if they were deleted from the working tree
+    for (const [key, entry] of Object.entries(previous)) {
+        if (entry.ref && !lock.skills[key]) {
+            lock.skills[key] = entry;
+        }
+    }
+
+    return lock;
+}
+
+/**
+ * Pin a skill to a git ref of its root's checkout.
+ *
+ * @param {Object} lock - Lock object (modified in place)
+ * @param {string} key - Skill directory relative to its root, e.g. "brainstorming"
+ * @param {string} ref - Tag, branch or commit
+ * @param {Array<{name: string, dir: string}>} roots - Skill roots
+ * @param {Object} options
+ * @param {string} [options.root] - Root to pin from (default: the locked root, else "superpowers")
+ * @param {string} [options.cacheDir] - Pin cache directory
+ * @returns {Object} - The new lock entry
+ * @throws {SkillLockError} When the root, ref or skill cannot be found
+ */
+function pinSkill(lock, key, ref, roots, options = {}) {
+    const current = lock.skills[key];
+    const rootName = options.root || (current && current.root) || 'superpowers';
+    const root = roots.find(r => r.name === rootName);
+
+    if (!root) {
+        throw new SkillLockError(`Unknown skill root "${rootName}"`, 'NOT_FOUND');
+    }
+
+    const { skillDir, commit } = checkoutPinnedSkill(root.dir, key, ref, options);
+    const entry = {
+        root: rootName,
+        path: `${key}/SKILL.md`,
+        hash: hashSkill(skillDir),
+        ref,
+        commit
+    };
+
+    lock.skills[key] = entry;
+    return entry;
+}
+
+/**
+ * Remove a pin so the skill follows the working tree again.
+ *
+ * @param {Object} lock - Lock object (modified in place)
+ * @param {string} key - Skill directory relative to its root
+ * @param {Array} skills - findSkillsInRoots() results, to re-record the hash
+ * @returns {boolean} - False when the skill was not pinned
+ */
+function unpinSkill(lock, key, skills) {
+    const entry = lock.skills[key];
+    if (!entry || !entry.ref) {
+        return false;
+    }
+
+    const skill = effectiveSkills(skills).get(key);
+    if (skill) {
+        lock.skills[key] = { root: skill.root, path: `${key}/SKILL.md`, hash: hashSkill(skill.path) };
+    } else {
+        delete lock.skills[key];
+    }
+    return true;
+}
+
+/**
+ * Directory a locked skill should load from: the pinned copy for pinned
+ * entries, otherwise the skill directory in its locked root.
+ *
+ * @param {Object} entry - Lock entry
+ * @param {string} rootDir - Directory of the entry's root
+ * @param {Object} options
+ * @param {string} [options.cacheDir] - Pin cache directory
+ * @returns {string}
+ */
+function lockedSkillDir(entry, rootDir, options = {}) {
+    const key = entry.path.replace(/\/SKILL\.md$/, '');
+    if (entry.ref) {
+        return checkoutPinnedSkill(rootDir, key, entry.ref, { ...options, commit: entry.commit }).skillDir;
+    }
+    return path.join(rootDir, ...key.split('/'));
+}
+
+/**
+ * Compare the skills on disk with a lock.
+ *
+ * Statuses:
+ * - ok: resolves to the locked root with the locked content
+ * - changed: content differs from the recorded hash
+ * - moved: now resolves from a different root (e.g. newly shadowed)
+ * - missing: locked but no longer found
+ * - unlocked: found but not in the lock
+ * - pinned: pinned copy matches (content of the working tree is irrelevant)
+ * - bad-pin: pinned ref or skill cannot be checked out
+ *
+ * @param {Object} lock - Lock object
+ * @param {Array} skills - findSkillsInRoots() results, in root order
+ * @param {Array<{name: string, dir: string}>} roots - Skill roots (to locate pinned repos)
+ * @param {Object} options
+ * @param {string} [options.cacheDir] - Pin cache directory
+ * @returns {{ok: boolean, entries: Array<{skill: string, status: string, root: string|null, message: string}>}}
+ */
+function verifyLock(lock, skills, roots, options = {}) {
+    const effective = effectiveSkills(skills);
+    const entries = [];
+    const report = (skill, status, root, message) => entries.push({ skill, status, root, message });
+
+    for (const [key, entry] of Object.entries(lock.skills)) {
+        const root = roots.find(r => r.name === entry.root);
+
+        if (entry.ref) {
+            try {
+                if (!root) {
+                    throw new SkillLockError(`root "${entry.root}" is not configured`, 'NOT_FOUND');
+                }
+                const hash = hashSkill(lockedSkillDir(entry, root.dir, options));
+                if (hash === entry.hash) {
+                    report(key, 'pinned', entry.root, `pinned to ${entry.ref}`);
+                } else {
+                    report(key, 'changed', entry.root, `content at ${entry.ref} no longer matches the lock`);
+                }
+            } catch (error) {
+                report(key, 'bad-pin', entry.root, error.message);
+            }
+            continue;
+        }
+
+        const skill = effective.get(key);
+        if (!skill) {
+            report(key, 'missing', entry.root, `locked from ${entry.root} but not found`);
+        } else if (skill.root !== entry.root) {
+            report(key, 'moved', skill.root, `locked from ${entry.root} but now resolves from ${skill.root}`);
+        } else if (hashSkill(skill.path) !== entry.hash) {
+            report(key, 'changed', skill.root, 'content changed since it was locked');
+        } else {
+            report(key, 'ok', skill.root, '');
+        }
+    }
+
+    for (const [key, skill] of effective) {
+        if (!lock.skills[key]) {
+            report(key, 'unlocked', skill.root, 'not in the lockfile');
+        }
+    }
+
+    entries.sort((a, b) => a.skill.localeCompare(b.skill));
+    return {
+        ok: entries.every(e => e.status === 'ok' || e.status === 'pinned'),
+        entries
+    };
+}
+
+/**
+ * Apply a lock to findSkillsInDir results.
+ *
+ * Pinned skills are swapped for their pinned copy; every skill gets a
+ * `lock` field: {status: 'ok'|'changed'|'pinned'|'unlocked'|'bad-pin', ref}.
+ *
+ * @param {Array} skills - findSkillsInDir() results for one root
+ * @param {Object} lock - Lock object
+ * @param {Object} options
+ * @param {string} [options.cacheDir] - Pin cache directory
+ * @returns {Array}
+ */
+function applyLock(skills, lock, options = {}) {
+    return skills.map(skill => {
+        const entry = lock.skills[skillKey(skill)];
+
+        if (!entry || entry.root !== skill.root) {
+            return { ...skill, lock: { status: 'unlocked', ref: null } };
+        }
+
+        if (!entry.ref) {
+            const status = hashSkill(skill.path) === entry.hash ? 'ok' : 'changed';
+            return { ...skill, lock: { status, ref: null } };
+        }
+
+        let skillDir;
+        try {
+            skillDir = lockedSkillDir(entry, skill.rootDir, options);
+        } catch (error) {
+            return { ...skill, lock: { status: 'bad-pin', ref: entry.ref } };
+        }
+
+        const skillFile = path.join(skillDir, 'SKILL.md');
+        let parsed;
+        try {
+            parsed = parseSkillMetadata(fs.readFileSync(skillFile, 'utf8'));
+        } catch (error) {
+            parsed = { name: '', description: '', metadata: {} };
+        }
+
+        return {
+            ...skill,
+            path: skillDir,
+            skillFile,
+            name: parsed.name || skill.name,
+            description: parsed.description || '',
+            metadata: parsed.metadata,
+            lock: { status: 'pinned', ref: entry.ref }
+        };
+    });
+}
+
+export {
+    LOCKFILE_NAME,
+    SkillLockError,
+    defaultPinCacheDir,
+    hashSkill,
+    checkoutPinnedSkill,
+    readLockFile,
+    writeLockFile,
+    createLock,
+    pinSkill,
+    unpinSkill,
+    lockedSkillDir,
+    verifyLock,
+    applyLock
+};
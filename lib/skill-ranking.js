@@ -0,0 +1,176 @@
+import fs from 'fs';
+import { splitFrontmatter } from './frontmatter.js';
+
+/**
+ * Offline relevance ranking of skills against free text.
+ *
+ * Scores each field (name, description, body) with BM25 and sums them
+ * by field weight. Descriptions say when a skill applies, so they weigh
+ * more than the body. No model, network or dependencies involved.
+ */
+
+const DEFAULT_FIELD_WEIGHTS = { name: 2, description: 4, body: 0.25 };
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+    'before', 'but', 'by', 'can', 'could', 'do', 'does', 'for', 'from', 'had', 'has', 'have',
+    'here', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my', 'need', 'no',
+    'not', 'of', 'on', 'one', 'or', 'our', 'out', 'please', 'should', 'so', 'some', 'than',
+    'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'up', 'us',
+    'use', 'was', 'we', 'were', 'what', 'when', 'which', 'while', 'who', 'will', 'with', 'would',
+    'you', 'your'
+]);
+
+const SUFFIXES = ['ations', 'ation', 'ings', 'ing', 'ers', 'er', 'ed', 'ly', 'es', 's', 'e'];
+
+/**
+ * Reduce a word to a crude stem so "failing", "failed" and "fails" match.
+ */
+function stem(word) {
+    let result = word;
+    for (const suffix of SUFFIXES) {
+        if (result.endsWith(suffix) && result.length - suffix.length >= 3) {
+            result = result.slice(0, -suffix.length);
+            break;
+        }
+    }
+    // "debugg" -> "debug", "plann" -> "plan"
+    if (/([b-df-hj-np-rtv-z])\1$/.test(result) && !/(ll|ss|zz)$/.test(result)) {
+        result = result.slice(0, -1);
+    }
+    return result;
+}
+
+/**
+ * Split text into normalized search terms.
+ *
+ * @param {string} text - Free text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 1 && !STOPWORDS.has(word))
+        .map(stem);
+}
+
+function termFrequencies(terms) {
+    const tf = new Map();
+    for (const term of terms) {
+        tf.set(term, (tf.get(term) || 0) + 1);
+    }
+    return tf;
+}
+
+/**
+ * Body text of a skill: `content` when provided, otherwise its SKILL.md.
+ */
+function readSkillBody(skill) {
+    if (typeof skill.content === 'string') {
+        return skill.content;
+    }
+    if (!skill.skillFile) {
+        return '';
+    }
+
+    try {
+        const content = fs.readFileSync(skill.skillFile, 'utf8');
+        const split = splitFrontmatter(content);
+        return split ? split.body : content;
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Rank skills by relevance to a query.
+ *
+ * @param {string} query - Free-text request, e.g. a user prompt
+ * @param {Array<{name: string, description: string, skillFile?: string, content?: string}>} skills - e.g. findSkillsInDir results
+ * @param {Object} options
+ * @param {number} [options.topK] - Only return the best K results
+ * @param {Object} [options.fieldWeights] - Overrides for {name, description, body} weights
+ * @returns {Array<{skill: Object, score: number, matches: Array<{term: string, score: number, fields: string[]}>}>} - Best first, zero scores omitted
+ */
+function rankSkills(query, skills, options = {}) {
+    const weights = { ...DEFAULT_FIELD_WEIGHTS, ...options.fieldWeights };
+    const fields = Object.keys(weights);
+    const queryTerms = [...new Set(tokenize(query))];
+
+    if (queryTerms.length === 0 || skills.length === 0) {
+        return [];
+    }
+
+    const docs = skills.map(skill => {
+        const text = {
+            name: (skill.name || '').replace(/-/g, ' '),
+            description: skill.description || '',
+            body: readSkillBody(skill)
+        };
+        const doc = { skill, fields: {} };
+        for (const field of fields) {
+            const terms = tokenize(text[field]);
+            doc.fields[field] = { tf: termFrequencies(terms), length: terms.length };
+        }
+        return doc;
+    });
+
+    const avgLength = {};
+    for (const field of fields) {
+        const total = docs.reduce((sum, doc) => sum + doc.fields[field].length, 0);
+        avgLength[field] = total / docs.length || 1;
+    }
+
+    const idf = new Map();
+    for (const term of queryTerms) {
+        const df = docs.filter(doc => fields.some(field => doc.fields[field].tf.has(term))).length;
+        idf.set(term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5)));
+    }
+
+    const ranked = docs.map(doc => {
+        const matches = [];
+
+        for (const term of queryTerms) {
+            let score = 0;
+            const matchedFields = [];
+
+            for (const field of fields) {
+                const { tf, length } = doc.fields[field];
+                const count = tf.get(term) || 0;
+                if (count === 0) {
+                    continue;
+                }
+
+                matchedFields.push(field);
+                const norm = 1 - B + B * length / avgLength[field];
+                score += weights[field] * idf.get(term) * count * (K1 + 1) / (count + K1 * norm);
+            }
+
+            if (score > 0) {
+                matches.push({ term, score: round(score), fields: matchedFields });
+            }
+        }
+
+        matches.sort((a, b) => b.score - a.score);
+        const score = matches.reduce((sum, match) => sum + match.score, 0);
+        return { skill: doc.skill, score: round(score), matches };
+    });
+
+    const results = ranked
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score || a.skill.name.localeCompare(b.skill.name));
+
+    return options.topK ? results.slice(0, options.topK) : results;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+export {
+    rankSkills,
+    tokenize
+};
@@ -1,6 +1,25 @@
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { execSync } from 'child_process';
+import { FrontmatterError, parseFrontmatter, parseSkillMetadata, splitFrontmatter } from './frontmatter.js';
+import { SkillIndex, defaultIndexFile, defaultSkillIndex } from './skill-index.js';
+import { rankSkills } from './skill-ranking.js';
+import { PLATFORM_TOOL_MAPPINGS } from './tool-mappings.js';
+import { isSkillDisabled, loadConfigOrDefault } from '../scripts/teams-helpers/config.js';
+import {
+    SkillLockError,
+    LOCKFILE_NAME,
+    applyLock,
+    lockedSkillDir,
+    readLockFile,
+    writeLockFile,
+    createLock,
+    verifyLock,
+    pinSkill,
+    unpinSkill
+} from './skill-lock.js';
+import { checkForUpdatesAsync, getCachedUpdateCheck, parseReleaseNotes } from './update-check.js';
 
 /**
  * Extract YAML frontmatter from a skill file.
@@ -10,44 +29,19 @@ import { execSync } from 'child_process';
  * description: Use when [condition] - [what it does]
  * ---
  *
+ * Any other keys (tags, requires, version, platforms, when_to_use, ...)
+ * are returned in `metadata`. Never throws: malformed frontmatter is
+ * reported through `error`, which carries the offending line number.
+ *
  * @param {string} filePath - Path to SKILL.md file
- * @returns {{name: string, description: string}}
+ * @returns {{name: string, description: string, metadata: Object, error: Error|null}}
  */
 function extractFrontmatter(filePath) {
     try {
         const content = fs.readFileSync(filePath, 'utf8');
-        const lines = content.split('\n');
-
-        let inFrontmatter = false;
-        let name = '';
-        let description = '';
-
-        for (const line of lines) {
-            if (line.trim() === '---') {
-                if (inFrontmatter) break;
-                inFrontmatter = true;
-                continue;
-            }
-
-            if (inFrontmatter) {
-                const match = line.match(/^(\w+):\s*(.*)$/);
-                if (match) {
-                    const [, key, value] = match;
-                    switch (key) {
-                        case 'name':
-                            name = value.trim();
-                            break;
-                        case 'description':
-                            description = value.trim();
-                            break;
-                    }
-                }
-            }
-        }
-
-        return { name, description };
+        return { ...parseSkillMetadata(content), error: null };
     } catch (error) {
-        return { name: '', description: '' };
+        return { name: '', description: '', metadata: {}, error };
     }
 }
 
@@ -55,11 +49,24 @@ function extractFrontmatter(filePath) {
  * Find all SKILL.md files in a directory recursively.
  *
  * @param {string} dir - Directory to search
- * @param {string} sourceType - 'personal' or 'superpowers' for namespacing
+ * @param {string} sourceType - Root name ('personal', 'superpowers', 'project', ...) for namespacing
  * @param {number} maxDepth - Maximum recursion depth (default: 3)
- * @returns {Array<{path: string, name: string, description: string, sourceType: string}>}
+ * @param {Object} options
+ * @param {SkillIndex|false} [options.index] - Persistent index; only changed skills are re-parsed
+ *   (default: defaultSkillIndex(); false re-reads every SKILL.md)
+ * @param {Object} [options.lock] - skills.lock contents; pinned skills load from their ref and each result gets a `lock` status
+ * @returns {Array<{path: string, name: string, description: string, metadata: Object, sourceType: string, root: string, rootDir: string}>}
  */
-function findSkillsInDir(dir, sourceType, maxDepth = 3) {
+function findSkillsInDir(dir, sourceType, maxDepth = 3, options = {}) {
+    const index = options.index === undefined ? defaultSkillIndex() : options.index;
+    const skills = index
+        ? index.findSkills(dir, sourceType, maxDepth)
+        : scanSkillsDir(dir, sourceType, maxDepth);
+
+    return options.lock ? applyLock(skills, options.lock) : skills;
+}
+
+function scanSkillsDir(dir, sourceType, maxDepth) {
     const skills = [];
 
     if (!fs.existsSync(dir)) return skills;
@@ -76,13 +83,16 @@ function findSkillsInDir(dir, sourceType, maxDepth = 3) {
                 // Check for SKILL.md in this directory
                 const skillFile = path.join(fullPath, 'SKILL.md');
                 if (fs.existsSync(skillFile)) {
-                    const { name, description } = extractFrontmatter(skillFile);
+                    const { name, description, metadata } = extractFrontmatter(skillFile);
                     skills.push({
                         path: fullPath,
                         skillFile: skillFile,
                         name: name || entry.name,
                         description: description || '',
-                        sourceType: sourceType
+                        metadata,
+                        sourceType: sourceType,
+                        root: sourceType,
+                        rootDir: dir
                     });
                 }
 
@@ -97,41 +107,203 @@ function findSkillsInDir(dir, sourceType, maxDepth = 3) {
 }
 
 /**
- * Resolve a skill name to its file path, handling shadowing
- * (personal skills override superpowers skills).
+ * Expand a leading ~ to the user's home directory.
+ *
+ * @param {string} p - Path that may start with ~
+ * @returns {string}
+ */
+function expandHome(p) {
+    if (p === '~') {
+        return os.homedir();
+    }
+    if (p.startsWith('~/')) {
+        return path.join(os.homedir(), p.slice(2));
+    }
+    return p;
+}
+
+/**
+ * Parse a skill roots specification into an ordered search path.
+ *
+ * Accepts an array of {name, dir} or a string of `name=dir` pairs
+ * separated by the platform path delimiter, e.g.
+ * "project=./.claude/skills:team=~/src/org-skills".
+ *
+ * @param {Array<{name: string, dir: string}>|string} spec - Roots in precedence order
+ * @returns {Array<{name: string, dir: string}>}
+ * @throws {Error} On malformed entries or duplicate root names
+ */
+function parseSkillRoots(spec) {
+    if (!spec) {
+        return [];
+    }
+
+    const entries = typeof spec === 'string'
+        ? spec.split(path.delimiter).filter(Boolean).map(pair => {
+            const eq = pair.indexOf('=');
+            if (eq <= 0) {
+                throw new Error(`Invalid skill root "${pair}" (expected name=dir)`);
+            }
+            return { name: pair.slice(0, eq).trim(), dir: pair.slice(eq + 1).trim() };
+        })
+        : spec;
+
+    const seen = new Set();
+    return entries.map(({ name, dir }) => {
+        if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name || '')) {
+            throw new Error(`Invalid skill root name "${name}"`);
+        }
+        if (seen.has(name)) {
+            throw new Error(`Duplicate skill root "${name}"`);
+        }
+        if (!dir) {
+            throw new Error(`Skill root "${name}" has no directory`);
+        }
+        seen.add(name);
+        return { name, dir: path.resolve(expandHome(dir)) };
+    });
+}
+
+/**
+ * Standard search path: project, personal, any extra roots, then superpowers.
+ * Extra roots come from $SUPERPOWERS_SKILL_ROOTS, then from skills.roots in
+ * the superpowers config; an environment root wins over a config root of the
+ * same name.
+ *
+ * @param {Object} options
+ * @param {string} [options.projectDir] - Repository root; adds <projectDir>/.claude/skills
+ * @param {string} [options.personalDir] - Personal skills (default: ~/.claude/skills)
+ * @param {string} [options.superpowersDir] - Bundled superpowers skills
+ * @param {Array<{name: string, dir: string}>|string} [options.extraRoots] - e.g. an org-shared checkout
+ * @param {Object} [options.config] - Superpowers config (default: loadConfigOrDefault({ projectDir }))
+ * @returns {Array<{name: string, dir: string}>}
+ */
+function defaultSkillRoots(options = {}) {
+    const {
+        projectDir,
+        personalDir = path.join(os.homedir(), '.claude', 'skills'),
+        superpowersDir,
+        extraRoots = process.env.SUPERPOWERS_SKILL_ROOTS,
+        config = loadConfigOrDefault({ projectDir })
+    } = options;
+
+    const roots = [];
+    if (projectDir) {
+        roots.push({ name: 'project', dir: path.join(projectDir, '.claude', 'skills') });
+    }
+    if (personalDir) {
+        roots.push({ name: 'personal', dir: personalDir });
+    }
+    const envRoots = parseSkillRoots(extraRoots);
+    roots.push(...envRoots);
+    roots.push(...config.skills.roots.filter(root => !envRoots.some(envRoot => envRoot.name === root.name)));
+    if (superpowersDir) {
+        roots.push({ name: 'superpowers', dir: superpowersDir });
+    }
+
+    return parseSkillRoots(roots);
+}
+
+/**
+ * Normalize the search path arguments shared by the resolve functions.
+ * The legacy (superpowersDir, personalDir) form searches personal first.
+ */
+function toSkillRoots(roots, personalDir) {
+    if (Array.isArray(roots)) {
+        return roots;
+    }
+
+    return [
+        { name: 'personal', dir: personalDir },
+        { name: 'superpowers', dir: roots }
+    ].filter(root => root.dir);
+}
+
+/**
+ * Split "namespace:skill" into its parts.
+ *
+ * @param {string} skillName - Name like "team:deploy" or "my-skill"
+ * @returns {{namespace: string|null, name: string}}
+ */
+function parseSkillName(skillName) {
+    const match = skillName.match(/^([a-z0-9][a-z0-9_-]*):(.+)$/i);
+    return match
+        ? { namespace: match[1], name: match[2] }
+        : { namespace: null, name: skillName };
+}
+
+/**
+ * Find all skills across an ordered search path, tagging each with its root.
+ *
+ * @param {Array<{name: string, dir: string}>} roots - Skill roots in precedence order
+ * @param {number} maxDepth - Maximum recursion depth (default: 3)
+ * @param {Object} options - Passed through to findSkillsInDir, plus:
+ * @param {Object} [options.config] - Superpowers config; skills in its skills.disabled are left out
+ * @returns {Array} - findSkillsInDir results, root by root
+ */
+function findSkillsInRoots(roots, maxDepth = 3, options = {}) {
+    const skills = roots.flatMap(root => findSkillsInDir(root.dir, root.name, maxDepth, options));
+    if (!options.config) {
+        return skills;
+    }
+    return skills.filter(skill => {
+        const key = path.relative(skill.rootDir, skill.path).split(path.sep).join('/');
+        return !isSkillDisabled(options.config, key, skill.root);
+    });
+}
+
+/**
+ * Resolve a skill name to its file path, handling shadowing.
+ *
+ * Roots are searched in order, so earlier roots shadow later ones
+ * (personal skills override superpowers skills). A namespaced name such
+ * as "superpowers:brainstorming" or "team:deploy" only looks in the root
+ * with that name.
+ *
+ * With a lock, a locked skill resolves to its locked root (or pinned copy)
+ * even if another root has since started shadowing it.
  *
  * @param {string} skillName - Name like "superpowers:brainstorming" or "my-skill"
- * @param {string} superpowersDir - Path to superpowers skills directory
- * @param {string} personalDir - Path to personal skills directory
- * @returns {{skillFile: string, sourceType: string, skillPath: string} | null}
+ * @param {Array<{name: string, dir: string}>|string} roots - Search path, or the superpowers skills directory (legacy form)
+ * @param {string} [personalDir] - Path to personal skills directory (legacy form)
+ * @param {Object} [options]
+ * @param {Object} [options.lock] - skills.lock contents
+ * @returns {{skillFile: string, sourceType: string, skillPath: string, root: string, rootDir: string, ref?: string} | null}
+ * @throws {SkillLockError} When a pinned skill cannot be checked out
  */
-function resolveSkillPath(skillName, superpowersDir, personalDir) {
-    // Strip superpowers: prefix if present
-    const forceSuperpowers = skillName.startsWith('superpowers:');
-    const actualSkillName = forceSuperpowers ? skillName.replace(/^superpowers:/, '') : skillName;
-
-    // Try personal skills first (unless explicitly superpowers:)
-    if (!forceSuperpowers && personalDir) {
-        const personalPath = path.join(personalDir, actualSkillName);
-        const personalSkillFile = path.join(personalPath, 'SKILL.md');
-        if (fs.existsSync(personalSkillFile)) {
+function resolveSkillPath(skillName, roots, personalDir, options = {}) {
+    const { namespace, name } = parseSkillName(skillName);
+    const searchPath = toSkillRoots(roots, personalDir);
+
+    const entry = options.lock && options.lock.skills[name];
+    const lockedRoot = entry && searchPath.find(root => root.name === entry.root);
+    if (lockedRoot && (!namespace || namespace === entry.root)) {
+        const skillFile = path.join(lockedSkillDir(entry, lockedRoot.dir), 'SKILL.md');
+        if (fs.existsSync(skillFile)) {
             return {
-                skillFile: personalSkillFile,
-                sourceType: 'personal',
-                skillPath: actualSkillName
+                skillFile,
+                sourceType: lockedRoot.name,
+                skillPath: name,
+                root: lockedRoot.name,
+                rootDir: lockedRoot.dir,
+                ...(entry.ref ? { ref: entry.ref } : {})
             };
         }
     }
 
-    // Try superpowers skills
-    if (superpowersDir) {
-        const superpowersPath = path.join(superpowersDir, actualSkillName);
-        const superpowersSkillFile = path.join(superpowersPath, 'SKILL.md');
-        if (fs.existsSync(superpowersSkillFile)) {
+    for (const root of searchPath) {
+        if (namespace && root.name !== namespace) {
+            continue;
+        }
+
+        const skillFile = path.join(root.dir, name, 'SKILL.md');
+        if (fs.existsSync(skillFile)) {
             return {
-                skillFile: superpowersSkillFile,
-                sourceType: 'superpowers',
-                skillPath: actualSkillName
+                skillFile,
+                sourceType: root.name,
+                skillPath: name,
+                root: root.name,
+                rootDir: root.dir
             };
         }
     }
@@ -139,9 +311,104 @@ function resolveSkillPath(skillName, superpowersDir, personalDir) {
     return null;
 }
 
+class SkillDependencyError extends Error {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {string} code - 'MISSING', 'CYCLE' or 'INVALID'
+     * @param {string[]} chain - Requirement chain that led here, outermost first
+     */
+    constructor(message, code, chain) {
+        super(message);
+        this.name = 'SkillDependencyError';
+        this.code = code;
+        this.chain = chain;
+    }
+}
+
+/**
+ * Normalize a `requires:` frontmatter value to a list of skill names.
+ *
+ * @param {*} requires - Raw frontmatter value
+ * @param {string} skillName - Skill that declared it (for error messages)
+ * @returns {string[]}
+ */
+function normalizeRequires(requires, skillName) {
+    if (requires === undefined || requires === null) {
+        return [];
+    }
+    const list = Array.isArray(requires) ? requires : [requires];
+
+    for (const entry of list) {
+        if (typeof entry !== 'string' || entry.trim() === '') {
+            throw new SkillDependencyError(
+                `Skill "${skillName}" has an invalid requires entry: ${JSON.stringify(entry)}`,
+                'INVALID',
+                [skillName]
+            );
+        }
+    }
+
+    return list.map(entry => entry.trim());
+}
+
+/**
+ * Resolve a skill together with everything it transitively `requires:`.
+ * Each requirement goes through resolveSkillPath, so personal skills
+ * shadow superpowers skills exactly as they do for a direct load.
+ *
+ * @param {string} skillName - Name like "superpowers:executing-as-team" or "my-skill"
+ * @param {Array<{name: string, dir: string}>|string} roots - Search path, or the superpowers skills directory (legacy form)
+ * @param {string} [personalDir] - Path to personal skills directory (legacy form)
+ * @param {Object} [options] - Passed through to resolveSkillPath (e.g. lock)
+ * @returns {Array<{skillFile: string, sourceType: string, skillPath: string, root: string, rootDir: string, requires: string[]}>} - Load order: dependencies first, the requested skill last
+ * @throws {SkillDependencyError} When a skill is missing, a cycle exists, or requires is malformed
+ */
+function resolveSkillWithDependencies(skillName, roots, personalDir, options = {}) {
+    const ordered = [];
+    const loaded = new Set();
+    const visiting = [];
+
+    function visit(name, chain) {
+        const resolved = resolveSkillPath(name, roots, personalDir, options);
+        if (!resolved) {
+            const message = chain.length > 0
+                ? `Skill "${chain[chain.length - 1]}" requires "${name}", which was not found`
+                : `Skill "${name}" not found`;
+            throw new SkillDependencyError(message, 'MISSING', [...chain, name]);
+        }
+
+        if (loaded.has(resolved.skillFile)) {
+            return;
+        }
+
+        const cycleStart = visiting.indexOf(resolved.skillFile);
+        if (cycleStart !== -1) {
+            const cycle = [...chain.slice(cycleStart), name];
+            throw new SkillDependencyError(`Circular skill requirement: ${cycle.join(' -> ')}`, 'CYCLE', cycle);
+        }
+
+        visiting.push(resolved.skillFile);
+        const { metadata } = extractFrontmatter(resolved.skillFile);
+        const requires = normalizeRequires(metadata.requires, name);
+        for (const dependency of requires) {
+            visit(dependency, [...chain, name]);
+        }
+        visiting.pop();
+
+        loaded.add(resolved.skillFile);
+        ordered.push({ ...resolved, requires });
+    }
+
+    visit(skillName, []);
+    return ordered;
+}
+
 /**
  * Check if a git repository has updates available.
  *
+ * Blocks on `git fetch` for up to 3 seconds. Prefer checkForUpdatesAsync(),
+ * which is cached and reports how far behind and what changed.
+ *
  * @param {string} repoDir - Path to git repository
  * @returns {boolean} - True if updates are available
  */
@@ -176,33 +443,122 @@ function checkForUpdates(repoDir) {
  * @returns {string} - Content without frontmatter
  */
 function stripFrontmatter(content) {
-    const lines = content.split('\n');
-    let inFrontmatter = false;
-    let frontmatterEnded = false;
-    const contentLines = [];
-
-    for (const line of lines) {
-        if (line.trim() === '---') {
-            if (inFrontmatter) {
-                frontmatterEnded = true;
-                continue;
+    try {
+        const split = splitFrontmatter(content);
+        return (split ? split.body : content).trim();
+    } catch (error) {
+        // Unterminated frontmatter: there is no body to recover
+        return '';
+    }
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Rewrite Claude Code tool names in skill content to a platform's names.
+ *
+ * Overrides replace or extend the platform table for one skill; mapping a
+ * name to null leaves it untouched. Skills can also carry their own
+ * overrides in frontmatter:
+ *
+ *   tool_mappings:
+ *     opencode:
+ *       TodoWrite: todowrite
+ *
+ * @param {string} content - Skill content (usually after stripFrontmatter)
+ * @param {string} platform - 'claude-code', 'opencode' or 'codex'
+ * @param {Object} options
+ * @param {string} [options.skillName] - Skill being rewritten, for options.overrides
+ * @param {Object} [options.overrides] - {skillName: {from: to|null}}
+ * @param {Object} [options.metadata] - Skill frontmatter, for tool_mappings
+ * @returns {{content: string, substitutions: Array<{from: string, to: string, line: number, source: string, note: string|null}>}} - source is 'platform', 'override' or 'frontmatter'
+ * @throws {Error} On an unknown platform
+ */
+function rewriteToolNames(content, platform, options = {}) {
+    const table = PLATFORM_TOOL_MAPPINGS[platform];
+    if (!table) {
+        throw new Error(`Unknown platform "${platform}" (expected ${Object.keys(PLATFORM_TOOL_MAPPINGS).join(', ')})`);
+    }
+
+    const rules = new Map(table.map(rule => [rule.from, { to: rule.to, source: 'platform', note: rule.note || null }]));
+    const layers = [
+        ['frontmatter', options.metadata && options.metadata.tool_mappings && options.metadata.tool_mappings[platform]],
+        ['override', options.overrides && options.skillName && options.overrides[options.skillName]]
+    ];
+    for (const [source, mapping] of layers) {
+        for (const [from, to] of Object.entries(mapping || {})) {
+            if (to === null || to === false) {
+                rules.delete(from);
+            } else {
+                rules.set(from, { to: String(to), source, note: null });
             }
-            inFrontmatter = true;
-            continue;
         }
+    }
 
-        if (frontmatterEnded || !inFrontmatter) {
-            contentLines.push(line);
-        }
+    const substitutions = [];
+    if (rules.size === 0) {
+        return { content, substitutions };
+    }
+
+    // Longest first, so "Task tool" wins over a bare "Task" rule
+    const names = [...rules.keys()].sort((a, b) => b.length - a.length);
+    const pattern = new RegExp(`(?<![\\w-])(?:${names.map(escapeRegExp).join('|')})(?![\\w-])`, 'g');
+
+    const lineStarts = [0];
+    for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) {
+        lineStarts.push(i + 1);
     }
+    const lineAt = (offset) => {
+        let line = 0;
+        while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+            line++;
+        }
+        return line + 1;
+    };
+
+    const rewritten = content.replace(pattern, (match, offset) => {
+        const rule = rules.get(match);
+        if (rule.to === match) {
+            return match;
+        }
+        substitutions.push({ from: match, to: rule.to, line: lineAt(offset), source: rule.source, note: rule.note });
+        return rule.to;
+    });
 
-    return contentLines.join('\n').trim();
+    return { content: rewritten, substitutions };
 }
 
 export {
+    FrontmatterError,
+    parseFrontmatter,
     extractFrontmatter,
     findSkillsInDir,
+    findSkillsInRoots,
+    parseSkillRoots,
+    defaultSkillRoots,
+    parseSkillName,
+    SkillIndex,
+    defaultIndexFile,
+    defaultSkillIndex,
     resolveSkillPath,
+    resolveSkillWithDependencies,
+    SkillDependencyError,
+    rankSkills,
+    SkillLockError,
+    LOCKFILE_NAME,
+    readLockFile,
+    writeLockFile,
+    createLock,
+    verifyLock,
+    pinSkill,
+    unpinSkill,
     checkForUpdates,
-    stripFrontmatter
+    checkForUpdatesAsync,
+    getCachedUpdateCheck,
+    parseReleaseNotes,
+    stripFrontmatter,
+    rewriteToolNames,
+    PLATFORM_TOOL_MAPPINGS
 };
@@ -0,0 +1,40 @@
+/**
+ * Tool names skills are written with (Claude Code's) and what each
+ * platform calls them. Used by rewriteToolNames() in skills-core.
+ *
+ * Each rule replaces `from` as a whole word or phrase. Phrases like
+ * "Task tool" are used instead of bare names where the bare word is also
+ * ordinary English.
+ */
+
+const PLATFORM_TOOL_MAPPINGS = {
+    'claude-code': [],
+
+    opencode: [
+        { from: 'TodoWrite', to: 'update_plan' },
+        { from: 'Task tool', to: 'subagent (@mention)', note: 'OpenCode dispatches subagents by @mentioning them' },
+        { from: 'Skill tool', to: 'use_skill tool', note: 'Registered by the superpowers plugin' },
+        { from: 'Read tool', to: 'read tool' },
+        { from: 'Write tool', to: 'write tool' },
+        { from: 'Edit tool', to: 'edit tool' },
+        { from: 'Bash tool', to: 'bash tool' },
+        { from: 'Grep tool', to: 'grep tool' },
+        { from: 'Glob tool', to: 'glob tool' }
+    ],
+
+    codex: [
+        { from: 'TodoWrite', to: 'update_plan' },
+        { from: 'Task tool', to: 'spawn_agent tool', note: 'Without subagent support, do the dispatched work yourself, one task at a time' },
+        { from: 'Skill tool', to: 'native skill loading', note: 'Codex loads skills from ~/.agents/skills on its own' },
+        { from: 'Read tool', to: 'shell tool' },
+        { from: 'Write tool', to: 'apply_patch tool' },
+        { from: 'Edit tool', to: 'apply_patch tool' },
+        { from: 'Bash tool', to: 'shell tool' },
+        { from: 'Grep tool', to: 'shell tool' },
+        { from: 'Glob tool', to: 'shell tool' }
+    ]
+};
+
+export {
+    PLATFORM_TOOL_MAPPINGS
+};
@@ -0,0 +1,136 @@
+/**
+ * Line-based unified diff, in the format `diff -u` prints.
+ */
+
+/**
+ * Edit script between two line arrays, from their longest common subsequence.
+ *
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>}
+ */
+function diffLines(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i * width + j] = a[i] === b[j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            ops.push({ type: ' ', line: a[i++] });
+            j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+            ops.push({ type: '-', line: a[i++] });
+        } else {
+            ops.push({ type: '+', line: b[j++] });
+        }
+    }
+    while (i < n) {
+        ops.push({ type: '-', line: a[i++] });
+    }
+    while (j < m) {
+        ops.push({ type: '+', line: b[j++] });
+    }
+
+    return ops;
+}
+
+function splitLines(text) {
+    if (text === '') {
+        return [];
+    }
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+}
+
+function range(start, count) {
+    // diff -u prints an empty range as the line before it
+    if (count === 0) {
+        return `${start - 1},0`;
+    }
+    return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Unified diff of two texts.
+ *
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} options
+ * @param {string} [options.oldLabel] - Name on the --- line (default: "a")
+ * @param {string} [options.newLabel] - Name on the +++ line (default: "b")
+ * @param {number} [options.context] - Unchanged lines around each change (default: 3)
+ * @returns {string} - Empty string when the texts are identical
+ */
+function unifiedDiff(oldText, newText, options = {}) {
+    const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+    if (ops.every(op => op.type === ' ')) {
+        return '';
+    }
+
+    // Group changes whose context would overlap into one hunk
+    const hunks = [];
+    let current = null;
+    ops.forEach((op, index) => {
+        if (op.type === ' ') {
+            return;
+        }
+        const start = Math.max(0, index - context);
+        const end = Math.min(ops.length, index + context + 1);
+        if (current && start <= current.end) {
+            current.end = end;
+        } else {
+            current = { start, end };
+            hunks.push(current);
+        }
+    });
+
+    const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+    let oldLine = 1;
+    let newLine = 1;
+    let pos = 0;
+
+    for (const hunk of hunks) {
+        for (; pos < hunk.start; pos++) {
+            if (ops[pos].type !== '+') {
+                oldLine++;
+            }
+            if (ops[pos].type !== '-') {
+                newLine++;
+            }
+        }
+
+        const body = ops.slice(hunk.start, hunk.end);
+        const oldCount = body.filter(op => op.type !== '+').length;
+        const newCount = body.filter(op => op.type !== '-').length;
+
+        out.push(`@@ -${range(oldLine, oldCount)} +${range(newLine, newCount)} @@`);
+        for (const op of body) {
+            out.push(op.type + op.line);
+        }
+
+        oldLine += oldCount;
+        newLine += newCount;
+        pos = hunk.end;
+    }
+
+    return out.join('\n') + '\n';
+}
+
+export {
+    unifiedDiff
+};
@@ -0,0 +1,288 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+
+const CACHE_VERSION = 1;
+const DEFAULT_TTL_MS = 6 * 60 * 60 * 1000;
+// A failed check (offline, no remote) is retried much sooner
+const ERROR_TTL_MS = 5 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10000;
+const GIT_TIMEOUT_MS = 3000;
+
+/**
+ * Default location of the update check cache.
+ *
+ * @returns {string} - $XDG_CACHE_HOME/superpowers/update-check.json (or ~/.cache/...)
+ */
+function defaultUpdateCacheFile() {
+    const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+    return path.join(cacheHome, 'superpowers', 'update-check.json');
+}
+
+/**
+ * Run git, resolving to trimmed stdout or null on any failure.
+ */
+function git(repoDir, args, timeout = GIT_TIMEOUT_MS) {
+    return new Promise((resolve) => {
+        execFile('git', args, { cwd: repoDir, timeout, encoding: 'utf8' }, (error, stdout) => {
+            resolve(error ? null : stdout.trim());
+        });
+    });
+}
+
+/**
+ * Run git, rejecting with git's own error output on failure.
+ */
+function gitOrThrow(repoDir, args, timeout = GIT_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        execFile('git', args, { cwd: repoDir, timeout, encoding: 'utf8' }, (error, stdout, stderr) => {
+            if (error) {
+                const detail = error.killed ? `timed out after ${timeout}ms` : (stderr || error.message).trim();
+                reject(new Error(`git ${args[0]} failed: ${detail}`));
+            } else {
+                resolve(stdout.trim());
+            }
+        });
+    });
+}
+
+/**
+ * Split RELEASE-NOTES.md into per-version entries.
+ *
+ * @param {string} content - Markdown with "## vX.Y.Z (date)" headings
+ * @returns {Array<{version: string, date: string|null, body: string}>} - In file order (newest first)
+ */
+function parseReleaseNotes(content) {
+    const entries = [];
+    const heading = /^## v?(\d+\.\d+\.\d+\S*)(?:\s+\(([^)]*)\))?\s*$/gm;
+    const matches = [...(content || '').matchAll(heading)];
+
+    matches.forEach((match, i) => {
+        const start = match.index + match[0].length;
+        const end = i + 1 < matches.length ? matches[i + 1].index : content.length;
+        entries.push({
+            version: match[1],
+            date: match[2] || null,
+            body: content.slice(start, end).trim()
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * Pick the remote to compare against.
+ *
+ * Explicit option, then $SUPERPOWERS_UPDATE_REMOTE, then "upstream" (the
+ * usual name for the original repo in a fork), then the current branch's
+ * tracking remote, then "origin".
+ */
+async function resolveRemote(repoDir, requested, trackingRemote) {
+    const remotes = ((await git(repoDir, ['remote'])) || '').split('\n').filter(Boolean);
+    const explicit = requested || process.env.SUPERPOWERS_UPDATE_REMOTE;
+
+    if (explicit) {
+        if (!remotes.includes(explicit)) {
+            throw new Error(`Remote "${explicit}" is not configured`);
+        }
+        return explicit;
+    }
+
+    for (const candidate of ['upstream', trackingRemote, 'origin']) {
+        if (candidate && remotes.includes(candidate)) {
+            return candidate;
+        }
+    }
+
+    throw new Error('No git remote to check for updates');
+}
+
+/**
+ * Pick the remote branch to compare against: the explicit option, the
+ * tracking branch when it lives on the chosen remote, the remote's default
+ * branch, or main/master.
+ */
+async function resolveRemoteBranch(repoDir, remote, requested, tracking) {
+    if (requested) {
+        return requested;
+    }
+    if (tracking && tracking.remote === remote) {
+        return tracking.branch;
+    }
+
+    const remoteHead = await git(repoDir, ['symbolic-ref', '--short', `refs/remotes/${remote}/HEAD`]);
+    if (remoteHead && remoteHead.startsWith(`${remote}/`)) {
+        return remoteHead.slice(remote.length + 1);
+    }
+
+    for (const candidate of ['main', 'master']) {
+        if (await git(repoDir, ['rev-parse', '--verify', '--quiet', `refs/remotes/${remote}/${candidate}`])) {
+            return candidate;
+        }
+    }
+
+    throw new Error(`Cannot determine which branch of "${remote}" to compare against`);
+}
+
+function readCache(cacheFile) {
+    try {
+        const parsed = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        return parsed && parsed.version === CACHE_VERSION ? parsed : { version: CACHE_VERSION, entries: {} };
+    } catch (error) {
+        return { version: CACHE_VERSION, entries: {} };
+    }
+}
+
+function writeCache(cacheFile, key, result) {
+    try {
+        const cache = readCache(cacheFile);
+        cache.entries[key] = result;
+        fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+        const tmpFile = `${cacheFile}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(cache));
+        fs.renameSync(tmpFile, cacheFile);
+    } catch (error) {
+        // Read-only home, full disk, etc. - the next check simply runs again
+    }
+}
+
+function cacheKey(repoDir, options) {
+    return [path.resolve(repoDir), options.remote || process.env.SUPERPOWERS_UPDATE_REMOTE || '', options.branch || ''].join('\0');
+}
+
+/**
+ * Last recorded update check, without touching git or the network.
+ *
+ * Meant for startup paths: show what is known now and let
+ * checkForUpdatesAsync() refresh it in the background.
+ *
+ * @param {string} repoDir - Path to git repository
+ * @param {Object} options - Same options as checkForUpdatesAsync()
+ * @param {boolean} [options.allowStale] - Return results older than the TTL too
+ * @returns {Object|null} - checkForUpdatesAsync() result with cached: true, or null
+ */
+function getCachedUpdateCheck(repoDir, options = {}) {
+    const {
+        cacheFile = defaultUpdateCacheFile(),
+        ttlMs = DEFAULT_TTL_MS,
+        errorTtlMs = ERROR_TTL_MS,
+        allowStale = false
+    } = options;
+    const entry = readCache(cacheFile).entries[cacheKey(repoDir, options)];
+
+    if (!entry) {
+        return null;
+    }
+    const maxAge = entry.error ? Math.min(ttlMs, errorTtlMs) : ttlMs;
+    if (!allowStale && Date.now() - Date.parse(entry.checkedAt) > maxAge) {
+        return null;
+    }
+
+    return { ...entry, cached: true };
+}
+
+/**
+ * Check whether a git checkout is behind its remote, without blocking.
+ *
+ * Results are cached on disk for ttlMs so repeated startups do not fetch.
+ * A failed fetch (offline, timeout) still compares against the last fetched
+ * remote-tracking branch and reports the failure in `error`; such results
+ * are only cached for errorTtlMs, so the next start after reconnecting
+ * checks again.
+ *
+ * @param {string} repoDir - Path to git repository
+ * @param {Object} options
+ * @param {string} [options.remote] - Remote to compare against (default: see resolveRemote)
+ * @param {string} [options.branch] - Remote branch to compare against (default: tracking or default branch)
+ * @param {number} [options.ttlMs] - Reuse a cached result younger than this (default: 6 hours)
+ * @param {number} [options.errorTtlMs] - Same, for results with an error (default: 5 minutes)
+ * @param {boolean} [options.force] - Ignore the cache
+ * @param {string} [options.cacheFile] - Cache location (default: defaultUpdateCacheFile())
+ * @param {number} [options.fetchTimeoutMs] - Give up on git fetch after this long (default: 10s)
+ * @returns {Promise<{available: boolean, behind: number, ahead: number, remote: string|null, branch: string|null, localBranch: string|null, detached: boolean, head: string|null, releaseNotes: Array<{version: string, date: string|null, body: string}>, fetched: boolean, error: string|null, checkedAt: string, cached: boolean}>} - Never rejects
+ */
+async function checkForUpdatesAsync(repoDir, options = {}) {
+    const { cacheFile = defaultUpdateCacheFile(), force = false, fetchTimeoutMs = FETCH_TIMEOUT_MS } = options;
+
+    if (!force) {
+        const cached = getCachedUpdateCheck(repoDir, options);
+        if (cached) {
+            return cached;
+        }
+    }
+
+    const result = {
+        available: false,
+        behind: 0,
+        ahead: 0,
+        remote: null,
+        branch: null,
+        localBranch: null,
+        detached: false,
+        head: null,
+        releaseNotes: [],
+        fetched: false,
+        error: null,
+        checkedAt: new Date().toISOString(),
+        cached: false
+    };
+
+    try {
+        result.head = await gitOrThrow(repoDir, ['rev-parse', 'HEAD']);
+        result.localBranch = await git(repoDir, ['symbolic-ref', '--quiet', '--short', 'HEAD']);
+        result.detached = !result.localBranch;
+
+        let tracking = null;
+        if (result.localBranch) {
+            const upstream = await git(repoDir, ['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{upstream}']);
+            const trackingRemote = await git(repoDir, ['config', `branch.${result.localBranch}.remote`]);
+            if (upstream && trackingRemote && upstream.startsWith(`${trackingRemote}/`)) {
+                tracking = { remote: trackingRemote, branch: upstream.slice(trackingRemote.length + 1) };
+            }
+        }
+
+        result.remote = await resolveRemote(repoDir, options.remote, tracking && tracking.remote);
+
+        try {
+            await gitOrThrow(repoDir, ['fetch', '--quiet', result.remote], fetchTimeoutMs);
+            result.fetched = true;
+        } catch (error) {
+            // Offline or slow network: fall back to what was fetched last time
+            result.error = error.message;
+        }
+
+        result.branch = await resolveRemoteBranch(repoDir, result.remote, options.branch, tracking);
+        const remoteRef = `refs/remotes/${result.remote}/${result.branch}`;
+
+        const counts = await gitOrThrow(repoDir, ['rev-list', '--left-right', '--count', `HEAD...${remoteRef}`]);
+        const [ahead, behind] = counts.split(/\s+/).map(Number);
+        result.ahead = ahead;
+        result.behind = behind;
+        result.available = behind > 0;
+
+        if (result.available) {
+            const remoteNotes = await git(repoDir, ['show', `${remoteRef}:RELEASE-NOTES.md`]);
+            let localNotes = '';
+            try {
+                localNotes = fs.readFileSync(path.join(repoDir, 'RELEASE-NOTES.md'), 'utf8');
+            } catch (error) {
+                // No local release notes: every remote entry is new
+            }
+            const known = new Set(parseReleaseNotes(localNotes).map(entry => entry.version));
+            result.releaseNotes = parseReleaseNotes(remoteNotes).filter(entry => !known.has(entry.version));
+        }
+    } catch (error) {
+        result.error = error.message;
+    }
+
+    writeCache(cacheFile, cacheKey(repoDir, options), result);
+    return result;
+}
+
+export {
+    checkForUpdatesAsync,
+    getCachedUpdateCheck,
+    parseReleaseNotes,
+    defaultUpdateCacheFile
+};
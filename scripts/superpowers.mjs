@@ -0,0 +1,617 @@
+#!/usr/bin/env node
+
+/**
+ * Superpowers command-line tools.
+ *
+ * Usage:
+ *   ./superpowers.mjs <command> [options]
+ *
+ * Commands:
+ *   lint-skills [dir]    Check SKILL.md files for common mistakes
+ *   find-skills <query>  List the skills most relevant to a request
+ *   lock-skills          Record, verify or pin skills in skills.lock
+ *   shadow-report        List skills hidden by a same-named skill in an earlier root
+ *   bootstrap            Print the session bootstrap (or SessionStart hook JSON)
+ *   migrate-skills       Move skills from ~/.config/superpowers/skills to ~/.claude/skills
+ *   sessions [id]        List journaled sessions, or show one session's entries
+ *   journal-hook         Record a Claude Code hook event (reads hook JSON on stdin)
+ *   backends             Show which execution backend teams would use, and why
+ *   goal-drift <plan>    List plan tasks whose goal tags the design doc has since changed
+ *   schedule <plan>      Show a plan's task waves, critical path and predicted makespan
+ *
+ * Run a command with --help for its options.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { lintSkills, formatLintReport } from '../lib/skill-lint.js';
+import { shadowReport, formatShadowReport } from '../lib/shadow-report.js';
+import { buildBootstrap, sessionStartHookOutput } from '../lib/bootstrap.js';
+import { formatMigrationReport, migrateLegacySkills } from '../lib/legacy-migration.js';
+import { listSessions, querySessions, readSession, recordHookEvent } from './teams-helpers/journal.js';
+import { detectAgentTeamsMode } from './teams-helpers/detect-mode.js';
+import { loadConfig, loadConfigOrDefault } from './teams-helpers/config.js';
+import { detectGoalDrift, extractPlanGoalTags, findTaskChecks } from './teams-helpers/goal-drift.js';
+import { designDocFor, formatPlanErrors, loadPlan } from './teams-helpers/plan-parser.js';
+import { analyzeTaskSchedule, suggestTeammateCount } from './teams-helpers/task-grouping.js';
+import { findGoalDimension } from './teams-helpers/goal-tags.js';
+import {
+  LOCKFILE_NAME,
+  createLock,
+  defaultSkillRoots,
+  findSkillsInRoots,
+  pinSkill,
+  rankSkills,
+  readLockFile,
+  unpinSkill,
+  verifyLock,
+  writeLockFile
+} from '../lib/skills-core.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const superpowersSkillsDir = path.resolve(__dirname, '../skills');
+
+const commands = {
+  'lint-skills': {
+    usage: 'lint-skills [dir] [--json] [--strict] [--max-body-lines N] [--superpowers-dir DIR]',
+    description: 'Check SKILL.md files for common mistakes (default dir: bundled skills)',
+    options: {
+      json: { type: 'boolean' },
+      strict: { type: 'boolean' },
+      'max-body-lines': { type: 'string' },
+      'superpowers-dir': { type: 'string' }
+    },
+    run({ values, positionals }) {
+      const dir = path.resolve(positionals[0] || superpowersSkillsDir);
+      const limits = {};
+      if (values['max-body-lines'] !== undefined) {
+        limits.maxBodyLines = Number(values['max-body-lines']);
+        if (!(Number.isInteger(limits.maxBodyLines) && limits.maxBodyLines > 0)) {
+          console.error(`Error: --max-body-lines must be a positive whole number, got "${values['max-body-lines']}"`);
+          console.error(`Usage: superpowers.mjs ${this.usage}`);
+          return 2;
+        }
+      }
+
+      const result = lintSkills(dir, {
+        superpowersDir: values['superpowers-dir'] ? path.resolve(values['superpowers-dir']) : superpowersSkillsDir,
+        limits
+      });
+
+      if (values.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        console.log(formatLintReport(result));
+      }
+
+      const failed = result.errorCount > 0 || (values.strict && result.warningCount > 0);
+      return failed ? 1 : 0;
+    }
+  },
+
+  'find-skills': {
+    usage: 'find-skills <query> [--top N] [--json]',
+    description: 'List the skills most relevant to a request, with the terms that matched',
+    options: {
+      top: { type: 'string', default: '5' },
+      json: { type: 'boolean' }
+    },
+    run({ values, positionals }) {
+      const query = positionals.join(' ').trim();
+      if (!query) {
+        console.error(`Usage: superpowers.mjs ${this.usage}`);
+        return 2;
+      }
+
+      const topK = parseInt(values.top, 10);
+      if (!(topK > 0)) {
+        console.error(`Error: --top must be a positive number, got "${values.top}"`);
+        return 2;
+      }
+
+      // Earlier roots shadow later ones, as in resolveSkillPath
+      const config = loadConfigOrDefault({ projectDir: process.cwd() });
+      const roots = defaultSkillRoots({ projectDir: process.cwd(), superpowersDir: superpowersSkillsDir, config });
+      const seen = new Set();
+      const skills = findSkillsInRoots(roots, 3, { config }).filter(skill => {
+        if (seen.has(skill.name)) {
+          return false;
+        }
+        seen.add(skill.name);
+        return true;
+      });
+
+      const results = rankSkills(query, skills, { topK });
+
+      if (values.json) {
+        console.log(JSON.stringify(results.map(({ skill, score, matches }) => ({
+          name: skill.name,
+          root: skill.root,
+          skillFile: skill.skillFile,
+          score,
+          matches
+        })), null, 2));
+        return 0;
+      }
+
+      if (results.length === 0) {
+        console.log('No matching skills');
+        return 0;
+      }
+
+      for (const { skill, score, matches } of results) {
+        const terms = matches.map(match => `${match.term} (${match.fields.join(', ')})`).join(', ');
+        console.log(`${score.toFixed(2).padStart(7)}  ${skill.root}:${skill.name}`);
+        console.log(`         ${terms}`);
+      }
+      return 0;
+    }
+  },
+
+  'lock-skills': {
+    usage: 'lock-skills [--verify] [--pin NAME@REF] [--unpin NAME] [--file PATH] [--json]',
+    description: 'Record resolved skills in skills.lock, check for drift, or pin a skill to a git ref',
+    options: {
+      verify: { type: 'boolean' },
+      pin: { type: 'string' },
+      unpin: { type: 'string' },
+      file: { type: 'string' },
+      json: { type: 'boolean' }
+    },
+    run({ values }) {
+      const lockFile = path.resolve(values.file || LOCKFILE_NAME);
+      const config = loadConfigOrDefault({ projectDir: process.cwd() });
+      const roots = defaultSkillRoots({ projectDir: process.cwd(), superpowersDir: superpowersSkillsDir, config });
+      const skills = findSkillsInRoots(roots, 3, { config });
+      const previous = readLockFile(lockFile);
+
+      if (values.verify) {
+        if (!previous) {
+          console.error(`Error: ${lockFile} does not exist (run lock-skills first)`);
+          return 1;
+        }
+
+        const result = verifyLock(previous, skills, roots);
+        if (values.json) {
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          for (const entry of result.entries) {
+            if (entry.status === 'ok') {
+              continue;
+            }
+            console.log(`${entry.status.padEnd(9)} ${entry.skill}${entry.message ? `  ${entry.message}` : ''}`);
+          }
+          const drifted = result.entries.filter(entry => entry.status !== 'ok' && entry.status !== 'pinned').length;
+          console.log(result.ok
+            ? `${result.entries.length} skill(s) match ${path.basename(lockFile)}`
+            : `${drifted} skill(s) drifted from ${path.basename(lockFile)}`);
+        }
+        return result.ok ? 0 : 1;
+      }
+
+      if (values.pin) {
+        const at = values.pin.lastIndexOf('@');
+        if (at <= 0 || at === values.pin.length - 1) {
+          console.error(`Error: --pin expects NAME@REF, got "${values.pin}"`);
+          return 2;
+        }
+
+        const lock = previous || createLock(skills);
+        const name = values.pin.slice(0, at);
+        const entry = pinSkill(lock, name, values.pin.slice(at + 1), roots);
+        writeLockFile(lockFile, lock);
+        console.log(`Pinned ${name} to ${entry.ref} (${entry.commit.slice(0, 12)})`);
+        return 0;
+      }
+
+      if (values.unpin) {
+        if (!previous || !unpinSkill(previous, values.unpin, skills)) {
+          console.error(`Error: ${values.unpin} is not pinned`);
+          return 1;
+        }
+        writeLockFile(lockFile, previous);
+        console.log(`Unpinned ${values.unpin}`);
+        return 0;
+      }
+
+      const lock = createLock(skills, { previous });
+      writeLockFile(lockFile, lock);
+      console.log(`Locked ${Object.keys(lock.skills).length} skill(s) in ${path.relative(process.cwd(), lockFile) || lockFile}`);
+      return 0;
+    }
+  },
+
+  'shadow-report': {
+    usage: 'shadow-report [--json] [--no-diff]',
+    description: 'List skills hidden by a same-named skill in an earlier root, with diffs',
+    options: {
+      json: { type: 'boolean' },
+      'no-diff': { type: 'boolean' }
+    },
+    run({ values }) {
+      const config = loadConfigOrDefault({ projectDir: process.cwd() });
+      const roots = defaultSkillRoots({ projectDir: process.cwd(), superpowersDir: superpowersSkillsDir, config });
+      const report = shadowReport(roots, { diff: !values['no-diff'], config });
+
+      if (values.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        console.log(formatShadowReport(report));
+      }
+      return 0;
+    }
+  },
+
+  bootstrap: {
+    usage: 'bootstrap [--platform claude-code|opencode|codex] [--hook] [--budget N] [--with-skills] [--report] [--superpowers-dir DIR]',
+    description: 'Print the session bootstrap for a platform, or the SessionStart hook JSON with --hook',
+    options: {
+      platform: { type: 'string', default: 'claude-code' },
+      hook: { type: 'boolean' },
+      budget: { type: 'string' },
+      'with-skills': { type: 'boolean' },
+      report: { type: 'boolean' },
+      'superpowers-dir': { type: 'string' }
+    },
+    run({ values }) {
+      const superpowersDir = values['superpowers-dir'] ? path.resolve(values['superpowers-dir']) : superpowersSkillsDir;
+
+      let budget;
+      if (values.budget !== undefined) {
+        budget = parseInt(values.budget, 10);
+        if (!(budget > 0)) {
+          console.error(`Error: --budget must be a positive number, got "${values.budget}"`);
+          return 2;
+        }
+      }
+
+      let skills = [];
+      if (values['with-skills']) {
+        // Earlier roots shadow later ones, as in resolveSkillPath
+        const config = loadConfigOrDefault({ projectDir: process.cwd() });
+        const roots = defaultSkillRoots({ projectDir: process.cwd(), superpowersDir, config });
+        const seen = new Set();
+        skills = findSkillsInRoots(roots, 3, { config }).filter(skill => {
+          if (seen.has(skill.name)) {
+            return false;
+          }
+          seen.add(skill.name);
+          return true;
+        });
+      }
+
+      const built = buildBootstrap(values.platform, { superpowersDir, budget, skills });
+
+      if (built === null) {
+        console.error(`Error: using-superpowers skill not found in ${superpowersDir}`);
+        return 1;
+      }
+
+      process.stdout.write(values.hook ? sessionStartHookOutput(built.content) : `${built.content}\n`);
+
+      // On stderr, so the hook output stays valid JSON
+      if (values.report) {
+        console.error(`Bootstrap: ${built.level}, ~${built.tokens} of ${built.budget} tokens`);
+        for (const item of built.dropped) {
+          console.error(`  dropped ${item.kind}: ${item.name}`);
+        }
+      }
+      return 0;
+    }
+  },
+
+  'migrate-skills': {
+    usage: 'migrate-skills [--dry-run] [--move] [--target DIR] [--json]',
+    description: 'Copy (or --move) skills from ~/.config/superpowers/skills to ~/.claude/skills, upgrading their frontmatter',
+    options: {
+      'dry-run': { type: 'boolean' },
+      move: { type: 'boolean' },
+      target: { type: 'string' },
+      json: { type: 'boolean' }
+    },
+    run({ values }) {
+      const report = migrateLegacySkills({
+        dryRun: values['dry-run'],
+        move: values.move,
+        targetDir: values.target ? path.resolve(values.target) : undefined
+      });
+
+      if (values.json) {
+        // Leave the migrated SKILL.md text out of the JSON report
+        const skills = report.skills.map(skill => ({ ...skill, content: undefined }));
+        console.log(JSON.stringify({ ...report, skills }, null, 2));
+      } else {
+        console.log(formatMigrationReport(report));
+      }
+      return report.skills.some(skill => skill.status === 'error') ? 1 : 0;
+    }
+  },
+
+  sessions: {
+    usage: 'sessions [session-id] [--branch NAME] [--since DATE] [--skill NAME] [--event NAME] [--json]',
+    description: 'List journaled sessions in this project, or show the entries of one session',
+    options: {
+      branch: { type: 'string' },
+      since: { type: 'string' },
+      skill: { type: 'string' },
+      event: { type: 'string' },
+      json: { type: 'boolean' }
+    },
+    run({ values, positionals }) {
+      const projectDir = process.cwd();
+      const filters = { branch: values.branch, since: values.since, skill: values.skill };
+
+      if (values.since && isNaN(new Date(values.since))) {
+        console.error(`Error: --since must be a date, got "${values.since}"`);
+        return 2;
+      }
+
+      let entries = null;
+      if (positionals[0]) {
+        entries = readSession(projectDir, positionals[0]).filter(entry => !values.event || entry.event === values.event);
+        if (entries.length === 0 && !values.event) {
+          console.error(`Error: no journal for session "${positionals[0]}"`);
+          return 1;
+        }
+      } else if (values.event) {
+        entries = querySessions(projectDir, { ...filters, event: values.event });
+      }
+
+      if (entries) {
+        if (values.json) {
+          console.log(JSON.stringify(entries, null, 2));
+          return 0;
+        }
+        for (const { time, session, event, ...data } of entries) {
+          console.log(`${time}  ${positionals[0] ? '' : `${session}  `}${event.padEnd(17)} ${JSON.stringify(data)}`);
+        }
+        return 0;
+      }
+
+      const sessions = listSessions(projectDir, filters);
+      if (values.json) {
+        console.log(JSON.stringify(sessions, null, 2));
+        return 0;
+      }
+      if (sessions.length === 0) {
+        console.log('No journaled sessions');
+        return 0;
+      }
+
+      for (const session of sessions) {
+        console.log(`${session.sessionId}  ${session.startedAt}  ${session.branches.join(', ') || '-'}  (${session.entries} entries${session.endedAt ? '' : ', not ended'})`);
+        if (session.skills.length > 0) {
+          console.log(`  skills: ${session.skills.join(', ')}`);
+        }
+        if (session.plans.length > 0) {
+          console.log(`  plans: ${session.plans.join(', ')}`);
+        }
+        if (session.teamSummaries || session.alignmentReports) {
+          console.log(`  team summaries: ${session.teamSummaries}, alignment reports: ${session.alignmentReports}`);
+        }
+      }
+      return 0;
+    }
+  },
+
+  'journal-hook': {
+    usage: 'journal-hook < hook-input.json',
+    description: 'Record a Claude Code hook event in the session journal (used by hooks/journal.sh)',
+    options: {},
+    run() {
+      // A hook must never break the session: report problems, exit 0
+      try {
+        recordHookEvent(JSON.parse(fs.readFileSync(0, 'utf8')));
+      } catch (error) {
+        console.error(`journal-hook: ${error.message}`);
+      }
+      return 0;
+    }
+  },
+
+  backends: {
+    usage: 'backends [--backend NAME] [--json]',
+    description: 'Show which execution backend teams would use, and why each was accepted or rejected',
+    options: {
+      backend: { type: 'string' },
+      json: { type: 'boolean' }
+    },
+    run({ values }) {
+      const detection = detectAgentTeamsMode({
+        config: loadConfig({ projectDir: process.cwd() }),
+        backend: values.backend
+      });
+
+      if (values.json) {
+        console.log(JSON.stringify(detection, null, 2));
+        return detection.mode ? 0 : 1;
+      }
+
+      console.log(`Backend: ${detection.mode || '(none)'} (requested: ${detection.requested})`);
+      for (const warning of detection.warnings) {
+        console.log(`Warning: ${warning}`);
+      }
+      console.log('');
+      for (const candidate of detection.candidates) {
+        const mark = candidate.selected ? '*' : candidate.available ? '+' : '-';
+        console.log(`${mark} ${candidate.name.padEnd(12)} priority ${String(candidate.priority).padStart(3)}  ${candidate.reason}`);
+      }
+      return detection.mode ? 0 : 1;
+    }
+  },
+
+  'goal-drift': {
+    usage: 'goal-drift <plan> [--design FILE] [--json]',
+    description: 'List plan tasks whose goal tags the design doc has changed since, and checks to re-run',
+    options: {
+      design: { type: 'string' },
+      json: { type: 'boolean' }
+    },
+    run({ values, positionals }) {
+      const planFile = positionals[0];
+      if (!planFile) {
+        console.error('Error: goal-drift needs a plan file');
+        return 2;
+      }
+      const designFile = values.design || designDocFor(planFile);
+
+      const planDoc = fs.readFileSync(planFile, 'utf8');
+      const designDoc = fs.readFileSync(designFile, 'utf8');
+      const { title } = extractPlanGoalTags(planDoc);
+      const drift = detectGoalDrift({ planDoc, designDoc, checks: findTaskChecks(process.cwd(), title) });
+      const drifted = drift.staleTasks.length > 0 || drift.recheck.length > 0;
+
+      if (values.json) {
+        console.log(JSON.stringify(drift, null, 2));
+        return drifted ? 1 : 0;
+      }
+
+      const show = (goal, value) => value === undefined || value === null ? '(unset)' : findGoalDimension(goal).format(value);
+
+      console.log(`Plan: ${drift.plan || planFile}`);
+      console.log(`Design: ${designFile}`);
+      for (const error of drift.errors) {
+        console.log(`Warning: ${error}`);
+      }
+      if (drift.hasBaseline) {
+        console.log(drift.designChanges.length === 0 ? 'Design goals unchanged since the plan was written' : 'Design goals changed since the plan was written:');
+        for (const change of drift.designChanges) {
+          console.log(`  ${change.goal}: ${show(change.goal, change.before)} -> ${show(change.goal, change.after)}`);
+        }
+      } else {
+        console.log('Plan has no goal-metrics baseline; every task goal tag that differs from the design is listed');
+      }
+
+      console.log('');
+      console.log(drift.staleTasks.length === 0 ? 'No stale tasks' : 'Stale tasks:');
+      for (const task of drift.staleTasks) {
+        console.log(`  Task ${task.id}: ${task.title}`);
+        for (const goal of task.goals) {
+          console.log(`    ${goal.goal}: task says ${show(goal.goal, goal.value)}, design now says ${show(goal.goal, goal.designAfter)}`);
+        }
+      }
+
+      console.log('');
+      console.log(drift.recheck.length === 0 ? 'No completed tasks to re-check' : 'Checked against superseded goals (re-run the alignment check):');
+      for (const task of drift.recheck) {
+        console.log(`  Task ${task.id}${task.title ? `: ${task.title}` : ''} (checked ${task.checkedAt}, ${task.alignment})`);
+        for (const change of task.changes) {
+          console.log(`    ${change.goal}: ${show(change.goal, change.before)} -> ${show(change.goal, change.after)}`);
+        }
+      }
+      return drifted ? 1 : 0;
+    }
+  },
+
+  schedule: {
+    usage: 'schedule <plan> [--teammates N] [--json]',
+    description: 'Show a plan\'s task waves, critical path, slack and predicted makespan per teammate count',
+    options: {
+      teammates: { type: 'string' },
+      json: { type: 'boolean' }
+    },
+    run({ values, positionals }) {
+      const planFile = positionals[0];
+      if (!planFile) {
+        console.error('Error: schedule needs a plan file');
+        return 2;
+      }
+      const teammates = values.teammates === undefined ? undefined : Number(values.teammates);
+      if (teammates !== undefined && !(Number.isInteger(teammates) && teammates > 0)) {
+        console.error(`Error: --teammates must be a positive whole number, got "${values.teammates}"`);
+        return 2;
+      }
+
+      const plan = loadPlan(planFile);
+      const { maxTeammates } = loadConfig({ projectDir: process.cwd() }).teams;
+      const suggestion = suggestTeammateCount(plan.tasks, { maxTeammates });
+      const count = teammates || (typeof plan.header.teammateCount === 'number' ? plan.header.teammateCount : suggestion.count);
+      const schedule = analyzeTaskSchedule(plan.tasks, { maxTeammates: Math.max(maxTeammates, count), teammateCount: count });
+      const failed = plan.errors.length > 0 || schedule.cycleDetected;
+
+      if (values.json) {
+        console.log(JSON.stringify({ plan: plan.title, suggestion: { count: suggestion.count, reason: suggestion.reason }, ...schedule }, null, 2));
+        return failed ? 1 : 0;
+      }
+
+      console.log(`Plan: ${plan.title || planFile}`);
+      if (plan.errors.length > 0) {
+        console.log(formatPlanErrors(plan.errors, planFile));
+      }
+      for (const error of schedule.errors) {
+        console.log(`Warning: ${error}`);
+      }
+      const unestimated = schedule.tasks.filter(task => !task.estimated).length;
+      if (unestimated > 0) {
+        console.log(`${unestimated} of ${schedule.tasks.length} tasks have no **Estimate:** and count as ${schedule.tasks.find(task => !task.estimated).minutes} min`);
+      }
+
+      console.log('');
+      for (const wave of schedule.waves) {
+        console.log(`Wave ${wave.index + 1} (${wave.width} task${wave.width === 1 ? '' : 's'}, longest ${wave.minutes} min)`);
+        for (const id of wave.tasks) {
+          const task = schedule.tasks.find(t => t.id === id);
+          const mark = task.critical ? '*' : ' ';
+          console.log(`  ${mark} Task ${task.id}: ${task.title || ''} - ${task.minutes} min, starts ${task.earliestStart}-${task.latestStart}, slack ${task.slack}`);
+        }
+      }
+
+      console.log('');
+      console.log(`Critical path (*): ${schedule.criticalPath.tasks.map(id => `Task ${id}`).join(' -> ') || '(none)'}, ${schedule.criticalPath.minutes} min`);
+      console.log(`Total work: ${schedule.workMinutes} min`);
+      console.log('Predicted makespan:');
+      for (const m of schedule.makespanByTeammates) {
+        const mark = m.teammates === count ? '>' : ' ';
+        console.log(`  ${mark} ${String(m.teammates).padStart(2)} teammate${m.teammates === 1 ? ' ' : 's'}  ${String(m.minutes).padStart(5)} min  ${Math.round(m.utilization * 100)}% busy`);
+      }
+      console.log(`Suggested: ${suggestion.count} (${suggestion.reason})`);
+      return failed ? 1 : 0;
+    }
+  }
+};
+
+function printUsage() {
+  console.error('Usage: superpowers.mjs <command> [options]');
+  console.error('');
+  console.error('Commands:');
+  for (const [name, command] of Object.entries(commands)) {
+    console.error(`  ${name.padEnd(16)} ${command.description}`);
+  }
+}
+
+function main() {
+  const [commandName, ...args] = process.argv.slice(2);
+  const command = commands[commandName];
+
+  if (!command) {
+    printUsage();
+    process.exit(commandName ? 2 : 0);
+  }
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`Usage: superpowers.mjs ${command.usage}`);
+    process.exit(0);
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: command.options, allowPositionals: true });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(`Usage: superpowers.mjs ${command.usage}`);
+    process.exit(2);
+  }
+
+  // Commands are mostly synchronous; run inside the chain so their throws land in catch
+  Promise.resolve()
+    .then(() => command.run(parsed))
+    .then(code => process.exit(code || 0))
+    .catch(error => {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+main();
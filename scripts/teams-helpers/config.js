@@ -0,0 +1,401 @@
+/**
+ * scripts/teams-helpers/config.js
+ *
+ * Superpowers configuration: user settings merged with project settings
+ *
+ * Files (JSON, all keys optional):
+ * - User:    $XDG_CONFIG_HOME/superpowers/config.json (default ~/.config/superpowers/config.json)
+ * - Project: <project>/.superpowers/config.json
+ *
+ * Project settings override user settings. Lists marked `merge: 'concat'`
+ * in the schema (disabled skills, extra roots) are combined instead.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PROJECT_CONFIG_DIR = '.superpowers';
+const CONFIG_FILE_NAME = 'config.json';
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * Settings schema, a small JSON Schema subset: type, properties, items,
+ * enum, minimum, maximum, required and default. `merge` and `path` are
+ * loader hints - how lists combine across files, and which strings are
+ * paths resolved against the file's project (or config) directory.
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    $schema: { type: 'string' },
+    skills: {
+      type: 'object',
+      properties: {
+        disabled: {
+          type: 'array',
+          items: { type: 'string' },
+          default: [],
+          merge: 'concat',
+          description: 'Skills to hide, as "name" or "root:name"'
+        },
+        roots: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              dir: { type: 'string', path: true }
+            },
+            required: ['name', 'dir']
+          },
+          default: [],
+          merge: 'concat',
+          description: 'Extra skill roots, searched after personal skills'
+        }
+      }
+    },
+    teams: {
+      type: 'object',
+      properties: {
+        mode: {
+          type: 'string',
+          enum: ['auto', 'agent-teams', 'codex', 'process', 'subagent'],
+          default: 'auto',
+          description: 'Execution backend; auto picks the highest-priority available one'
+        },
+        maxTeammates: { type: 'integer', minimum: 1, default: 5 },
+        process: {
+          type: 'object',
+          properties: {
+            command: {
+              type: 'string',
+              description: 'Shell command run per task; {taskId}, {teammateId} and {title} are filled in'
+            },
+            cwd: { type: 'string', path: true },
+            concurrency: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Processes running at once (default: teams.maxTeammates)'
+            },
+            timeout: {
+              type: 'integer',
+              minimum: 1,
+              default: 600,
+              description: 'Seconds before a task process is killed'
+            }
+          }
+        }
+      }
+    },
+    checkers: {
+      type: 'object',
+      properties: {
+        coverageTarget: { type: 'number', minimum: 0, maximum: 100, default: 80 },
+        maxComplexity: { type: 'integer', minimum: 1, default: 10 },
+        responseTimeCriticalFactor: {
+          type: 'number',
+          minimum: 1,
+          default: 2,
+          description: 'Response times this many times over target are critical'
+        }
+      }
+    },
+    alerts: {
+      type: 'object',
+      properties: {
+        sinks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: ['console', 'file'] },
+              path: { type: 'string', path: true },
+              minSeverity: { type: 'string', enum: SEVERITIES }
+            },
+            required: ['type']
+          },
+          default: [{ type: 'console' }]
+        },
+        alignmentTarget: { type: 'number', minimum: 0, maximum: 100, default: 80 },
+        alignedScore: { type: 'number', minimum: 0, maximum: 100, default: 90 },
+        partialScore: { type: 'number', minimum: 0, maximum: 100, default: 70 }
+      }
+    },
+    journal: {
+      type: 'object',
+      properties: {
+        enabled: {
+          type: 'boolean',
+          default: true,
+          description: 'Record sessions in .superpowers/sessions/'
+        }
+      }
+    }
+  }
+};
+
+class ConfigError extends Error {
+  constructor(message, code, file) {
+    super(message);
+    this.name = 'ConfigError';
+    this.code = code;
+    this.file = file;
+  }
+}
+
+/**
+ * User-level config file
+ * @param {string} homeDir - Home directory
+ * @returns {string} Path (may not exist)
+ */
+function userConfigFile(homeDir = os.homedir()) {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(homeDir, '.config');
+  return path.join(configHome, 'superpowers', CONFIG_FILE_NAME);
+}
+
+/**
+ * Project-level config file
+ * @param {string} projectDir - Project root
+ * @returns {string} Path (may not exist)
+ */
+function projectConfigFile(projectDir = process.cwd()) {
+  return path.join(projectDir, PROJECT_CONFIG_DIR, CONFIG_FILE_NAME);
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check a value against a schema node, resolving path settings
+ * @returns {*} The value, with paths made absolute
+ */
+function validateValue(value, schema, context) {
+  const { where, file, baseDir } = context;
+  const fail = (message) => {
+    throw new ConfigError(`${file}: ${where || '(root)'} ${message}`, 'INVALID', file);
+  };
+
+  if (!matchesType(value, schema.type)) {
+    fail(`must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}, got ${typeOf(value)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')}, got "${value}"`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    fail(`must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (schema.type === 'string' && schema.path) {
+    const expanded = value.startsWith('~/') ? path.join(os.homedir(), value.slice(2)) : value;
+    return path.resolve(baseDir, expanded);
+  }
+
+  if (schema.type === 'array') {
+    return value.map((item, index) => validateValue(item, schema.items, { ...context, where: `${where}[${index}]` }));
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    const result = {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        fail(`is missing "${key}"`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties[key];
+      if (!childSchema) {
+        // Catches typos, which would otherwise be silently ignored
+        fail(`has unknown setting "${key}" (expected ${Object.keys(schema.properties).filter(k => k !== '$schema').join(', ')})`);
+      }
+      result[key] = validateValue(child, childSchema, { ...context, where: where ? `${where}.${key}` : key });
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Built-in settings, used where no file sets a value
+ * @returns {Object} Config
+ */
+function defaultConfig(schema = CONFIG_SCHEMA) {
+  if (schema.type === 'object' && schema.properties) {
+    const result = {};
+    for (const [key, child] of Object.entries(schema.properties)) {
+      const value = defaultConfig(child);
+      if (value !== undefined) {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+  return schema.default === undefined ? undefined : JSON.parse(JSON.stringify(schema.default));
+}
+
+/**
+ * Merge settings from a higher-precedence file over lower ones
+ * @param {Object} base - Lower precedence
+ * @param {Object} override - Higher precedence
+ * @returns {Object} Merged config
+ */
+function mergeConfig(base, override, schema = CONFIG_SCHEMA) {
+  if (override === undefined) {
+    return base;
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+      result[key] = mergeConfig(base?.[key], value, schema.properties[key]);
+    }
+    return result;
+  }
+
+  if (schema.type === 'array' && schema.merge === 'concat' && Array.isArray(base)) {
+    // Higher precedence first; named entries (roots) are replaced, not repeated
+    const names = new Set(override.map(item => item?.name).filter(Boolean));
+    const kept = base.filter(item => !(item?.name && names.has(item.name)) && !override.includes(item));
+    return [...override, ...kept];
+  }
+
+  return override;
+}
+
+/**
+ * Read and validate one config file
+ * @param {string} file - Path to config.json
+ * @param {Object} options - Options
+ * @param {string} options.baseDir - Directory relative paths are resolved against
+ * @returns {Object|null} Settings from the file, or null if it does not exist
+ * @throws {ConfigError} PARSE on invalid JSON, INVALID on schema violations
+ */
+function readConfigFile(file, options = {}) {
+  const { baseDir = path.dirname(file) } = options;
+
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new ConfigError(`${file}: ${error.message}`, 'READ', file);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError(`${file}: invalid JSON: ${error.message}`, 'PARSE', file);
+  }
+
+  return validateValue(data, CONFIG_SCHEMA, { where: '', file, baseDir });
+}
+
+/**
+ * Load the effective config: defaults, then user, then project settings
+ * @param {Object} options - Options
+ * @param {string} options.projectDir - Project root (default: cwd)
+ * @param {string} options.homeDir - Home directory (default: os.homedir())
+ * @param {string} options.userFile - User config file (default: userConfigFile())
+ * @param {string} options.projectFile - Project config file (default: projectConfigFile())
+ * @returns {Object} Config, with `sources` listing the files that were read
+ * @throws {ConfigError} If a file is unreadable or invalid
+ */
+function loadConfig(options = {}) {
+  const {
+    projectDir = process.cwd(),
+    homeDir = os.homedir(),
+    userFile = userConfigFile(homeDir),
+    projectFile = projectConfigFile(projectDir)
+  } = options;
+
+  let config = defaultConfig();
+  const sources = [];
+
+  const user = readConfigFile(userFile);
+  if (user) {
+    config = mergeConfig(config, user);
+    sources.push(userFile);
+  }
+
+  // Relative paths in the project file are relative to the project, not .superpowers/
+  const project = readConfigFile(projectFile, { baseDir: path.dirname(path.dirname(projectFile)) });
+  if (project) {
+    config = mergeConfig(config, project);
+    sources.push(projectFile);
+  }
+
+  delete config.$schema;
+  return { ...config, sources };
+}
+
+const reportedConfigErrors = new Set();
+
+/**
+ * Load the effective config, falling back to the built-in settings if a file
+ * is unreadable or invalid, so a bad config.json cannot break a session
+ * @param {Object} options - loadConfig() options, plus:
+ * @param {boolean} options.quiet - Do not print the error (default: print each error once)
+ * @returns {Object} Config, with `warnings` naming the error when the defaults were used
+ */
+function loadConfigOrDefault(options = {}) {
+  const { quiet = false, ...loadOptions } = options;
+  try {
+    return { ...loadConfig(loadOptions), warnings: [] };
+  } catch (error) {
+    const warning = `Using default config: ${error.message}`;
+    if (!quiet && !reportedConfigErrors.has(warning)) {
+      reportedConfigErrors.add(warning);
+      console.warn(`superpowers: ${warning}`);
+    }
+    return { ...defaultConfig(), sources: [], warnings: [warning] };
+  }
+}
+
+/**
+ * Check if a skill is disabled
+ * @param {Object} config - Loaded config
+ * @param {string} name - Skill name, e.g. "brainstorming"
+ * @param {string} root - Root the skill was found in, e.g. "superpowers"
+ * @returns {boolean} True if listed as "name" or "root:name"
+ */
+function isSkillDisabled(config, name, root) {
+  const disabled = config?.skills?.disabled || [];
+  return disabled.includes(name) || (root ? disabled.includes(`${root}:${name}`) : false);
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  ConfigError,
+  PROJECT_CONFIG_DIR,
+  defaultConfig,
+  isSkillDisabled,
+  loadConfig,
+  loadConfigOrDefault,
+  mergeConfig,
+  projectConfigFile,
+  readConfigFile,
+  userConfigFile
+};
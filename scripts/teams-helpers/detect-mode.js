@@ -1,41 +1,224 @@
 /**
  * scripts/teams-helpers/detect-mode.js
  *
- * Detect if Claude Code Agent Teams is available
+ * Detect which execution backend runs teammates
+ *
+ * Backends are kept in a registry. Each one declares:
+ * - name: Backend name, e.g. 'agent-teams'
+ * - priority: Higher wins when several are available
+ * - description: One line for reports
+ * - probe(context): { available, reason } - can it run here?
+ * - provides: Functions it implements, at least dispatch(teammateId, request, { config })
+ *
+ * Built in: agent-teams (Claude Code Agent Teams), codex (Codex spawn_agent),
+ * process (local child processes, see process-backend.js) and subagent (the
+ * fallback, always available).
+ */
+
+/* global createAgentTask, spawnAgent, createSubagent */
+
+const { loadConfigOrDefault } = require('./config');
+const { processBackend } = require('./process-backend');
+
+const TEAMS_ENV_VAR = 'CLAUDE_CODE_EXPERIMENTAL_AGENT_TEAMS';
+
+const backends = new Map();
+
+/**
+ * Add a backend to the registry, replacing one with the same name
+ * @param {Object} backend - Backend definition (see module comment)
+ * @returns {Object} The backend
+ * @throws {Error} If a required field is missing
+ */
+function registerBackend(backend) {
+  if (!backend || typeof backend.name !== 'string' || !backend.name) {
+    throw new Error('Backend must have a name');
+  }
+  if (typeof backend.priority !== 'number') {
+    throw new Error(`Backend "${backend.name}" must have a numeric priority`);
+  }
+  if (typeof backend.probe !== 'function') {
+    throw new Error(`Backend "${backend.name}" must have a probe() function`);
+  }
+  if (typeof backend.provides?.dispatch !== 'function') {
+    throw new Error(`Backend "${backend.name}" must provide dispatch()`);
+  }
+
+  backends.set(backend.name, backend);
+  return backend;
+}
+
+/**
+ * Remove a backend from the registry
+ * @param {string} name - Backend name
+ * @returns {boolean} True if it was registered
+ */
+function unregisterBackend(name) {
+  return backends.delete(name);
+}
+
+/**
+ * Look up a registered backend
+ * @param {string} name - Backend name
+ * @returns {Object|null} Backend, or null if unknown
  */
+function getBackend(name) {
+  return backends.get(name) || null;
+}
+
+/**
+ * Registered backends, highest priority first
+ * @returns {Array<Object>} Backends
+ */
+function listBackends() {
+  return [...backends.values()].sort((a, b) => b.priority - a.priority);
+}
+
+registerBackend({
+  name: 'agent-teams',
+  priority: 100,
+  description: 'Claude Code Agent Teams: teammates run in parallel and can message each other',
+  probe({ env, explicit }) {
+    if (typeof createAgentTask !== 'function') {
+      return { available: false, reason: 'createAgentTask() is not available (not running in Claude Code with Agent Teams)' };
+    }
+    // Experimental, so only chosen automatically when the user opted in
+    if (!explicit && env[TEAMS_ENV_VAR] !== '1') {
+      return { available: false, reason: `${TEAMS_ENV_VAR} is not set to 1` };
+    }
+    return { available: true, reason: 'createAgentTask() is available' };
+  },
+  provides: {
+    dispatch: (teammateId, request) => createAgentTask(teammateId, request)
+  }
+});
+
+registerBackend({
+  name: 'codex',
+  priority: 50,
+  description: 'Codex spawn_agent: one sub-agent per task',
+  probe() {
+    if (typeof spawnAgent !== 'function') {
+      return { available: false, reason: 'spawnAgent() is not available (not running in Codex with multi-agent enabled)' };
+    }
+    return { available: true, reason: 'spawnAgent() is available' };
+  },
+  provides: {
+    dispatch: (teammateId, request) => spawnAgent({ name: `teammate-${teammateId}`, role: 'teammate', ...request })
+  }
+});
+
+registerBackend(processBackend);
+
+registerBackend({
+  name: 'subagent',
+  priority: 0,
+  description: 'Subagents dispatched one per task (fallback)',
+  probe() {
+    return { available: true, reason: 'always available (fallback)' };
+  },
+  provides: {
+    dispatch: (teammateId, request) => createSubagent({ role: 'teammate', ...request })
+  }
+});
 
 /**
- * Detect if Claude Code Agent Teams is enabled
+ * Detect which backend to use
+ *
+ * An explicit request (options.backend, else teams.mode in the config) wins
+ * if that backend is available. Otherwise, or with 'auto', the available
+ * backend with the highest priority is used.
+ *
+ * @param {Object} options - Detection options
+ * @param {Object} options.config - Loaded config (default: loadConfigOrDefault(); its
+ *   warnings are included in the result)
+ * @param {string} options.backend - Backend to use, overriding the config ('auto' for none)
+ * @param {Object} options.env - Environment (default: process.env)
  * @returns {Object} Mode detection result
  */
-function detectAgentTeamsMode() {
-  const hasEnvVar = process.env.CLAUDE_CODE_EXPERIMENTAL_AGENT_TEAMS === '1';
-  const hasApi = typeof createAgentTeam === 'function';
+function detectAgentTeamsMode(options = {}) {
+  const { config = loadConfigOrDefault({ quiet: true }), env = process.env } = options;
+  const warnings = [...(config.warnings || [])];
+
+  const configuredMode = config.teams.mode;
+  const requested = options.backend || configuredMode;
+  const requestedBy = options.backend ? 'option' : 'config';
+  const explicit = requested !== 'auto';
+
+  const candidates = listBackends().map(backend => {
+    let result;
+    try {
+      result = backend.probe({ env, config, explicit: explicit && backend.name === requested });
+    } catch (error) {
+      result = { available: false, reason: `probe failed: ${error.message}` };
+    }
+    return {
+      name: backend.name,
+      priority: backend.priority,
+      description: backend.description || '',
+      available: Boolean(result.available),
+      selected: false,
+      reason: result.reason
+    };
+  });
+
+  const wanted = explicit ? candidates.find(c => c.name === requested) : null;
+  if (explicit && !wanted) {
+    warnings.push(`Unknown backend "${requested}" requested by ${requestedBy} (known: ${candidates.map(c => c.name).join(', ')})`);
+  } else if (wanted && !wanted.available) {
+    warnings.push(`Backend "${requested}" requested by ${requestedBy} is unavailable: ${wanted.reason}`);
+  }
+
+  const chosen = wanted && wanted.available ? wanted : candidates.find(c => c.available);
+  for (const candidate of candidates) {
+    if (candidate === chosen) {
+      candidate.selected = true;
+      candidate.reason = candidate === wanted
+        ? `requested by ${requestedBy}; ${candidate.reason}`
+        : `highest-priority available backend; ${candidate.reason}`;
+    } else if (candidate.available) {
+      candidate.reason = chosen === wanted
+        ? `available, but ${chosen.name} was requested by ${requestedBy}`
+        : `available, but ${chosen.name} has higher priority`;
+    } else if (candidate === wanted) {
+      candidate.reason = `requested by ${requestedBy}, but ${candidate.reason}`;
+    }
+  }
 
   return {
-    enabled: hasEnvVar && hasApi,
-    mode: hasEnvVar && hasApi ? 'agent-teams' : 'subagent',
-    canUseTeams: hasApi,
-    envVarSet: hasEnvVar
+    enabled: chosen?.name === 'agent-teams',
+    mode: chosen ? chosen.name : null,
+    reason: chosen ? chosen.reason : 'No backend is available',
+    candidates,
+    warnings,
+    canUseTeams: typeof createAgentTask === 'function',
+    envVarSet: env[TEAMS_ENV_VAR] === '1',
+    configuredMode,
+    requested
   };
 }
 
 /**
- * Check if we should use Teams mode
- * @param {Object} options - Configuration options
- * @returns {string} 'agent-teams' | 'subagent'
+ * Check which backend we should use
+ * @param {Object} options - detectAgentTeamsMode() options, plus:
+ * @param {boolean} options.forceTeams - Use Agent Teams whenever its API is available,
+ *   even without the environment variable or against the config
+ * @returns {string} Backend name: 'agent-teams' | 'codex' | 'process' | 'subagent' | a registered backend
  */
 function shouldUseTeamsMode(options = {}) {
-  const detection = detectAgentTeamsMode();
-
-  if (!options.forceTeams) {
-    return detection.enabled ? 'agent-teams' : 'subagent';
+  const { forceTeams, ...detectOptions } = options;
+  if (forceTeams) {
+    detectOptions.backend = 'agent-teams';
   }
-
-  return detection.mode;
+  return detectAgentTeamsMode(detectOptions).mode;
 }
 
 module.exports = {
+  TEAMS_ENV_VAR,
   detectAgentTeamsMode,
-  shouldUseTeamsMode
+  getBackend,
+  listBackends,
+  registerBackend,
+  shouldUseTeamsMode,
+  unregisterBackend
 };
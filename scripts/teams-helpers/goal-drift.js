@@ -0,0 +1,125 @@
+/**
+ * scripts/teams-helpers/goal-drift.js
+ *
+ * Goal drift: plan tasks whose goal tags no longer match the design document
+ *
+ * A plan copies the design's goal-metrics block into its header when it is
+ * written (the baseline) and lists per-task goal tags under "**Goal Tags:**".
+ * When the design's goal metrics are edited afterwards:
+ * - Tasks that set a changed goal themselves are stale: their value was
+ *   chosen against the superseded goal. Inheriting tasks follow the design.
+ * - Tasks already checked by Oversight (task-checked journal entries) were
+ *   checked against goals that no longer apply and should be re-checked.
+ */
+
+const { querySessions } = require('./journal');
+const { parsePlan } = require('./plan-parser');
+const {
+  diffGoalTags,
+  getDefaultGoalTags,
+  normalizeGoalTags,
+  parseGoalMetrics,
+  resolveTaskGoalTags
+} = require('./goal-tags');
+
+/**
+ * Read the goal tags a plan document embeds
+ * @param {string} planDoc - Plan document content
+ * @returns {Object} { title, baseline: partial GoalTags|null, tasks: Array<{ id, title, goalTags }>, errors }
+ *   (goal tags normalized; errors as "line N: message")
+ */
+function extractPlanGoalTags(planDoc) {
+  const plan = parsePlan(planDoc);
+  return {
+    title: plan.title,
+    baseline: plan.baseline,
+    tasks: plan.tasks.map(({ id, title, goalTags }) => ({ id, title, goalTags })),
+    errors: plan.errors.map(error => `line ${error.line}: ${error.message}`)
+  };
+}
+
+/**
+ * Latest Oversight check of each task of a plan, from the session journal
+ * @param {string} projectDir - Project root
+ * @param {string} planTitle - Plan title, as TeamManager records it
+ * @returns {Array<Object>} task-checked entries, one per task
+ */
+function findTaskChecks(projectDir, planTitle) {
+  const latest = new Map();
+  for (const entry of querySessions(projectDir, { event: 'task-checked' })) {
+    if (planTitle && entry.plan !== planTitle) {
+      continue;
+    }
+    latest.set(String(entry.task), entry);
+  }
+  return [...latest.values()];
+}
+
+/**
+ * Compare a plan's goal tags with the current design document
+ * @param {Object} options - Drift options
+ * @param {string} options.planDoc - Plan document content
+ * @param {string} options.designDoc - Current design document content
+ * @param {Array<Object>} options.checks - Task checks: { task, goalTags, time, alignment } (see findTaskChecks())
+ * @returns {Object} {
+ *   plan, hasBaseline,
+ *   designChanges: Array<{ goal, before, after }>|null (null without a baseline),
+ *   staleTasks: Array<{ id, title, goals: Array<{ goal, value, designBefore, designAfter }> }>,
+ *   recheck: Array<{ id, title, checkedAt, alignment, changes }>,
+ *   errors: Array<string>
+ * }
+ */
+function detectGoalDrift(options) {
+  const { planDoc, designDoc, checks = [] } = options;
+  const plan = extractPlanGoalTags(planDoc);
+  const design = parseGoalMetrics(designDoc);
+  const defaults = getDefaultGoalTags();
+  const current = normalizeGoalTags({ ...defaults, ...design.metrics }).tags;
+  const baseline = plan.baseline ? normalizeGoalTags({ ...defaults, ...plan.baseline }).tags : null;
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const errors = [...plan.errors, ...design.errors.map(error => `design ${error}`)];
+
+  const staleTasks = [];
+  for (const task of plan.tasks) {
+    // With a baseline, a task differing from an unchanged goal is a deliberate override
+    const goals = Object.entries(task.goalTags)
+      .filter(([goal, value]) => !same(value, current[goal]) && (!baseline || !same(baseline[goal], current[goal])))
+      .map(([goal, value]) => ({ goal, value, designBefore: baseline ? baseline[goal] : null, designAfter: current[goal] }));
+
+    if (goals.length > 0) {
+      staleTasks.push({ id: task.id, title: task.title, goals });
+    }
+  }
+
+  const recheck = [];
+  for (const check of checks) {
+    const task = plan.tasks.find(t => t.id === String(check.task)) || { id: String(check.task) };
+    const effective = resolveTaskGoalTags(task, { goalMetrics: design }).tags;
+    const diff = diffGoalTags({ ...defaults, ...check.goalTags }, effective);
+
+    if (diff.changed) {
+      recheck.push({
+        id: task.id,
+        title: task.title || null,
+        checkedAt: check.time || null,
+        alignment: check.alignment || null,
+        changes: diff.changes
+      });
+    }
+  }
+
+  return {
+    plan: plan.title,
+    hasBaseline: Boolean(baseline),
+    designChanges: baseline ? diffGoalTags(baseline, current).changes : null,
+    staleTasks,
+    recheck,
+    errors
+  };
+}
+
+module.exports = {
+  detectGoalDrift,
+  extractPlanGoalTags,
+  findTaskChecks
+};
@@ -4,56 +4,756 @@
  * Goal tags structure and parsing utilities
  */
 
+const { parseYaml } = require('../../lib/frontmatter.cjs');
+
 /**
  * Goal tags structure for tracking alignment
+ *
+ * One property per registered goal dimension. The built-in dimensions:
  * @typedef {Object} GoalTags
  * @property {string} architecture - Architecture style
  * @property {string} codeStyle - Code style (functional/OOP/procedural)
  * @property {string} testing - Testing strategy
- * @property {string} security - Security requirements
- * @property {string} performance - Performance requirements
+ * @property {string|Object} security - Security requirements, see parseSecurityGoal()
+ * @property {string|Object} performance - Performance targets, see parsePerformanceGoal()
  * @property {string} userExperience - UX type
  */
 
+/**
+ * Goal dimension definition
+ * @typedef {Object} GoalDimension
+ * @property {string} name - GoalTags property, e.g. 'codeStyle'
+ * @property {string} label - Display name; also the key read from "Key: value" lines
+ * @property {Array<string>} aliases - Other accepted key spellings
+ * @property {*} default - Value when nothing sets the goal
+ * @property {Array<string>|null} values - Allowed values, or null for free-form
+ * @property {Function} parse - (value) => normalized value; throws on bad input
+ * @property {Function} validate - (value, dimension) => Array<string> errors
+ * @property {Function} format - (value) => text the parser reads back (default: formatGoalValue);
+ *   serializers fall back to JSON where it does not
+ * @property {string|Function} checker - Built-in checker name, or (thresholds) => { check(code, tests, value) }
+ */
+
+const dimensions = new Map();
+
+/**
+ * Keyword goal: one of `values`, compared lowercased
+ */
+function parseKeyword(value) {
+  if (typeof value !== 'string') {
+    throw new Error('must be a string');
+  }
+  return value.trim().toLowerCase();
+}
+
+/**
+ * Requirement goal: free text, a list of strings or an object of targets
+ */
+function parseRequirement(value) {
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+    return value.map(item => item.trim());
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return value;
+  }
+  throw new Error('must be a string, a list of strings or an object');
+}
+
+// Performance targets: "p95 < 100ms", "1000 concurrent", "< 256MB RSS", "500 req/s"
+
+const TIME_UNITS = { us: 0.001, 'µs': 0.001, ms: 1, s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000, min: 60000, mins: 60000, minute: 60000, minutes: 60000 };
+const MEMORY_UNITS = { b: 1 / (1024 * 1024), kb: 1 / 1024, kib: 1 / 1024, mb: 1, mib: 1, gb: 1024, gib: 1024 };
+const THROUGHPUT_UNITS = ['rps', 'qps', 'req/s', 'reqs/s', 'requests/s', 'ops/s', 'tps'];
+
+const COMPARATOR_WORDS = [
+  [/^(<=|≤|at most|max(?:imum)?|no more than)$/, '<='],
+  [/^(>=|≥|at least|min(?:imum)?|no less than)$/, '>='],
+  [/^(<|under|below|less than|within)$/, '<'],
+  [/^(>|over|above|more than)$/, '>'],
+  [/^(=|==)$/, '=']
+];
+
+// Capacities must reach their target; everything else must stay under it
+const CAPACITY_METRICS = ['concurrency', 'throughput'];
+
+const COMPARATOR_PATTERN = '<=|>=|==|<|>|=|≤|≥|at most|at least|max(?:imum)?|min(?:imum)?|no more than|no less than|under|below|less than|within|over|above|more than';
+
+const PERFORMANCE_CLAUSE = new RegExp(
+  // A label never starts with a comparator word ("under 2s" has no label)
+  `^(?<label>(?!(?:${COMPARATOR_PATTERN})\\b)[a-z][a-z ._-]*?)?\\s*:?\\s*` +
+  `(?<cmp>${COMPARATOR_PATTERN})?\\s*` +
+  '(?<num>\\d+(?:\\.\\d+)?)\\s*' +
+  '(?<unit>%|[a-zµ]+(?:/s)?)?\\s*(?<rest>.*)$',
+  'i'
+);
+
+function camelCase(words) {
+  return words.trim().toLowerCase().split(/[\s._-]+/).filter(Boolean)
+    .map((word, index) => index === 0 ? word : word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+function humanize(key) {
+  return String(key).replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+}
+
+/**
+ * Parse one performance clause into a target
+ * @param {string} clause - e.g. "p95 < 100ms"
+ * @returns {Object} { metric, comparator, value, unit, percentile?, scope? }
+ * @throws {Error} If the clause is not a recognizable target
+ */
+function parsePerformanceTarget(clause) {
+  let text = clause.trim().replace(/[.()]+$/, '');
+  let percentile = null;
+
+  const pct = text.match(/\bp(\d+(?:\.\d+)?)\b|\b(\d+(?:\.\d+)?)(?:st|nd|rd|th) percentile\b/i);
+  if (pct) {
+    percentile = Number(pct[1] || pct[2]);
+    text = `${text.slice(0, pct.index)} ${text.slice(pct.index + pct[0].length)}`.replace(/\s+/g, ' ').trim();
+  }
+
+  const match = text.match(PERFORMANCE_CLAUSE);
+  if (!match) {
+    throw new Error(`cannot parse performance target "${clause.trim()}"`);
+  }
+
+  const label = (match.groups.label || '').trim().toLowerCase();
+  const unitText = (match.groups.unit || '').toLowerCase();
+  const rest = (match.groups.rest || '').trim().toLowerCase();
+  const words = `${label} ${unitText} ${rest}`;
+  let value = Number(match.groups.num);
+  let metric;
+  let unit;
+  let scope = null;
+
+  if (TIME_UNITS[unitText] !== undefined) {
+    value *= TIME_UNITS[unitText];
+    unit = 'ms';
+    metric = !label || /response|latency|request/.test(label) ? 'responseTime' : camelCase(label);
+  } else if (MEMORY_UNITS[unitText] !== undefined) {
+    value *= MEMORY_UNITS[unitText];
+    unit = 'MB';
+    metric = 'memory';
+    scope = (words.match(/\b(rss|heap)\b/) || [])[1] || null;
+  } else if (THROUGHPUT_UNITS.includes(unitText) || /per second|throughput/.test(words)) {
+    unit = 'req/s';
+    metric = 'throughput';
+  } else if (/concurren|connections|users/.test(words)) {
+    unit = 'concurrent';
+    metric = 'concurrency';
+  } else if (unitText === '%' && /cpu/.test(words)) {
+    unit = '%';
+    metric = 'cpu';
+  } else if (unitText === '%' && label) {
+    unit = '%';
+    metric = camelCase(label);
+  } else {
+    throw new Error(`cannot parse performance target "${clause.trim()}" (expected a time, memory size, throughput, concurrency or CPU %)`);
+  }
+
+  const cmpText = (match.groups.cmp || '').toLowerCase();
+  const comparator = cmpText
+    ? COMPARATOR_WORDS.find(([pattern]) => pattern.test(cmpText))[1]
+    : CAPACITY_METRICS.includes(metric) ? '>=' : '<=';
+
+  const target = { metric, comparator, value: Math.round(value * 1000) / 1000, unit };
+  if (percentile !== null) {
+    target.percentile = percentile;
+  }
+  if (scope) {
+    target.scope = scope;
+  }
+  return target;
+}
+
+function isPerformanceGoal(value) {
+  return Boolean(value) && typeof value === 'object' && Array.isArray(value.targets);
+}
+
+/**
+ * Parse a performance goal into typed targets
+ *
+ * Accepts text ("p95 < 100ms, 1000 concurrent"), a list of clauses, an
+ * object of targets ({ responseTime: '< 100ms', concurrentConnections: 1000 })
+ * or an already parsed goal.
+ *
+ * @param {string|Array|Object} value - Performance goal
+ * @returns {string|Object} 'none', or { targets: Array<{ metric, comparator, value, unit, percentile?, scope? }> }
+ * @throws {Error} If a clause cannot be parsed
+ */
+function parsePerformanceGoal(value) {
+  if (value === null || value === undefined || (typeof value === 'string' && /^(none|)$/i.test(value.trim()))) {
+    return 'none';
+  }
+  if (isPerformanceGoal(value)) {
+    for (const target of value.targets) {
+      if (!target || typeof target.metric !== 'string' || typeof target.value !== 'number' ||
+          !['<', '<=', '>', '>=', '='].includes(target.comparator)) {
+        throw new Error('has a target without metric, comparator and numeric value');
+      }
+    }
+    return value;
+  }
+
+  let clauses;
+  if (typeof value === 'string') {
+    clauses = value.split(/[,;\n]|\band\b/i);
+  } else if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+    clauses = value.flatMap(item => item.split(/[,;\n]|\band\b/i));
+  } else if (typeof value === 'object' && !Array.isArray(value)) {
+    clauses = Object.entries(value).map(([key, item]) => `${humanize(key)} ${item}`);
+  } else {
+    throw new Error('must be text, a list of targets or an object of targets');
+  }
+
+  const targets = clauses.map(clause => clause.trim()).filter(Boolean).map(parsePerformanceTarget);
+  return targets.length > 0 ? { targets } : 'none';
+}
+
+/**
+ * Format a parsed performance goal as text parsePerformanceGoal() reads back
+ * @param {string|Object} goal - parsePerformanceGoal() result
+ * @returns {string} e.g. "p95 < 100ms, >= 1000 concurrent"
+ */
+function formatPerformanceGoal(goal) {
+  if (!isPerformanceGoal(goal)) {
+    return formatGoalValue(goal);
+  }
+
+  return goal.targets.map(target => {
+    const parts = [];
+    if (target.percentile !== undefined) {
+      parts.push(`p${target.percentile}`);
+    }
+    if (target.metric !== 'responseTime' && !['memory', 'throughput', 'concurrency', 'cpu'].includes(target.metric)) {
+      parts.push(humanize(target.metric));
+    } else if (target.metric === 'cpu') {
+      parts.push('CPU');
+    }
+    parts.push(target.comparator);
+    parts.push(target.unit === 'concurrent' ? `${target.value} concurrent` : `${target.value}${target.unit === 'req/s' ? ' req/s' : target.unit}`);
+    if (target.scope) {
+      parts.push(target.scope.toUpperCase());
+    }
+    return parts.join(' ');
+  }).join(', ');
+}
+
+// Security requirements: "JWT + bcrypt, OWASP top 10"
+
+const SECURITY_REQUIREMENTS = [
+  { name: 'jwt', kind: 'authentication', label: 'JWT', pattern: /\bjwt\b|json web tokens?/ },
+  { name: 'oauth2', kind: 'authentication', label: 'OAuth2', pattern: /\boauth ?2?\b|\boidc\b|openid/ },
+  { name: 'sessions', kind: 'authentication', label: 'sessions', pattern: /\bsessions?\b|session-based/ },
+  { name: 'api-keys', kind: 'authentication', label: 'API keys', pattern: /\bapi[ -]keys?\b/ },
+  { name: 'mfa', kind: 'authentication', label: 'MFA', pattern: /\bmfa\b|\b2fa\b|multi[ -]factor|two[ -]factor/ },
+  { name: 'bcrypt', kind: 'password-hashing', label: 'bcrypt', pattern: /\bbcrypt\b/ },
+  { name: 'argon2', kind: 'password-hashing', label: 'argon2', pattern: /\bargon2(id)?\b/ },
+  { name: 'scrypt', kind: 'password-hashing', label: 'scrypt', pattern: /\bscrypt\b/ },
+  { name: 'rbac', kind: 'authorization', label: 'RBAC', pattern: /\brbac\b|role[ -]based/ },
+  { name: 'abac', kind: 'authorization', label: 'ABAC', pattern: /\babac\b|attribute[ -]based/ },
+  { name: 'owasp-top-10', kind: 'standard', label: 'OWASP Top 10', pattern: /\bowasp\b/ },
+  { name: 'encryption-at-rest', kind: 'data-protection', label: 'encryption at rest', pattern: /\bat[ -]rest\b/ },
+  { name: 'encryption-in-transit', kind: 'data-protection', label: 'encryption in transit', pattern: /\bin[ -]transit\b|\btls\b|\bhttps\b|\bssl\b/ },
+  { name: 'csrf-protection', kind: 'web', label: 'CSRF protection', pattern: /\bx?csrf\b/ },
+  { name: 'rate-limiting', kind: 'abuse', label: 'rate limiting', pattern: /\brate[ -]limit/ },
+  { name: 'input-validation', kind: 'web', label: 'input validation', pattern: /\binput validation\b|\bvalidat\w* (user )?input|\bsaniti[sz]/ },
+  { name: 'secrets-management', kind: 'secrets', label: 'secrets management', pattern: /\bsecrets?\b|\bvault\b|hard-?coded/ },
+  { name: 'audit-logging', kind: 'monitoring', label: 'audit logging', pattern: /\baudit/ }
+];
+
+function isSecurityGoal(value) {
+  return Boolean(value) && typeof value === 'object' && Array.isArray(value.requirements);
+}
+
+/**
+ * Parse a security goal into named requirements
+ *
+ * Accepts text ("JWT + bcrypt, OWASP top 10"), a list of requirements, an
+ * object whose values are requirements ({ auth: 'JWT' }) or an already
+ * parsed goal. Every clause must name at least one known requirement.
+ *
+ * @param {string|Array|Object} value - Security goal
+ * @returns {string|Object} 'none', or { requirements: Array<{ name, kind }> }
+ * @throws {Error} If a clause names no known requirement
+ */
+function parseSecurityGoal(value) {
+  if (value === null || value === undefined || (typeof value === 'string' && /^(none|)$/i.test(value.trim()))) {
+    return 'none';
+  }
+  if (isSecurityGoal(value)) {
+    const known = SECURITY_REQUIREMENTS.map(r => r.name);
+    const unknown = value.requirements.filter(r => !r || !known.includes(r.name));
+    if (unknown.length > 0) {
+      throw new Error(`has unknown requirement "${unknown[0]?.name}"`);
+    }
+    return value;
+  }
+
+  let text;
+  if (typeof value === 'string') {
+    text = value;
+  } else if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+    text = value.join('\n');
+  } else if (typeof value === 'object' && !Array.isArray(value)) {
+    text = Object.values(value).map(String).join('\n');
+  } else {
+    throw new Error('must be text, a list of requirements or an object');
+  }
+
+  const requirements = [];
+  for (const clause of text.split(/[,;+\n]|\band\b/i).map(c => c.trim()).filter(Boolean)) {
+    const matched = SECURITY_REQUIREMENTS.filter(r => r.pattern.test(clause.toLowerCase()));
+    if (matched.length === 0) {
+      throw new Error(`names no known requirement in "${clause}" (known: ${SECURITY_REQUIREMENTS.map(r => r.label).join(', ')})`);
+    }
+    for (const { name, kind } of matched) {
+      if (!requirements.some(r => r.name === name)) {
+        requirements.push({ name, kind });
+      }
+    }
+  }
+
+  return requirements.length > 0 ? { requirements } : 'none';
+}
+
+/**
+ * Format a parsed security goal as text parseSecurityGoal() reads back
+ * @param {string|Object} goal - parseSecurityGoal() result
+ * @returns {string} e.g. "JWT, bcrypt, OWASP Top 10"
+ */
+function formatSecurityGoal(goal) {
+  if (!isSecurityGoal(goal)) {
+    return formatGoalValue(goal);
+  }
+  return goal.requirements.map(r => SECURITY_REQUIREMENTS.find(known => known.name === r.name).label).join(', ');
+}
+
+function validateKeyword(value, dimension) {
+  if (!dimension.values || dimension.values.includes(String(value).toLowerCase())) {
+    return [];
+  }
+  return [`Invalid ${dimension.label.toLowerCase()}: ${value}`];
+}
+
+/**
+ * Add a goal dimension, replacing one with the same name
+ *
+ * parseGoalTags, serializeGoalTags, validateGoalTags and AlignmentChecker
+ * pick up registered dimensions automatically.
+ *
+ * @param {GoalDimension} definition - Only name is required
+ * @returns {GoalDimension} The registered dimension, with defaults filled in
+ * @throws {Error} If the name is missing or an alias belongs to another dimension
+ */
+function registerGoalDimension(definition) {
+  if (!definition || typeof definition.name !== 'string' || !/^[A-Za-z][\w]*$/.test(definition.name)) {
+    throw new Error('Goal dimension must have a name made of letters, digits and _');
+  }
+
+  const values = definition.values ? definition.values.map(v => v.toLowerCase()) : null;
+  const dimension = {
+    label: definition.name,
+    aliases: [],
+    default: 'none',
+    checker: null,
+    ...definition,
+    values,
+    parse: definition.parse || (values ? parseKeyword : parseRequirement),
+    validate: definition.validate || validateKeyword,
+    format: definition.format || formatGoalValue
+  };
+
+  for (const key of dimensionKeys(dimension)) {
+    const owner = findGoalDimension(key);
+    if (owner && owner.name !== dimension.name) {
+      throw new Error(`Goal dimension "${dimension.name}": "${key}" already names ${owner.name}`);
+    }
+  }
+
+  dimensions.set(dimension.name, dimension);
+  return dimension;
+}
+
+/**
+ * Remove a goal dimension
+ * @param {string} name - Dimension name
+ * @returns {boolean} True if it was registered
+ */
+function unregisterGoalDimension(name) {
+  return dimensions.delete(name);
+}
+
+/**
+ * Registered goal dimensions, in registration order
+ * @returns {Array<GoalDimension>} Dimensions
+ */
+function listGoalDimensions() {
+  return [...dimensions.values()];
+}
+
+// Key spellings are compared lowercased, with - and _ read as spaces
+function keyForm(key) {
+  return String(key).trim().toLowerCase().replace(/[-_]+/g, ' ');
+}
+
+function dimensionKeys(dimension) {
+  return [dimension.name, dimension.label, ...dimension.aliases].map(keyForm);
+}
+
+/**
+ * Find the dimension a goal key names
+ * @param {string} key - e.g. "Code Style", "code_style", "style"
+ * @returns {GoalDimension|null} Dimension, or null if unknown
+ */
+function findGoalDimension(key) {
+  const form = keyForm(key);
+  return listGoalDimensions().find(dimension => dimensionKeys(dimension).includes(form)) || null;
+}
+
+registerGoalDimension({
+  name: 'architecture',
+  label: 'Architecture',
+  aliases: ['architecture style'],
+  default: 'standard',
+  values: ['microservices', 'monolithic', 'plugin-based', 'standard'],
+  checker: 'architecture'
+});
+
+registerGoalDimension({
+  name: 'codeStyle',
+  label: 'Code Style',
+  aliases: ['style'],
+  default: 'standard',
+  values: ['functional', 'oop', 'procedural', 'standard'],
+  checker: 'style'
+});
+
+registerGoalDimension({
+  name: 'testing',
+  label: 'Testing',
+  aliases: ['testing strategy'],
+  default: 'unit',
+  values: ['unit', 'integration', 'e2e', 'none'],
+  // Strategies combine with +, e.g. unit+integration
+  validate: (value, dimension) => String(value).toLowerCase().split('+')
+    .filter(part => !dimension.values.includes(part.trim()))
+    .map(part => `Invalid testing: ${part.trim() || value}`),
+  checker: 'testing'
+});
+
+registerGoalDimension({
+  name: 'security',
+  label: 'Security',
+  aliases: ['security requirements'],
+  default: 'none',
+  parse: parseSecurityGoal,
+  format: formatSecurityGoal,
+  checker: 'security'
+});
+
+registerGoalDimension({
+  name: 'performance',
+  label: 'Performance',
+  aliases: ['performance requirements'],
+  default: 'none',
+  parse: parsePerformanceGoal,
+  format: formatPerformanceGoal,
+  checker: 'performance'
+});
+
+registerGoalDimension({
+  name: 'userExperience',
+  label: 'User Experience',
+  aliases: ['ux'],
+  default: 'cli'
+});
+
 /**
  * Default goal tags
  * @returns {GoalTags} Default values
  */
 function getDefaultGoalTags() {
-  return {
-    architecture: 'standard',
-    codeStyle: 'standard',
-    testing: 'unit',
-    security: 'none',
-    performance: 'none',
-    userExperience: 'cli'
-  };
+  const tags = {};
+  for (const dimension of listGoalDimensions()) {
+    tags[dimension.name] = JSON.parse(JSON.stringify(dimension.default));
+  }
+  return tags;
 }
 
 /**
- * Parse goal tags from design document
+ * Info-string word that marks the structured goal metrics block
+ */
+const GOAL_METRICS_FENCE = 'goal-metrics';
+
+// Written for, and read as, a goal's default value in every format
+const DEFAULT_MARKER = 'default';
+
+const GOAL_TAG_FORMATS = ['markdown', 'json', 'yaml'];
+
+/**
+ * Map a goal key spelling to its GoalTags property
+ * @param {string} key - e.g. "Code Style", "code_style", "style"
+ * @returns {string|null} GoalTags property, or null if unknown
+ */
+function normalizeGoalKey(key) {
+  const dimension = findGoalDimension(key);
+  return dimension ? dimension.name : null;
+}
+
+/**
+ * Parse one goal value with its dimension's parser
+ * @param {GoalDimension} dimension - Goal dimension
+ * @param {*} value - Raw value; "default" stands for the dimension's default
+ * @returns {*} Normalized value
+ * @throws {Error} If the parser rejects the value
+ */
+function parseGoalValue(dimension, value) {
+  if (typeof value === 'string' && value.trim().toLowerCase() === DEFAULT_MARKER) {
+    return JSON.parse(JSON.stringify(dimension.default));
+  }
+  return dimension.parse(value);
+}
+
+/**
+ * Check and normalize a partial set of goal tags
+ *
+ * Keys may use any alias. Each value goes through its dimension's parser:
+ * keyword goals become lowercased strings, performance and security goals
+ * typed objects (see parsePerformanceGoal() and parseSecurityGoal()).
+ * "default" stands for the dimension's default value.
+ *
+ * @param {Object} tags - Partial goal tags
+ * @param {string} where - Prefix for error messages
+ * @returns {Object} { tags: normalized partial tags, errors: Array<string>,
+ *   invalid: values that did not parse, as written, by goal }
+ */
+function normalizeGoalTags(tags, where = 'goal tags') {
+  const result = {};
+  const errors = [];
+  const invalid = {};
+
+  for (const [rawKey, value] of Object.entries(tags || {})) {
+    const dimension = findGoalDimension(rawKey);
+    if (!dimension) {
+      errors.push(`${where}: unknown goal "${rawKey}"`);
+      continue;
+    }
+    if (value === null || value === undefined || value === '') {
+      continue;
+    }
+
+    try {
+      result[dimension.name] = parseGoalValue(dimension, value);
+    } catch (error) {
+      errors.push(`${where}: ${dimension.name} ${error.message}`);
+      invalid[dimension.name] = value;
+    }
+  }
+
+  return { tags: result, errors, invalid };
+}
+
+/**
+ * Find the fenced goal metrics block in a design document
+ *
+ * The block's info string contains "goal-metrics", e.g. ```yaml goal-metrics
+ * or ```json goal-metrics.
+ *
  * @param {string} designDoc - Design document content
- * @returns {GoalTags|null} Parsed goal tags or null if not found
+ * @returns {Object|null} { format: 'yaml'|'json', source, line } or null
  */
-function parseGoalTags(designDoc) {
-  if (!designDoc) return getDefaultGoalTags();
+function findGoalMetricsBlock(designDoc) {
+  const fence = /^(`{3,}|~{3,})[ \t]*([^\n`]*)\n([\s\S]*?)^\1[ \t]*$/gm;
+  let match;
+
+  while ((match = fence.exec(designDoc || '')) !== null) {
+    const words = match[2].trim().toLowerCase().split(/\s+/);
+    if (!words.includes(GOAL_METRICS_FENCE)) {
+      continue;
+    }
+
+    const source = match[3];
+    const format = words.includes('json') || (!words.includes('yaml') && source.trim().startsWith('{')) ? 'json' : 'yaml';
+    return { format, source, line: designDoc.slice(0, match.index).split('\n').length + 1 };
+  }
+
+  return null;
+}
+
+/**
+ * Parse the goal metrics a design document sets
+ *
+ * Prefers the fenced goal-metrics block (YAML or JSON). Without one, reads
+ * a "**Goal Tags:**" list, then "Key: value" lines in a "## Goal Metrics"
+ * section.
+ *
+ * @param {string} designDoc - Design document content
+ * @returns {Object} { format: 'yaml'|'json'|'markdown'|'text'|null, metrics: partial GoalTags, errors: Array<string>,
+ *   invalid: values that did not parse, as written, by goal }
+ */
+function parseGoalMetrics(designDoc) {
+  const block = findGoalMetricsBlock(designDoc);
+
+  if (block) {
+    let data;
+    try {
+      data = block.format === 'json' ? JSON.parse(block.source) : parseYaml(block.source, block.line - 1);
+    } catch (error) {
+      // YAML errors already carry the document line
+      const where = block.format === 'json' ? ` (line ${block.line})` : '';
+      return { format: block.format, metrics: {}, errors: [`goal-metrics block${where}: ${error.message}`], invalid: {} };
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { format: block.format, metrics: {}, errors: [`goal-metrics block (line ${block.line}): must be a mapping of goal to value`], invalid: {} };
+    }
+
+    const { tags, errors, invalid } = normalizeGoalTags(data, `goal-metrics block (line ${block.line})`);
+    return { format: block.format, metrics: tags, errors, invalid };
+  }
+
+  // A "**Goal Tags:**" list, as formatGoalTags() writes it
+  if (/^\*\*Goal Tags:\*\*/m.test(designDoc || '')) {
+    const { tags, errors, invalid } = deserializeGoalTags(designDoc, 'markdown');
+    return { format: 'markdown', metrics: tags, errors, invalid };
+  }
 
   // Try to extract goal metrics section
-  const goalSection = designDoc.match(/## Goal Metrics[\s\S]*?(?=## |---|$)/i);
-  if (!goalSection) return getDefaultGoalTags();
+  const goalSection = (designDoc || '').match(/## Goal Metrics[\s\S]*?(?=## |---|$)/i);
+  if (!goalSection) {
+    return { format: null, metrics: {}, errors: [], invalid: {} };
+  }
 
   const sectionText = goalSection[0];
+  const line = designDoc.slice(0, goalSection.index).split('\n').length;
+  const raw = {};
+  for (const dimension of listGoalDimensions()) {
+    const value = extractGoal(sectionText, dimension.label.toLowerCase());
+    if (value) {
+      raw[dimension.name] = value;
+    }
+  }
+
+  const { tags, errors, invalid } = normalizeGoalTags(raw, `Goal Metrics section (line ${line})`);
+  return { format: 'text', metrics: tags, errors, invalid };
+}
 
+/**
+ * Parse goal tags from design document
+ *
+ * A value that does not parse is kept as written, not replaced by the
+ * default, so AlignmentChecker.checkAll() reports it.
+ *
+ * @param {string} designDoc - Design document content
+ * @returns {GoalTags} Goal tags, with defaults for goals the document does not set
+ */
+function parseGoalTags(designDoc) {
+  const { metrics, invalid } = parseGoalMetrics(designDoc);
   return {
-    architecture: extractGoal(sectionText, 'architecture') || 'standard',
-    codeStyle: extractGoal(sectionText, 'code style') || 'standard',
-    testing: extractGoal(sectionText, 'testing') || 'unit',
-    security: extractGoal(sectionText, 'security') || 'none',
-    performance: extractGoal(sectionText, 'performance') || 'none',
-    userExperience: extractGoal(sectionText, 'user experience') || 'cli'
+    ...getDefaultGoalTags(),
+    ...invalid,
+    ...metrics
   };
 }
 
+/**
+ * Compute a task's effective goal tags
+ *
+ * Each goal comes from the task's own goalTags if set there, else from the
+ * design document, else from the defaults. Overrides replace the whole
+ * value of a goal. A value that does not parse is kept as written (and, for
+ * the task's own tags, listed in errors), so AlignmentChecker.checkAll()
+ * reports it instead of checking the default.
+ *
+ * @param {Object} task - Plan task, with optional partial goalTags
+ * @param {Object} options - Resolve options
+ * @param {Object} options.goalMetrics - parseGoalMetrics() result (parsed from designDoc if not given)
+ * @param {string} options.designDoc - Design document content
+ * @returns {Object} { tags: GoalTags, sources: { goal: 'task'|'design'|'default' },
+ *   redundant: goals the task sets to the design value, errors: Array<string> }
+ */
+function resolveTaskGoalTags(task, options = {}) {
+  const design = options.goalMetrics || parseGoalMetrics(options.designDoc);
+  const overrides = normalizeGoalTags(task.goalTags, `task ${task.id} goal tags`);
+  const designInvalid = design.invalid || {};
+  const defaults = getDefaultGoalTags();
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  const tags = {};
+  const sources = {};
+  const redundant = [];
+
+  for (const key of Object.keys(defaults)) {
+    if (overrides.tags[key] !== undefined) {
+      tags[key] = overrides.tags[key];
+      sources[key] = 'task';
+      if (design.metrics[key] !== undefined && same(design.metrics[key], overrides.tags[key])) {
+        redundant.push(key);
+      }
+    } else if (overrides.invalid[key] !== undefined) {
+      tags[key] = overrides.invalid[key];
+      sources[key] = 'task';
+    } else if (design.metrics[key] !== undefined) {
+      tags[key] = design.metrics[key];
+      sources[key] = 'design';
+    } else if (designInvalid[key] !== undefined) {
+      tags[key] = designInvalid[key];
+      sources[key] = 'design';
+    } else {
+      tags[key] = defaults[key];
+      sources[key] = 'default';
+    }
+  }
+
+  return { tags, sources, redundant, errors: overrides.errors };
+}
+
+/**
+ * Compute effective goal tags for every task in a plan
+ * @param {Object} plan - Plan with tasks and designDoc (or goalMetrics)
+ * @returns {Map<string, Object>} Task ID to resolveTaskGoalTags() result
+ */
+function resolvePlanGoalTags(plan) {
+  const goalMetrics = plan.goalMetrics || parseGoalMetrics(plan.designDoc);
+  const resolved = new Map();
+
+  for (const task of plan.tasks || []) {
+    resolved.set(task.id, resolveTaskGoalTags(task, { goalMetrics }));
+  }
+  return resolved;
+}
+
+/**
+ * Compare two sets of goal tags
+ *
+ * Both sets are normalized first, so alias spellings and equivalent
+ * values ("< 100ms" and { responseTime: '< 100ms' }) compare equal. A goal
+ * set in only one of them is a change to or from undefined; fill in
+ * defaults first (getDefaultGoalTags()) to compare effective tags.
+ *
+ * @param {Object} before - Earlier goal tags (partial or full)
+ * @param {Object} after - Later goal tags (partial or full)
+ * @returns {Object} { changed: boolean, changes: Array<{ goal, before, after }>, errors: Array<string> }
+ */
+function diffGoalTags(before, after) {
+  const old = normalizeGoalTags(before, 'before');
+  const now = normalizeGoalTags(after, 'after');
+  const changes = [];
+
+  for (const dimension of listGoalDimensions()) {
+    const a = old.tags[dimension.name];
+    const b = now.tags[dimension.name];
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ goal: dimension.name, before: a, after: b });
+    }
+  }
+
+  return { changed: changes.length > 0, changes, errors: [...old.errors, ...now.errors] };
+}
+
 /**
  * Extract a single goal value from section text
  * @param {string} section - Section content
@@ -77,27 +777,191 @@ function extractGoal(section, key) {
 }
 
 /**
- * Format goal tags for display
- * @param {GoalTags} tags - Goal tags
- * @returns {string} Formatted string
+ * Goal value as text: lists become one line, objects "key: value" pairs
+ * @param {string|Array|Object} value - Goal value
+ * @returns {string} Text
  */
-function formatGoalTags(tags) {
-  const lines = ['**Goal Tags:**'];
+function formatGoalValue(value) {
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([key, item]) => `${key}: ${item}`).join(', ');
+  }
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Goal value as text that parses back to the same value
+ *
+ * Uses the dimension's formatter when its parser reads the text back
+ * unchanged, else JSON. Default values are written as "default".
+ *
+ * @param {GoalDimension} dimension - Goal dimension
+ * @param {*} value - Normalized value
+ * @returns {string|*} Text, or the value itself where only JSON is lossless
+ */
+function serializeGoalValue(dimension, value) {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  if (same(value, dimension.default)) {
+    return DEFAULT_MARKER;
+  }
+
+  let text;
+  try {
+    text = dimension.format(value);
+    if (!same(dimension.parse(text), value) || text.trim().toLowerCase() === DEFAULT_MARKER) {
+      text = null;
+    }
+  } catch (error) {
+    text = null;
+  }
+  return text === null ? value : text;
+}
+
+/**
+ * Serialize goal tags so deserializeGoalTags() reads back the same tags
+ *
+ * Every goal set in `tags` is written, keyed by its GoalTags property
+ * (codeStyle, not style); values equal to the default are written as
+ * "default". Pass partial tags (a task's overrides) to write only those.
+ *
+ * - markdown: a "**Goal Tags:**" list, as in plan tasks
+ * - json: an object, with typed performance and security values
+ * - yaml: a mapping, for a goal-metrics block
+ *
+ * @param {Object} tags - Goal tags (any key spelling)
+ * @param {string} format - 'markdown' | 'json' | 'yaml' (default: 'markdown')
+ * @returns {string} Serialized tags
+ * @throws {Error} If the format is unknown or a value does not parse
+ */
+function serializeGoalTags(tags, format = 'markdown') {
+  if (!GOAL_TAG_FORMATS.includes(format)) {
+    throw new Error(`Unknown goal tag format "${format}" (expected ${GOAL_TAG_FORMATS.join(', ')})`);
+  }
+  const normalized = normalizeGoalTags(tags);
+  if (normalized.errors.length > 0) {
+    throw new Error(`Cannot serialize ${normalized.errors.join('; ')}`);
+  }
+
+  const entries = listGoalDimensions()
+    .filter(dimension => normalized.tags[dimension.name] !== undefined)
+    .map(dimension => [dimension.name, dimension, normalized.tags[dimension.name]]);
+
+  if (format === 'json') {
+    const data = {};
+    for (const [name, dimension, value] of entries) {
+      data[name] = JSON.stringify(value) === JSON.stringify(dimension.default) ? DEFAULT_MARKER : value;
+    }
+    return JSON.stringify(data, null, 2);
+  }
 
-  if (tags.architecture !== 'standard') {
-    lines.push(`- architecture: ${tags.architecture}`);
+  const lines = entries.map(([name, dimension, value]) => {
+    const text = serializeGoalValue(dimension, value);
+    if (format === 'yaml') {
+      // Plain scalars only where YAML reads them back as the same string
+      const plain = typeof text === 'string' && /^[A-Za-z0-9][^\n]*$/.test(text) &&
+        !/:\s|\s#|\s$/.test(text) && !/^(~|null|true|false|[-+]?[\d.]+([eE][-+]?\d+)?|0x[0-9a-f]+)$/i.test(text);
+      return `${name}: ${plain ? text : JSON.stringify(text)}`;
+    }
+    // Markdown values starting with a quote, [ or { are JSON
+    const plain = typeof text === 'string' && !/^["[{]|\n/.test(text) && text === text.trim() && text !== '';
+    return `- ${name}: ${plain ? text : JSON.stringify(text)}`;
+  });
+
+  return format === 'yaml' ? lines.join('\n') : ['**Goal Tags:**', ...lines].join('\n');
+}
+
+/**
+ * Read the "- key: value" items of a goal tags list
+ * @param {string} text - Markdown, with or without the "**Goal Tags:**" line
+ * @returns {Object} Raw key to value
+ */
+function readGoalTagList(text) {
+  const list = text.match(/\*\*Goal Tags:\*\*[ \t]*\n((?:[ \t]*[-*][ \t]+[^\n]*\n?)*)/);
+  const raw = {};
+
+  for (const line of (list ? list[1] : text).split('\n')) {
+    const item = line.match(/^\s*[-*]\s+([^:]+):\s*(.+?)\s*$/);
+    if (!item) {
+      continue;
+    }
+
+    let value = item[2];
+    if (/^["[{]/.test(value)) {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        // Not JSON after all; keep the text
+      }
+    }
+    raw[item[1].trim()] = value;
   }
-  if (tags.codeStyle !== 'standard') {
-    lines.push(`- style: ${tags.codeStyle}`);
+  return raw;
+}
+
+/**
+ * Parse goal tags written by serializeGoalTags()
+ *
+ * Also reads hand-written tags: any key spelling, "default" for a goal's
+ * default value, and text values such as "p95 < 100ms".
+ *
+ * @param {string} text - Serialized tags
+ * @param {string} format - 'markdown' | 'json' | 'yaml' (default: guessed from the text)
+ * @param {Object} options - Options
+ * @param {string} options.where - Prefix for error messages (default: 'goal tags')
+ * @returns {Object} { tags: partial GoalTags, errors: Array<string>, invalid: values that did not parse, by goal }
+ */
+function deserializeGoalTags(text, format, options = {}) {
+  const { where = 'goal tags' } = options;
+  const source = text || '';
+  const detected = format || (/^\s*[{]/.test(source) ? 'json' : /^\s*(\*\*Goal Tags:\*\*|[-*]\s)/.test(source) ? 'markdown' : 'yaml');
+
+  if (detected === 'markdown') {
+    return normalizeGoalTags(readGoalTagList(source), where);
+  }
+  if (!GOAL_TAG_FORMATS.includes(detected)) {
+    return { tags: {}, errors: [`${where}: unknown format "${detected}" (expected ${GOAL_TAG_FORMATS.join(', ')})`], invalid: {} };
   }
-  if (tags.testing !== 'unit') {
-    lines.push(`- testing: ${tags.testing}`);
+
+  let data;
+  try {
+    data = detected === 'json' ? JSON.parse(source) : parseYaml(source, 0);
+  } catch (error) {
+    return { tags: {}, errors: [`${where}: ${error.message}`], invalid: {} };
   }
-  if (tags.security !== 'none') {
-    lines.push(`- security: ${tags.security}`);
+  if (data === null) {
+    return { tags: {}, errors: [], invalid: {} };
   }
-  if (tags.performance !== 'none') {
-    lines.push(`- performance: ${tags.performance}`);
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return { tags: {}, errors: [`${where}: must be a mapping of goal to value`], invalid: {} };
+  }
+  return normalizeGoalTags(data, where);
+}
+
+/**
+ * Format goal tags for plan documents
+ *
+ * Same as serializeGoalTags(tags, 'markdown'): a "**Goal Tags:**" list that
+ * parseGoalTags() and deserializeGoalTags() read back. For display, so it
+ * never throws: a value that does not parse is listed as written.
+ *
+ * @param {Object} tags - Goal tags; pass a task's overrides to list only those
+ * @returns {string} Formatted string
+ */
+function formatGoalTags(tags) {
+  const lines = ['**Goal Tags:**'];
+
+  for (const [key, value] of Object.entries(tags || {})) {
+    if (value === null || value === undefined || value === '') {
+      continue;
+    }
+    try {
+      lines.push(serializeGoalTags({ [key]: value }, 'markdown').split('\n')[1]);
+    } catch (error) {
+      const dimension = findGoalDimension(key);
+      lines.push(`- ${dimension ? dimension.name : key}: ${formatGoalValue(value)}`);
+    }
   }
 
   return lines.join('\n');
@@ -105,24 +969,35 @@ function formatGoalTags(tags) {
 
 /**
  * Validate goal tags structure
+ *
+ * Runs each dimension's validator; goals that are not set count as their default.
+ *
  * @param {Object} tags - Tags to validate
  * @returns {Object} Validation result
  */
 function validateGoalTags(tags) {
-  const validArchitectures = ['microservices', 'monolithic', 'plugin-based', 'standard'];
-  const validStyles = ['functional', 'oop', 'procedural', 'standard'];
-  const validTesting = ['unit', 'integration', 'e2e', 'none', 'unit+integration'];
-
   const errors = [];
 
-  if (!validArchitectures.includes(tags.architecture)) {
-    errors.push(`Invalid architecture: ${tags.architecture}`);
-  }
-  if (!validStyles.includes(tags.codeStyle)) {
-    errors.push(`Invalid code style: ${tags.codeStyle}`);
+  for (const key of Object.keys(tags)) {
+    if (!findGoalDimension(key)) {
+      errors.push(`Unknown goal: ${key}`);
+    }
   }
-  if (!validTesting.includes(tags.testing)) {
-    errors.push(`Invalid testing: ${tags.testing}`);
+
+  for (const dimension of listGoalDimensions()) {
+    const value = tags[dimension.name];
+    if (value === undefined) {
+      continue;
+    }
+
+    let parsed;
+    try {
+      parsed = parseGoalValue(dimension, value);
+    } catch (error) {
+      errors.push(`Invalid ${dimension.label.toLowerCase()}: ${error.message}`);
+      continue;
+    }
+    errors.push(...dimension.validate(parsed, dimension));
   }
 
   return {
@@ -132,9 +1007,31 @@ function validateGoalTags(tags) {
 }
 
 module.exports = {
+  DEFAULT_MARKER,
+  GOAL_METRICS_FENCE,
+  GOAL_TAG_FORMATS,
+  registerGoalDimension,
+  unregisterGoalDimension,
+  listGoalDimensions,
+  findGoalDimension,
   getDefaultGoalTags,
   parseGoalTags,
+  parseGoalMetrics,
+  findGoalMetricsBlock,
+  normalizeGoalKey,
+  normalizeGoalTags,
+  resolveTaskGoalTags,
+  resolvePlanGoalTags,
+  diffGoalTags,
   formatGoalTags,
+  serializeGoalTags,
+  deserializeGoalTags,
+  parseGoalValue,
+  formatGoalValue,
+  parsePerformanceGoal,
+  formatPerformanceGoal,
+  parseSecurityGoal,
+  formatSecurityGoal,
   extractGoal,
   validateGoalTags
 };
@@ -0,0 +1,352 @@
+/**
+ * scripts/teams-helpers/journal.js
+ *
+ * Session journal: what the agent did in each session, one JSONL file per
+ * session under <project>/.superpowers/sessions/. That directory gets its own
+ * .gitignore, so journals never show up as untracked files.
+ *
+ * Written by the lifecycle hooks (hooks/journal.sh) and by TeamManager and
+ * generateMilestoneReport while a session is running. Each line is
+ * { time, session, event, ...data }. Events:
+ * - session-start: branch, head
+ * - skill-loaded: skill, args
+ * - plan-executed: skill, plan
+ * - task-checked: plan, task, goalTags, alignment
+ * - team-summary: plan, teammates, summary
+ * - alignment-report: milestone, status, summary
+ * - session-end: reason, branch, head
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { PROJECT_CONFIG_DIR, loadConfigOrDefault } = require('./config');
+
+const SESSIONS_DIR = 'sessions';
+const CURRENT_SESSION_FILE = 'current';
+
+// Loading one of these skills means a plan is being executed
+const PLAN_SKILLS = ['executing-plans', 'subagent-driven-development', 'executing-as-team'];
+
+/**
+ * Journal directory for a project
+ * @param {string} projectDir - Project root
+ * @returns {string} Path (may not exist)
+ */
+function sessionsDir(projectDir = process.cwd()) {
+  return path.join(projectDir, PROJECT_CONFIG_DIR, SESSIONS_DIR);
+}
+
+/**
+ * Create the journal directory, with a .gitignore that ignores everything in it
+ * @param {string} projectDir - Project root
+ * @returns {string} Path
+ */
+function ensureSessionsDir(projectDir) {
+  const dir = sessionsDir(projectDir);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const ignoreFile = path.join(dir, '.gitignore');
+  if (!fs.existsSync(ignoreFile)) {
+    fs.writeFileSync(ignoreFile, '# Session journals are local; written by superpowers\n*\n');
+  }
+  return dir;
+}
+
+function sessionFile(projectDir, sessionId) {
+  // Session ids come from the hook input; keep them to one path segment
+  return path.join(sessionsDir(projectDir), `${String(sessionId).replace(/[^\w.-]/g, '_')}.jsonl`);
+}
+
+/**
+ * Session currently running in a project, as recorded by the session-start hook
+ * @param {string} projectDir - Project root
+ * @returns {string|null} Session ID, or null outside a journaled session
+ */
+function currentSessionId(projectDir = process.cwd()) {
+  try {
+    return fs.readFileSync(path.join(sessionsDir(projectDir), CURRENT_SESSION_FILE), 'utf8').trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check if journaling is on for a project (config journal.enabled)
+ * @param {string} projectDir - Project root
+ * @param {Object} config - Loaded config (default: loadConfigOrDefault())
+ * @returns {boolean}
+ */
+function isJournalEnabled(projectDir, config) {
+  const loaded = config || loadConfigOrDefault({ projectDir, quiet: true });
+  // With a broken config, do not journal: the file may be what turns it off
+  if (loaded.warnings && loaded.warnings.length > 0) {
+    return false;
+  }
+  return loaded.journal.enabled;
+}
+
+/**
+ * Append one entry to a session journal
+ * @param {Object} options - Entry options
+ * @param {string} options.projectDir - Project root (default: cwd)
+ * @param {string} options.sessionId - Session (default: currentSessionId())
+ * @param {string} options.event - Event name
+ * @param {Object} options.data - Event fields
+ * @returns {Object} { success: true, data: entry } or { success: false, error }
+ */
+function appendJournalEntry(options) {
+  const {
+    projectDir = process.cwd(),
+    sessionId = currentSessionId(projectDir),
+    event,
+    data = {}
+  } = options;
+
+  if (!sessionId) {
+    return { success: false, error: 'No current session' };
+  }
+
+  const entry = { time: new Date().toISOString(), session: sessionId, event, ...data };
+  try {
+    const file = sessionFile(projectDir, sessionId);
+    ensureSessionsDir(projectDir);
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    return { success: true, data: entry };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Record an event for the running session, if journaling is enabled
+ *
+ * For library code (TeamManager, milestone reports): does nothing outside
+ * a hooked session, so scripts and tests leave no journal behind.
+ *
+ * @param {string} event - Event name
+ * @param {Object} data - Event fields
+ * @param {Object} options - Options
+ * @param {string} options.projectDir - Project root (default: cwd)
+ * @param {Object} options.config - Loaded config
+ * @returns {Object} appendJournalEntry() result
+ */
+function recordSessionEvent(event, data, options = {}) {
+  const { projectDir = process.cwd(), config } = options;
+  const sessionId = currentSessionId(projectDir);
+
+  if (!sessionId || !isJournalEnabled(projectDir, config)) {
+    return { success: false, error: 'Journal not active' };
+  }
+  return appendJournalEntry({ projectDir, sessionId, event, data });
+}
+
+function gitState(cwd) {
+  const git = (args) => {
+    try {
+      return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: 'pipe', timeout: 3000 }).trim();
+    } catch (error) {
+      return null;
+    }
+  };
+  return { branch: git(['rev-parse', '--abbrev-ref', 'HEAD']), head: git(['rev-parse', 'HEAD']) };
+}
+
+/**
+ * Turn a Claude Code hook payload into journal entries
+ * @param {Object} input - Hook JSON from stdin (hook_event_name, session_id, cwd, tool_name, tool_input, ...)
+ * @returns {Array<{event: string, data: Object}>} Entries to record (may be empty)
+ */
+function hookEntries(input) {
+  const cwd = input.cwd || process.cwd();
+
+  switch (input.hook_event_name) {
+    case 'SessionStart':
+      return [{ event: 'session-start', data: { source: input.source || null, ...gitState(cwd) } }];
+
+    case 'SessionEnd':
+      return [{ event: 'session-end', data: { reason: input.reason || null, ...gitState(cwd) } }];
+
+    case 'PostToolUse': {
+      if (input.tool_name !== 'Skill') {
+        return [];
+      }
+
+      const toolInput = input.tool_input || {};
+      const skill = toolInput.skill || toolInput.command || null;
+      if (!skill) {
+        return [];
+      }
+
+      const entries = [{ event: 'skill-loaded', data: { skill, args: toolInput.args || null } }];
+      if (PLAN_SKILLS.includes(skill.replace(/^superpowers:/, ''))) {
+        entries.push({ event: 'plan-executed', data: { skill, plan: toolInput.args || null } });
+      }
+      return entries;
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Record a Claude Code hook payload
+ * @param {Object} input - Hook JSON from stdin
+ * @param {Object} options - Options
+ * @param {string} options.projectDir - Project root (default: $CLAUDE_PROJECT_DIR, then input.cwd)
+ * @returns {Array<Object>} Entries written
+ */
+function recordHookEvent(input, options = {}) {
+  const {
+    projectDir = process.env.CLAUDE_PROJECT_DIR || input.cwd || process.cwd()
+  } = options;
+
+  if (!input.session_id || !isJournalEnabled(projectDir)) {
+    return [];
+  }
+
+  const written = [];
+  for (const { event, data } of hookEntries(input)) {
+    const result = appendJournalEntry({ projectDir, sessionId: input.session_id, event, data });
+    if (result.success) {
+      written.push(result.data);
+    }
+  }
+
+  // Library code (TeamManager, reports) journals into whichever session is running
+  const current = path.join(sessionsDir(projectDir), CURRENT_SESSION_FILE);
+  try {
+    if (input.hook_event_name === 'SessionStart') {
+      ensureSessionsDir(projectDir);
+      fs.writeFileSync(current, `${input.session_id}\n`);
+    } else if (input.hook_event_name === 'SessionEnd' && currentSessionId(projectDir) === input.session_id) {
+      fs.rmSync(current, { force: true });
+    }
+  } catch (error) {
+    // Best-effort, like the entries themselves
+  }
+
+  return written;
+}
+
+/**
+ * Read one session's journal
+ * @param {string} projectDir - Project root
+ * @param {string} sessionId - Session ID
+ * @returns {Array<Object>} Entries in order (unreadable lines are skipped)
+ */
+function readSession(projectDir, sessionId) {
+  let content;
+  try {
+    content = fs.readFileSync(sessionFile(projectDir, sessionId), 'utf8');
+  } catch (error) {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // A crash mid-write can leave a partial last line
+    }
+  }
+  return entries;
+}
+
+/**
+ * Summarize one session's entries
+ * @param {string} sessionId - Session ID
+ * @param {Array<Object>} entries - readSession() result
+ * @returns {Object} Session summary
+ */
+function summarizeSession(sessionId, entries) {
+  const first = entries[0];
+  const last = entries[entries.length - 1];
+  const start = entries.find(e => e.event === 'session-start');
+  const end = entries.find(e => e.event === 'session-end');
+  const unique = (values) => [...new Set(values.filter(Boolean))];
+
+  return {
+    sessionId,
+    startedAt: first ? first.time : null,
+    endedAt: end ? end.time : null,
+    lastActivity: last ? last.time : null,
+    branches: unique(entries.map(e => e.branch)),
+    startHead: start ? start.head : null,
+    endHead: end ? end.head : null,
+    skills: unique(entries.filter(e => e.event === 'skill-loaded').map(e => e.skill)),
+    plans: unique(entries.filter(e => e.event === 'plan-executed').map(e => e.plan || e.skill)),
+    teamSummaries: entries.filter(e => e.event === 'team-summary').length,
+    alignmentReports: entries.filter(e => e.event === 'alignment-report').length,
+    entries: entries.length
+  };
+}
+
+/**
+ * List journaled sessions in a project
+ * @param {string} projectDir - Project root
+ * @param {Object} filters - Filter options
+ * @param {string} filters.branch - Sessions that were on this branch
+ * @param {string} filters.since - Sessions active at or after this date
+ * @param {string} filters.until - Sessions started before this date
+ * @param {string} filters.skill - Sessions that loaded this skill
+ * @returns {Array<Object>} summarizeSession() results, oldest first
+ */
+function listSessions(projectDir = process.cwd(), filters = {}) {
+  let files;
+  try {
+    files = fs.readdirSync(sessionsDir(projectDir)).filter(file => file.endsWith('.jsonl'));
+  } catch (error) {
+    return [];
+  }
+
+  const matchesSkill = (skills, skill) => skills.some(s => s === skill || s.replace(/^[^:]+:/, '') === skill);
+
+  return files
+    .map(file => {
+      const sessionId = file.slice(0, -'.jsonl'.length);
+      return summarizeSession(sessionId, readSession(projectDir, sessionId));
+    })
+    .filter(session => session.entries > 0)
+    .filter(session => !filters.branch || session.branches.includes(filters.branch))
+    .filter(session => !filters.since || new Date(session.lastActivity) >= new Date(filters.since))
+    .filter(session => !filters.until || new Date(session.startedAt) < new Date(filters.until))
+    .filter(session => !filters.skill || matchesSkill(session.skills, filters.skill))
+    .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+}
+
+/**
+ * Query entries across sessions
+ * @param {string} projectDir - Project root
+ * @param {Object} filters - listSessions() filters, plus:
+ * @param {string} filters.event - Only entries of this event
+ * @returns {Array<Object>} Entries, oldest first
+ */
+function querySessions(projectDir = process.cwd(), filters = {}) {
+  const { event, ...sessionFilters } = filters;
+
+  return listSessions(projectDir, sessionFilters)
+    .flatMap(session => readSession(projectDir, session.sessionId))
+    .filter(entry => !event || entry.event === event)
+    .filter(entry => !filters.since || new Date(entry.time) >= new Date(filters.since))
+    .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+module.exports = {
+  PLAN_SKILLS,
+  appendJournalEntry,
+  currentSessionId,
+  hookEntries,
+  listSessions,
+  querySessions,
+  readSession,
+  recordHookEvent,
+  recordSessionEvent,
+  sessionsDir,
+  summarizeSession
+};
@@ -0,0 +1,489 @@
+/**
+ * scripts/teams-helpers/plan-parser.js
+ *
+ * Parse implementation plans (docs/plans/*-implementation.md, as written by
+ * writing-plans-for-teams) into the plan object TeamManager executes
+ *
+ * A plan is a "# Title" heading, "**Field:** value" header lines, an
+ * optional goal-metrics block (the design goals it was written against)
+ * and "### Task N: Title" blocks. Each task may have:
+ * - **Goal Tags:** "- key: value" overrides
+ * - **Files:** "- Create|Modify|Test|Delete|Reference: `path[:start-end]` note"
+ * - **Steps:** a numbered list, or "**Step N: Title**" blocks with content
+ * - **Dependencies:** "None", "Task 1, Task 2" or a list of tasks
+ * - **Estimate:** "45 min", "1.5h" or "1h 30m", used for schedule analysis
+ *
+ * Headings inside fenced code blocks are content, not structure. Problems
+ * are reported as { line, message }, with 1-based line numbers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { deserializeGoalTags, findGoalMetricsBlock, parseGoalMetrics } = require('./goal-tags');
+
+const FILE_ACTIONS = ['create', 'modify', 'test', 'delete', 'reference'];
+const STEP_PHASES = ['red', 'green', 'refactor'];
+
+// Estimate units, in minutes; a bare number is minutes
+const ESTIMATE_UNITS = { h: 60, hr: 60, hrs: 60, hour: 60, hours: 60, m: 1, min: 1, mins: 1, minute: 1, minutes: 1 };
+
+// Header fields with a typed value; other "**Field:** value" lines are kept as text
+const HEADER_FIELDS = {
+  goal: 'goal',
+  architecture: 'architecture',
+  'tech stack': 'techStack',
+  'teams mode': 'teamsMode',
+  'teammate count': 'teammateCount'
+};
+
+const TASK_HEADING = /^#{2,3}\s+Task\b\s*([\w.-]*?)\s*(?::\s*(.*?))?\s*$/;
+const FIELD_LINE = /^\*\*([^*:]+):\*\*\s*(.*?)\s*$/;
+const STEP_HEADING = /^\*\*Step\s+(\d+)\s*[:.]?\s*(.*?)\*\*\s*$/i;
+const LIST_ITEM = /^(\s*)(?:[-*]|(\d+)\.)\s+(.*?)\s*$/;
+
+/**
+ * Design document a plan was written from
+ * @param {string} planFile - e.g. docs/plans/2026-02-07-auth-implementation.md
+ * @returns {string} e.g. docs/plans/2026-02-07-auth-design.md
+ */
+function designDocFor(planFile) {
+  const base = path.basename(planFile).replace(/-implementation\.md$|\.md$/, '');
+  return path.join(path.dirname(planFile), `${base}-design.md`);
+}
+
+/**
+ * Mark which lines are inside fenced code blocks
+ * @returns {Object} { inFence: Array<boolean>, unclosed: line number of an unclosed fence or null }
+ */
+function scanFences(lines) {
+  const inFence = [];
+  let open = null;
+
+  lines.forEach((line, index) => {
+    const fence = line.match(/^\s*(`{3,}|~{3,})/);
+    if (open) {
+      inFence.push(true);
+      if (fence && fence[1][0] === open.marker[0] && fence[1].length >= open.marker.length &&
+          line.trim() === fence[1]) {
+        open = null;
+      }
+    } else {
+      inFence.push(Boolean(fence));
+      if (fence) {
+        open = { marker: fence[1], line: index + 1 };
+      }
+    }
+  });
+
+  return { inFence, unclosed: open ? open.line : null };
+}
+
+/**
+ * Parse one Files item
+ * @returns {Object|string} { action, path, range, note } or an error message
+ */
+function parseFileItem(text) {
+  const match = text.match(/^(\w+):\s*(.*)$/);
+  if (!match) {
+    return `File entry "${text}" should look like "Create: \`path\`"`;
+  }
+
+  const action = match[1].toLowerCase();
+  if (!FILE_ACTIONS.includes(action)) {
+    return `Unknown file action "${match[1]}" (expected ${FILE_ACTIONS.map(a => a[0].toUpperCase() + a.slice(1)).join(', ')})`;
+  }
+
+  const quoted = match[2].match(/^`([^`]+)`\s*(.*)$/);
+  const [target, rest] = quoted ? [quoted[1], quoted[2]] : [match[2].split(/\s+/)[0], match[2].slice(match[2].split(/\s+/)[0].length)];
+  if (!target) {
+    return `${match[1]} entry has no path`;
+  }
+
+  let filePath = target;
+  let range = null;
+  const suffix = target.match(/^(.+?):(\d+)(?:-(\d+))?$/);
+  if (suffix) {
+    filePath = suffix[1];
+    range = { start: Number(suffix[2]), end: Number(suffix[3] || suffix[2]) };
+  } else if (/:[^/]*$/.test(target) && !/^[a-z]+:\/\//i.test(target)) {
+    return `Line range in "${target}" should be N or N-M`;
+  }
+
+  const note = rest.trim().replace(/^\((.*)\)$/, '$1');
+  const lines = note.match(/\blines?\s+(\d+)(?:\s*-\s*(\d+))?/i);
+  if (!range && lines) {
+    range = { start: Number(lines[1]), end: Number(lines[2] || lines[1]) };
+  }
+  if (range && range.end < range.start) {
+    return `Line range ${range.start}-${range.end} in "${target}" ends before it starts`;
+  }
+
+  return { action, path: filePath, range, note: note || null };
+}
+
+/**
+ * Minutes in an Estimate entry
+ * @returns {number|null} Minutes, or null if the text is not a duration
+ */
+function parseEstimate(text) {
+  const value = text.trim().replace(/^~\s*/, '');
+  if (!/^(?:\d+(?:\.\d+)?\s*[a-z]*\s*)+$/i.test(value)) {
+    return null;
+  }
+
+  let minutes = 0;
+  for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]*)/gi)) {
+    const factor = unit ? ESTIMATE_UNITS[unit.toLowerCase()] : 1;
+    if (!factor) {
+      return null;
+    }
+    minutes += Number(amount) * factor;
+  }
+  return Math.round(minutes);
+}
+
+/**
+ * Task IDs named in a Dependencies entry
+ * @returns {Array<string>|null} IDs ([] for "None"), or null if none could be read
+ */
+function parseDependencyRefs(text) {
+  if (/^(none|n\/a|-|—|independent)\.?$/i.test(text.trim())) {
+    return [];
+  }
+
+  const ids = [];
+  for (const match of text.matchAll(/\bTasks?\s+([\w.-]*\w(?:\s*(?:,|&|and)\s*[\w.-]*\w)*)/gi)) {
+    for (const id of match[1].split(/\s*(?:,|&|\band\b)\s*/)) {
+      if (/\d/.test(id) && !ids.includes(id)) {
+        ids.push(id);
+      }
+    }
+  }
+  if (ids.length === 0 && /^[\w.-]*\d[\w.-]*$/.test(text.trim())) {
+    ids.push(text.trim());
+  }
+  return ids.length > 0 ? ids : null;
+}
+
+/**
+ * Parse the body of one task
+ * @returns {Object} Task, without cross-task checks
+ */
+function parseTask(id, title, startLine, lines, inFence, report) {
+  const task = { id, title, line: startLine, goalTags: {}, files: [], steps: [], dependencies: [], estimateMinutes: null };
+  let section = null;
+  let step = null;
+
+  const seen = new Set();
+  const enter = (name, line) => {
+    if (seen.has(name)) {
+      report(line, `Task ${id} has a second ${name} section`);
+    }
+    seen.add(name);
+    section = name;
+    step = null;
+  };
+
+  lines.forEach((text, offset) => {
+    const line = startLine + 1 + offset;
+
+    if (inFence[offset]) {
+      if (step) {
+        step.body.push(text);
+      }
+      return;
+    }
+
+    const stepHeading = text.match(STEP_HEADING);
+    if (stepHeading) {
+      section = 'Step';
+      step = { number: Number(stepHeading[1]), title: stepHeading[2].trim(), phase: null, body: [], line };
+      task.steps.push(step);
+      return;
+    }
+
+    const field = text.match(FIELD_LINE);
+    if (field && ['goal tags', 'files', 'steps', 'dependencies'].includes(field[1].trim().toLowerCase())) {
+      const name = field[1].trim().toLowerCase();
+      enter(name, line);
+      if (name === 'dependencies') {
+        if (field[2]) {
+          const refs = parseDependencyRefs(field[2]);
+          if (refs === null) {
+            report(line, `Task ${id}: cannot tell which task "${field[2]}" refers to (expected "Task N" or None)`);
+          } else {
+            task.dependencies.push(...refs.map(ref => ({ id: ref, line })));
+          }
+        }
+      } else if (field[2]) {
+        report(line, `Task ${id}: put the ${field[1].trim()} items on the lines below the heading`);
+      }
+      return;
+    }
+
+    if (field && !step && field[1].trim().toLowerCase() === 'estimate') {
+      const minutes = parseEstimate(field[2]);
+      if (minutes === null) {
+        report(line, `Task ${id}: estimate "${field[2]}" should be a duration like "45 min" or "1.5h"`);
+      } else {
+        task.estimateMinutes = minutes;
+      }
+    }
+
+    if (/^---+\s*$/.test(text) || (field && !step)) {
+      // A rule ends the task's sections; other bold fields outside steps are notes
+      section = null;
+      step = null;
+      return;
+    }
+
+    if (section === 'Step') {
+      step.body.push(text);
+      return;
+    }
+    if (!text.trim() || !section) {
+      return;
+    }
+
+    const item = text.match(LIST_ITEM);
+    if (!item) {
+      if (section === 'steps' && task.steps.length > 0 && /^\s+\S/.test(text)) {
+        task.steps[task.steps.length - 1].body.push(text.trim());
+        return;
+      }
+      report(line, `Task ${id}: expected a list item in ${section}, got "${text.trim()}"`);
+      return;
+    }
+
+    if (section === 'goal tags') {
+      const { tags, errors } = deserializeGoalTags(`- ${item[3]}`, 'markdown', { where: `Task ${id} goal tags` });
+      if (!/^[^:]+:\s*\S/.test(item[3])) {
+        report(line, `Task ${id}: goal tag "${item[3]}" should look like "key: value"`);
+      }
+      errors.forEach(error => report(line, error));
+      Object.assign(task.goalTags, tags);
+    } else if (section === 'files') {
+      const file = parseFileItem(item[3]);
+      if (typeof file === 'string') {
+        report(line, `Task ${id}: ${file}`);
+      } else {
+        task.files.push({ ...file, line });
+      }
+    } else if (section === 'steps') {
+      if (item[1] && task.steps.length > 0) {
+        task.steps[task.steps.length - 1].body.push(item[3]);
+        return;
+      }
+      if (!item[2]) {
+        report(line, `Task ${id}: steps should be a numbered list ("1. Write failing test")`);
+        return;
+      }
+      const phase = item[3].match(/^\[(\w+)\]\s*/);
+      task.steps.push({
+        number: Number(item[2]),
+        title: phase ? item[3].slice(phase[0].length) : item[3],
+        phase: phase && STEP_PHASES.includes(phase[1].toLowerCase()) ? phase[1].toLowerCase() : null,
+        body: [],
+        line
+      });
+    } else if (section === 'dependencies') {
+      const refs = parseDependencyRefs(item[3]);
+      if (refs === null) {
+        report(line, `Task ${id}: cannot tell which task "${item[3]}" refers to (expected "Task N")`);
+      } else {
+        task.dependencies.push(...refs.map(ref => ({ id: ref, line })));
+      }
+    }
+  });
+
+  task.steps.forEach((s, index) => {
+    s.body = s.body.join('\n').trim();
+    if (s.number !== index + 1) {
+      report(s.line, `Task ${id}: step ${s.number} should be step ${index + 1}`);
+    }
+  });
+  return task;
+}
+
+/**
+ * Parse an implementation plan
+ * @param {string} content - Plan document content
+ * @returns {Object} {
+ *   title, header: { goal, architecture, techStack, teamsMode, teammateCount, fields },
+ *   baseline: goal-metrics block as partial GoalTags, or null,
+ *   tasks: Array<{ id, title, line, goalTags, files, steps, dependencies, estimateMinutes }>,
+ *   errors: Array<{ line, message }>
+ * }
+ */
+function parsePlan(content) {
+  const lines = (content || '').split(/\r?\n/);
+  const { inFence, unclosed } = scanFences(lines);
+  const errors = [];
+  const report = (line, message) => errors.push({ line, message });
+
+  if (unclosed) {
+    report(unclosed, 'Code block is never closed');
+  }
+
+  const headings = [];
+  lines.forEach((text, index) => {
+    if (inFence[index]) {
+      return;
+    }
+    const heading = text.match(TASK_HEADING);
+    if (heading) {
+      headings.push({ index, id: heading[1], title: (heading[2] || '').trim() });
+    }
+  });
+
+  // Header: everything before the first task
+  const headerEnd = headings.length > 0 ? headings[0].index : lines.length;
+  const header = { goal: null, architecture: null, techStack: null, teamsMode: null, teammateCount: null, fields: {} };
+  let title = null;
+
+  for (let index = 0; index < headerEnd; index++) {
+    if (inFence[index]) {
+      continue;
+    }
+    const text = lines[index];
+
+    const h1 = text.match(/^#\s+(.+?)\s*$/);
+    if (h1 && title === null) {
+      title = h1[1];
+      continue;
+    }
+
+    const field = text.match(FIELD_LINE);
+    if (!field) {
+      continue;
+    }
+    const name = field[1].trim();
+    const value = field[2];
+    header.fields[name] = value;
+
+    const key = HEADER_FIELDS[name.toLowerCase()];
+    if (key === 'teamsMode') {
+      const mode = value.toLowerCase();
+      if (mode === 'enabled' || mode === 'disabled') {
+        header.teamsMode = mode;
+      } else {
+        report(index + 1, `Teams Mode must be enabled or disabled, got "${value}"`);
+      }
+    } else if (key === 'teammateCount') {
+      const count = value.match(/^(\d+)\b/);
+      if (/^adaptive\b/i.test(value)) {
+        header.teammateCount = 'adaptive';
+      } else if (count && Number(count[1]) > 0) {
+        header.teammateCount = Number(count[1]);
+      } else {
+        report(index + 1, `Teammate Count must be a positive number or adaptive, got "${value}"`);
+      }
+    } else if (key) {
+      header[key] = value;
+    }
+  }
+
+  if (title === null) {
+    report(1, 'Plan has no "# Title" heading');
+  }
+
+  let baseline = null;
+  const headerText = lines.slice(0, headerEnd).join('\n');
+  if (findGoalMetricsBlock(headerText)) {
+    const parsed = parseGoalMetrics(headerText);
+    const block = findGoalMetricsBlock(headerText);
+    baseline = parsed.metrics;
+    parsed.errors.forEach(message => report(block.line, message));
+  }
+
+  // Tasks: up to the next task, or a level-1/2 heading outside code
+  const tasks = headings.map((heading, n) => {
+    const line = heading.index + 1;
+    let end = n + 1 < headings.length ? headings[n + 1].index : lines.length;
+    for (let index = heading.index + 1; index < end; index++) {
+      if (!inFence[index] && /^#{1,2}\s/.test(lines[index])) {
+        end = index;
+        break;
+      }
+    }
+
+    if (!heading.id) {
+      report(line, 'Task heading should look like "### Task N: Title"');
+    } else if (!heading.title) {
+      report(line, `Task ${heading.id} has no title`);
+    }
+
+    return parseTask(heading.id || `task-${n + 1}`, heading.title, line,
+      lines.slice(heading.index + 1, end), inFence.slice(heading.index + 1, end), report);
+  });
+
+  // Cross-task checks
+  const ids = new Map();
+  for (const task of tasks) {
+    if (ids.has(task.id)) {
+      report(task.line, `Task ${task.id} is defined twice (first on line ${ids.get(task.id)})`);
+    } else {
+      ids.set(task.id, task.line);
+    }
+  }
+  for (const task of tasks) {
+    const resolved = [];
+    for (const dep of task.dependencies) {
+      if (dep.id === task.id) {
+        report(dep.line, `Task ${task.id} depends on itself`);
+      } else if (!ids.has(dep.id)) {
+        report(dep.line, `Task ${task.id} depends on Task ${dep.id}, which the plan does not define`);
+      } else if (!resolved.includes(dep.id)) {
+        resolved.push(dep.id);
+      }
+    }
+    task.dependencies = resolved;
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { title, header, baseline, tasks, errors };
+}
+
+/**
+ * Read a plan file into the plan object TeamManager takes
+ * @param {string} planFile - Path to the plan
+ * @param {Object} options - Load options
+ * @param {string} options.designFile - Design document (default: designDocFor(planFile), if it exists)
+ * @param {string} options.projectDir - Project root recorded on the plan (default: cwd)
+ * @returns {Object} parsePlan() result plus file, designFile, designDoc and projectDir
+ * @throws {Error} If the plan (or an explicitly given design document) cannot be read
+ */
+function loadPlan(planFile, options = {}) {
+  const { projectDir = process.cwd() } = options;
+  const plan = parsePlan(fs.readFileSync(planFile, 'utf8'));
+
+  let designFile = options.designFile || designDocFor(planFile);
+  let designDoc = '';
+  try {
+    designDoc = fs.readFileSync(designFile, 'utf8');
+  } catch (error) {
+    if (options.designFile) {
+      throw error;
+    }
+    designFile = null;
+  }
+
+  return { ...plan, file: planFile, designFile, designDoc, projectDir };
+}
+
+/**
+ * Format parse errors as "file:line: message" lines
+ * @param {Array<{line, message}>} errors - parsePlan() errors
+ * @param {string} file - Plan file name
+ * @returns {string} One error per line
+ */
+function formatPlanErrors(errors, file = 'plan') {
+  return errors.map(error => `${file}:${error.line}: ${error.message}`).join('\n');
+}
+
+module.exports = {
+  designDocFor,
+  formatPlanErrors,
+  loadPlan,
+  parsePlan
+};
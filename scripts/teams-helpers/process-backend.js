@@ -0,0 +1,236 @@
+/**
+ * scripts/teams-helpers/process-backend.js
+ *
+ * Execution backend that runs each task as a local child process
+ *
+ * The command comes from teams.process.command in the superpowers config and
+ * runs through the shell, so it can be a script or another CLI agent. The
+ * process gets { teammateId, task, goalTags, context } as JSON on stdin and
+ * prints a JSON result on stdout (the whole output, or its last JSON line).
+ * A non-zero exit status fails the task.
+ *
+ * No runtime API is needed, so executing-as-team can run in CI or on any
+ * machine with a worker script.
+ */
+
+const { spawn } = require('child_process');
+
+const DEFAULT_TIMEOUT_SECONDS = 600;
+const STDERR_TAIL_LENGTH = 500;
+// After a timeout, how long a worker gets to exit on SIGTERM before SIGKILL
+const KILL_GRACE_MS = 5000;
+
+/**
+ * Quote a value for POSIX sh
+ * @param {*} value - Value to quote
+ * @returns {string} Single-quoted string
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Fill in a command template
+ *
+ * {taskId}, {teammateId} and {title} are replaced with shell-quoted values,
+ * so task titles cannot inject shell syntax.
+ *
+ * @param {string} template - Command, e.g. "node worker.js {taskId}"
+ * @param {Object} values - Placeholder values
+ * @returns {string} Command to run
+ */
+function expandCommand(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? shellQuote(values[name] ?? '') : match
+  );
+}
+
+/**
+ * Find the JSON result in a worker's stdout
+ * @param {string} stdout - Worker output
+ * @returns {Object|null} Parsed result, or null if there is none
+ */
+function parseWorkerOutput(stdout) {
+  const text = stdout.trim();
+  if (!text) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    // Workers may log before the result; take the last line that is a JSON object
+  }
+
+  const lines = text.split('\n').map(line => line.trim()).reverse();
+  for (const line of lines) {
+    if (!line.startsWith('{')) {
+      continue;
+    }
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      // Not the result line
+    }
+  }
+  return null;
+}
+
+// Running processes are shared by every dispatcher in this Node process
+const waiting = [];
+let running = 0;
+
+function acquireSlot(limit) {
+  return new Promise(resolve => {
+    waiting.push({ limit, resolve });
+    releaseSlots();
+  });
+}
+
+function releaseSlots() {
+  while (waiting.length > 0 && running < waiting[0].limit) {
+    running++;
+    waiting.shift().resolve();
+  }
+}
+
+/**
+ * Run one task in a child process
+ * @param {number} teammateId - Teammate running the task
+ * @param {Object} request - { task, goalTags, context }
+ * @param {Object} options - Process options
+ * @param {string} options.command - Command template
+ * @param {string} options.cwd - Working directory (default: cwd)
+ * @param {number} options.timeout - Seconds before the process is killed (default: 600)
+ * @param {number} options.concurrency - Processes running at once (default: 1)
+ * @returns {Promise<Object>} Worker result, with success defaulting to true
+ * @throws {Error} If the process fails, times out or prints no JSON result
+ */
+async function runTeammateProcess(teammateId, request, options) {
+  const {
+    command,
+    cwd = process.cwd(),
+    timeout = DEFAULT_TIMEOUT_SECONDS,
+    concurrency = 1
+  } = options;
+  const task = request.task || {};
+
+  await acquireSlot(concurrency);
+  try {
+    const { code, signal, stdout, stderr, timedOut } = await new Promise((resolve, reject) => {
+      // Own process group, so a timeout also stops whatever the command started
+      const child = spawn(expandCommand(command, { taskId: task.id, teammateId, title: task.title }), {
+        cwd,
+        shell: true,
+        detached: true,
+        stdio: ['pipe', 'pipe', 'pipe'],
+        env: {
+          ...process.env,
+          SUPERPOWERS_TASK_ID: String(task.id ?? ''),
+          SUPERPOWERS_TEAMMATE_ID: String(teammateId)
+        }
+      });
+
+      let out = '';
+      let err = '';
+      let killed = false;
+      let settled = false;
+      let killTimer = null;
+      const kill = (signal) => {
+        try {
+          process.kill(-child.pid, signal);
+        } catch (error) {
+          child.kill(signal);
+        }
+      };
+      const settle = (done, value) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+        done(value);
+      };
+
+      const timer = setTimeout(() => {
+        killed = true;
+        kill('SIGTERM');
+        // A worker that ignores SIGTERM is killed, and the task settles even if its pipes stay open
+        killTimer = setTimeout(() => {
+          kill('SIGKILL');
+          settle(resolve, { code: null, signal: 'SIGKILL', stdout: out, stderr: err, timedOut: true });
+        }, KILL_GRACE_MS);
+      }, timeout * 1000);
+
+      child.stdout.on('data', chunk => {
+        out += chunk;
+      });
+      child.stderr.on('data', chunk => {
+        err += chunk;
+      });
+      child.on('error', error => {
+        settle(reject, error);
+      });
+      child.on('close', (exitCode, exitSignal) => {
+        settle(resolve, { code: exitCode, signal: exitSignal, stdout: out, stderr: err, timedOut: killed });
+      });
+
+      // A worker that ignores stdin closes the pipe early; that is fine
+      child.stdin.on('error', () => {});
+      child.stdin.end(JSON.stringify({ teammateId, ...request }));
+    });
+
+    const stderrTail = stderr.trim().slice(-STDERR_TAIL_LENGTH);
+    if (timedOut) {
+      throw new Error(`Task ${task.id} timed out after ${timeout}s`);
+    }
+    if (code !== 0) {
+      const status = signal ? `signal ${signal}` : `exit code ${code}`;
+      throw new Error(`Task ${task.id} failed with ${status}${stderrTail ? `: ${stderrTail}` : ''}`);
+    }
+
+    const result = parseWorkerOutput(stdout);
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+      throw new Error(`Task ${task.id} printed no JSON result on stdout`);
+    }
+    return { success: true, ...result };
+  } finally {
+    running--;
+    releaseSlots();
+  }
+}
+
+/**
+ * Backend definition for the registry in detect-mode.js
+ */
+const processBackend = {
+  name: 'process',
+  priority: 25,
+  description: 'Local child processes running teams.process.command',
+  probe({ config }) {
+    const command = config.teams.process?.command;
+    if (!command) {
+      return { available: false, reason: 'teams.process.command is not configured' };
+    }
+    return { available: true, reason: `teams.process.command is "${command}"` };
+  },
+  provides: {
+    dispatch: (teammateId, request, { config }) => {
+      const settings = config.teams.process || {};
+      return runTeammateProcess(teammateId, request, {
+        command: settings.command,
+        cwd: settings.cwd,
+        timeout: settings.timeout,
+        concurrency: settings.concurrency || config.teams.maxTeammates
+      });
+    }
+  }
+};
+
+module.exports = {
+  expandCommand,
+  parseWorkerOutput,
+  processBackend,
+  runTeammateProcess
+};
@@ -2,14 +2,51 @@
  * scripts/teams-helpers/task-grouping.js
  *
  * Task grouping utilities for parallel execution
+ *
+ * groupTasksForTeams() splits tasks into independent and dependent ones.
+ * analyzeTaskSchedule() goes further: topological waves, the critical path,
+ * per-task slack and the predicted makespan (wall-clock minutes) for each
+ * teammate count, using each task's optional estimateMinutes.
+ */
+
+const DEFAULT_MAX_TEAMMATES = 5;
+const DEFAULT_ESTIMATE_MINUTES = 30;
+
+// Estimates may be fractions, and 0.1 + 0.2 !== 0.3, so times are compared with a tolerance
+const TIME_EPSILON = 1e-9;
+
+/**
+ * Whether two times in minutes are equal, allowing for rounding error
+ * @param {number} a - Minutes
+ * @param {number} b - Minutes
+ * @returns {boolean}
+ */
+function sameTime(a, b) {
+  return Math.abs(a - b) < TIME_EPSILON;
+}
+
+/**
+ * Check a teammate count option
+ * @param {string} name - Option name, for the error message
+ * @param {*} value - Option value
+ * @throws {Error} Unless the value is a whole number of at least 1
  */
+function checkTeammates(name, value) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${name} must be a whole number of at least 1, got ${JSON.stringify(value)}`);
+  }
+}
 
 /**
  * Group tasks by dependencies for parallel execution
  * @param {Array} tasks - Array of task objects
+ * @param {Object} options - Grouping options
+ * @param {number} options.maxTeammates - Teammate cap (config teams.maxTeammates, default: 5)
  * @returns {Object} Grouped tasks
  */
-function groupTasksForTeams(tasks) {
+function groupTasksForTeams(tasks, options = {}) {
+  const { maxTeammates = DEFAULT_MAX_TEAMMATES } = options;
+
   if (!tasks || tasks.length === 0) {
     return {
       independent: [],
@@ -23,8 +60,8 @@ function groupTasksForTeams(tasks) {
   const dependent = tasks.filter(t => t.dependencies && t.dependencies.length > 0);
   const dependencyGraph = buildDependencyGraph(tasks);
 
-  // Calculate max parallel teammates (cap at 5)
-  const maxParallel = Math.min(independent.length, 5);
+  // Calculate max parallel teammates (capped)
+  const maxParallel = Math.min(independent.length, maxTeammates);
 
   return {
     independent,
@@ -159,33 +196,249 @@ function validateDependencies(tasks) {
   };
 }
 
+/**
+ * Simulate teammates working through the tasks
+ *
+ * Whenever a teammate is free it takes the ready task with the longest
+ * remaining path (duration plus its longest chain of dependents), so the
+ * critical path is started first.
+ *
+ * @param {Array<Object>} nodes - Schedulable tasks: { id, minutes, dependencies, dependents, tail }
+ * @param {number} teammates - Teammates working at once (at least 1)
+ * @returns {number} Minutes until the last task finishes
+ */
+function simulateSchedule(nodes, teammates) {
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const waitingOn = new Map(nodes.map(node => [node.id, node.dependencies.length]));
+  const ready = nodes.filter(node => node.dependencies.length === 0);
+  const running = [];
+  let now = 0;
+
+  while (ready.length > 0 || running.length > 0) {
+    ready.sort((a, b) => b.tail - a.tail);
+    while (running.length < teammates && ready.length > 0) {
+      const node = ready.shift();
+      running.push({ node, finish: now + node.minutes });
+    }
+
+    running.sort((a, b) => a.finish - b.finish);
+    now = running[0].finish;
+    while (running.length > 0 && running[0].finish === now) {
+      const { node } = running.shift();
+      for (const id of node.dependents) {
+        waitingOn.set(id, waitingOn.get(id) - 1);
+        if (waitingOn.get(id) === 0) {
+          ready.push(byId.get(id));
+        }
+      }
+    }
+  }
+
+  return now;
+}
+
+/**
+ * Analyze how tasks can be scheduled across teammates
+ *
+ * Tasks without estimateMinutes count as options.defaultEstimateMinutes.
+ * Dependencies on unknown tasks are ignored; tasks in (or after) a cycle
+ * cannot be scheduled and are left out of waves and timings.
+ *
+ * @param {Array} tasks - Array of task objects, optionally with estimateMinutes
+ * @param {Object} options - Analysis options
+ * @param {number} options.maxTeammates - Teammate cap (config teams.maxTeammates, default: 5)
+ * @param {number} options.teammateCount - Teammates for `makespan` (default: maxTeammates)
+ * @param {number} options.defaultEstimateMinutes - Estimate for tasks without one (default: 30)
+ * @returns {Object} {
+ *   tasks: Array<{ id, title, minutes, estimated, wave, earliestStart, earliestFinish, latestStart, latestFinish, slack, critical }>,
+ *   waves: Array<{ index, tasks: Array<id>, width, minutes }>,
+ *   width: tasks in the widest wave,
+ *   criticalPath: { tasks: Array<id>, minutes },
+ *   workMinutes: sum of all estimates,
+ *   makespan: { teammates, minutes, utilization },
+ *   makespanByTeammates: Array<{ teammates, minutes, utilization }> for 1..maxTeammates,
+ *   unscheduled: Array<id>, cycleDetected, errors: Array<string>
+ * }
+ * @throws {Error} If maxTeammates or teammateCount is not a whole number of at least 1
+ */
+function analyzeTaskSchedule(tasks, options = {}) {
+  const {
+    maxTeammates = DEFAULT_MAX_TEAMMATES,
+    teammateCount = maxTeammates,
+    defaultEstimateMinutes = DEFAULT_ESTIMATE_MINUTES
+  } = options;
+  checkTeammates('maxTeammates', maxTeammates);
+  checkTeammates('teammateCount', teammateCount);
+  const errors = [];
+
+  const nodes = new Map();
+  for (const task of tasks || []) {
+    const id = task.id || task.title;
+    const estimated = typeof task.estimateMinutes === 'number' && task.estimateMinutes >= 0;
+    if (task.estimateMinutes !== undefined && task.estimateMinutes !== null && !estimated) {
+      errors.push(`Task ${id}: estimateMinutes must be a non-negative number, got ${JSON.stringify(task.estimateMinutes)}`);
+    }
+    nodes.set(id, {
+      id,
+      title: task.title || null,
+      minutes: estimated ? task.estimateMinutes : defaultEstimateMinutes,
+      estimated,
+      dependencies: [],
+      dependents: []
+    });
+  }
+  for (const task of tasks || []) {
+    const node = nodes.get(task.id || task.title);
+    for (const depId of task.dependencies || []) {
+      if (!nodes.has(depId)) {
+        errors.push(`Task ${node.id} depends on unknown task ${depId}`);
+      } else if (!node.dependencies.includes(depId)) {
+        node.dependencies.push(depId);
+        nodes.get(depId).dependents.push(node.id);
+      }
+    }
+  }
+
+  // Forward pass in topological order: waves and earliest times
+  const order = [];
+  const waitingOn = new Map([...nodes.values()].map(node => [node.id, node.dependencies.length]));
+  const queue = [...nodes.values()].filter(node => node.dependencies.length === 0);
+  while (queue.length > 0) {
+    const node = queue.shift();
+    const deps = node.dependencies.map(id => nodes.get(id));
+    node.wave = deps.length > 0 ? Math.max(...deps.map(dep => dep.wave)) + 1 : 0;
+    node.earliestStart = deps.length > 0 ? Math.max(...deps.map(dep => dep.earliestFinish)) : 0;
+    node.earliestFinish = node.earliestStart + node.minutes;
+    order.push(node);
+
+    for (const id of node.dependents) {
+      waitingOn.set(id, waitingOn.get(id) - 1);
+      if (waitingOn.get(id) === 0) {
+        queue.push(nodes.get(id));
+      }
+    }
+  }
+
+  const unscheduled = [...nodes.keys()].filter(id => !order.includes(nodes.get(id)));
+  if (unscheduled.length > 0) {
+    errors.push(`Circular dependencies: tasks ${unscheduled.join(', ')} can never start`);
+  }
+  const scheduled = new Set(order.map(node => node.id));
+  for (const node of order) {
+    node.dependents = node.dependents.filter(id => scheduled.has(id));
+  }
+
+  // Backward pass: latest times, slack, and the longest remaining path
+  const length = order.length > 0 ? Math.max(...order.map(node => node.earliestFinish)) : 0;
+  for (const node of [...order].reverse()) {
+    const dependents = node.dependents.map(id => nodes.get(id));
+    node.latestFinish = dependents.length > 0 ? Math.min(...dependents.map(dep => dep.latestStart)) : length;
+    node.latestStart = node.latestFinish - node.minutes;
+    node.slack = node.latestStart - node.earliestStart;
+    node.tail = node.minutes + (dependents.length > 0 ? Math.max(...dependents.map(dep => dep.tail)) : 0);
+  }
+
+  // Critical path: from a zero-slack start, follow zero-slack dependents that start on finish
+  const criticalPath = [];
+  let current = order.find(node => sameTime(node.slack, 0) && node.dependencies.length === 0);
+  while (current) {
+    criticalPath.push(current.id);
+    const { earliestFinish } = current;
+    current = current.dependents.map(id => nodes.get(id))
+      .find(dep => sameTime(dep.slack, 0) && sameTime(dep.earliestStart, earliestFinish));
+  }
+
+  const waves = [];
+  for (const node of order) {
+    if (!waves[node.wave]) {
+      waves[node.wave] = { index: node.wave, tasks: [], width: 0, minutes: 0 };
+    }
+    const wave = waves[node.wave];
+    wave.tasks.push(node.id);
+    wave.width++;
+    wave.minutes = Math.max(wave.minutes, node.minutes);
+  }
+
+  const workMinutes = order.reduce((sum, node) => sum + node.minutes, 0);
+  const predict = teammates => {
+    const minutes = order.length > 0 ? simulateSchedule(order, teammates) : 0;
+    return { teammates, minutes, utilization: minutes > 0 ? workMinutes / (minutes * teammates) : 0 };
+  };
+  const makespanByTeammates = Array.from({ length: maxTeammates }, (_, i) => predict(i + 1));
+
+  return {
+    tasks: order.map(node => ({
+      id: node.id,
+      title: node.title,
+      minutes: node.minutes,
+      estimated: node.estimated,
+      wave: node.wave,
+      earliestStart: node.earliestStart,
+      earliestFinish: node.earliestFinish,
+      latestStart: node.latestStart,
+      latestFinish: node.latestFinish,
+      slack: node.slack,
+      critical: criticalPath.includes(node.id)
+    })),
+    waves,
+    width: waves.reduce((max, wave) => Math.max(max, wave.width), 0),
+    criticalPath: { tasks: criticalPath, minutes: length },
+    workMinutes,
+    makespan: makespanByTeammates[teammateCount - 1] || predict(teammateCount),
+    makespanByTeammates,
+    unscheduled,
+    cycleDetected: unscheduled.length > 0,
+    errors
+  };
+}
+
+/**
+ * Predict how long the tasks take with a given number of teammates
+ * @param {Array} tasks - Array of task objects, optionally with estimateMinutes
+ * @param {number} teammateCount - Teammates working at once (at least 1)
+ * @param {Object} options - Same as analyzeTaskSchedule()
+ * @returns {Object} { teammates, minutes, utilization }
+ * @throws {Error} If teammateCount is not a whole number of at least 1
+ */
+function predictMakespan(tasks, teammateCount, options = {}) {
+  checkTeammates('teammateCount', teammateCount);
+  return analyzeTaskSchedule(tasks, { ...options, maxTeammates: teammateCount, teammateCount }).makespan;
+}
+
 /**
  * Suggest optimal teammate count based on tasks
- * @param {Array} tasks - Array of task objects
- * @returns {Object} Suggestion
+ * @param {Array} tasks - Array of task objects, optionally with estimateMinutes
+ * @param {Object} options - Same as analyzeTaskSchedule()
+ * @returns {Object} Suggestion: { count, reason, schedule: analyzeTaskSchedule() result }
  */
-function suggestTeammateCount(tasks) {
-  const { independent, maxParallel } = groupTasksForTeams(tasks);
+function suggestTeammateCount(tasks, options = {}) {
+  const { independent } = groupTasksForTeams(tasks, options);
 
   if (independent.length === 0) {
     return { count: 1, reason: 'All tasks have dependencies, sequential execution needed' };
   }
 
-  if (independent.length === 1) {
-    return { count: 1, reason: 'Only one independent task' };
-  }
+  // Fewest teammates that reach the shortest predicted makespan
+  const schedule = analyzeTaskSchedule(tasks, options);
+  const fastest = Math.min(...schedule.makespanByTeammates.map(m => m.minutes));
+  const { teammates: count, minutes } = schedule.makespanByTeammates.find(m => m.minutes === fastest);
 
-  if (independent.length <= 3) {
-    return { count: independent.length, reason: 'Small number of independent tasks' };
+  if (count === 1) {
+    return { count: 1, reason: 'Only one task can run at a time', schedule };
   }
 
   return {
-    count: maxParallel,
-    reason: `Adaptive: ${independent.length} independent tasks, capped at ${maxParallel}`
+    count,
+    reason: `Adaptive: ${count} teammates finish in ${minutes} min ` +
+      `(widest wave ${schedule.width} tasks, critical path ${schedule.criticalPath.minutes} min)`,
+    schedule
   };
 }
 
 module.exports = {
+  DEFAULT_ESTIMATE_MINUTES,
+  DEFAULT_MAX_TEAMMATES,
+  analyzeTaskSchedule,
   groupTasksForTeams,
   buildDependencyGraph,
   getDependentTasks,
@@ -193,5 +446,6 @@ module.exports = {
   areDependenciesComplete,
   calculateExecutionOrder,
   validateDependencies,
+  predictMakespan,
   suggestTeammateCount
 };
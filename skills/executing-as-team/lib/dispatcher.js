@@ -3,26 +3,34 @@
  *
  * Task dispatcher for parallel Teammate execution
  *
- * NOTE: This module requires external API implementations:
+ * Tasks go to the execution backend chosen by detectAgentTeamsMode(). The
+ * built-in backends call external API implementations:
  * - createAgentTask(teammateId, config) - Claude Code Agent Teams API
+ * - spawnAgent(config) - Codex multi-agent API
  * - createSubagent(config) - Subagent creation function
  *
  * In Claude Code environment, these are provided by the runtime.
- * For other environments, implement stubs or mocks.
+ * Elsewhere, configure the process backend (teams.process.command),
+ * implement stubs or mocks, or register a backend.
  */
 
-const { detectAgentTeamsMode } = require('../../scripts/teams-helpers/detect-mode');
+const { detectAgentTeamsMode, getBackend } = require('../../../scripts/teams-helpers/detect-mode');
+const { loadConfigOrDefault } = require('../../../scripts/teams-helpers/config');
 
 class TeamDispatcher {
   /**
    * Create dispatcher for a plan
    * @param {Object} plan - Implementation plan
    * @param {number} teammateCount - Number of teammates
+   * @param {Object} options - Dispatcher options
+   * @param {Object} options.config - Superpowers config (default: loaded from disk)
+   * @param {string} options.backend - Backend to use, overriding teams.mode in the config
    */
-  constructor(plan, teammateCount) {
+  constructor(plan, teammateCount, options = {}) {
     this.plan = plan;
     this.teammateCount = teammateCount;
-    this.mode = detectAgentTeamsMode();
+    this.config = options.config || loadConfigOrDefault();
+    this.mode = detectAgentTeamsMode({ config: this.config, backend: options.backend });
     this.activeTeammates = new Map();
     this.taskQueue = [];
     this.completedTasks = new Map();
@@ -38,82 +46,31 @@ class TeamDispatcher {
   }
 
   /**
-   * Dispatch a task to a teammate
+   * Dispatch a task to a teammate using the detected backend
    * @param {Object} task - Task to dispatch
    * @param {Object} goalTags - Goal tags for this task
    * @param {Object} context - Shared context
    * @returns {Promise<Object>} Dispatch result
    */
   async dispatch(task, goalTags, context) {
-    if (this.mode.mode === 'agent-teams') {
-      return await this.dispatchToAgentTeams(task, goalTags, context);
-    } else {
-      return await this.dispatchToSubagent(task, goalTags, context);
-    }
-  }
-
-  /**
-   * Dispatch to Claude Code Agent Teams API
-   * @param {Object} task - Task to dispatch
-   * @param {Object} goalTags - Goal tags
-   * @param {Object} context - Shared context
-   * @returns {Promise<Object>} Dispatch result
-   */
-  async dispatchToAgentTeams(task, goalTags, context) {
+    const backend = getBackend(this.mode.mode);
     const teammateId = this.findAvailableTeammate();
 
-    // Update teammate status
-    this.activeTeammates.get(teammateId).currentTask = task.id;
-    this.activeTeammates.get(teammateId).status = 'working';
-
-    try {
-      // Call Claude Code Agent Teams API
-      const result = await createAgentTask(teammateId, {
-        task,
-        goalTags,
-        context: {
-          ...context,
-          plan: {
-            title: this.plan.title,
-            goal: this.plan.goal,
-            architecture: this.plan.architecture
-          }
-        }
-      });
-
-      return {
-        success: true,
-        taskId: task.id,
-        teammateId,
-        result
-      };
-    } catch (error) {
+    if (!backend) {
       return {
         success: false,
         taskId: task.id,
         teammateId,
-        error: error.message
+        error: `No execution backend available (${this.mode.reason})`
       };
     }
-  }
-
-  /**
-   * Dispatch to Subagent (fallback mode)
-   * @param {Object} task - Task to dispatch
-   * @param {Object} goalTags - Goal tags
-   * @param {Object} context - Shared context
-   * @returns {Promise<Object>} Dispatch result
-   */
-  async dispatchToSubagent(task, goalTags, context) {
-    const teammateId = this.findAvailableTeammate();
 
+    // Update teammate status
     this.activeTeammates.get(teammateId).currentTask = task.id;
     this.activeTeammates.get(teammateId).status = 'working';
 
     try {
-      // Create subagent with team context
-      const result = await createSubagent({
-        role: 'teammate',
+      const result = await backend.provides.dispatch(teammateId, {
         task,
         goalTags,
         context: {
@@ -124,12 +81,13 @@ class TeamDispatcher {
             architecture: this.plan.architecture
           }
         }
-      });
+      }, { config: this.config });
 
       return {
         success: true,
         taskId: task.id,
         teammateId,
+        backend: backend.name,
         result
       };
     } catch (error) {
@@ -137,6 +95,7 @@ class TeamDispatcher {
         success: false,
         taskId: task.id,
         teammateId,
+        backend: backend.name,
         error: error.message
       };
     }
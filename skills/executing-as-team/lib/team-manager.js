@@ -5,20 +5,32 @@
  */
 
 const { TeamDispatcher } = require('./dispatcher');
-const { groupTasksForTeams } = require('../../scripts/teams-helpers/task-grouping');
+const { groupTasksForTeams, suggestTeammateCount } = require('../../../scripts/teams-helpers/task-grouping');
+const { loadConfigOrDefault } = require('../../../scripts/teams-helpers/config');
+const { recordSessionEvent } = require('../../../scripts/teams-helpers/journal');
+const { parseGoalMetrics, resolveTaskGoalTags } = require('../../../scripts/teams-helpers/goal-tags');
 
 class TeamManager {
   /**
    * Create team manager for a plan
    * @param {Object} plan - Implementation plan
-   * @param {number} teammateCount - Number of teammates
+   * @param {number} teammateCount - Number of teammates (default: suggested from the plan)
    * @param {Object} oversight - Oversight agent instance
+   * @param {Object} options - Manager options
+   * @param {Object} options.config - Superpowers config (default: loadConfigOrDefault())
+   * @param {string} options.backend - Execution backend, overriding teams.mode in the config
    */
-  constructor(plan, teammateCount, oversight) {
+  constructor(plan, teammateCount, oversight, options = {}) {
     this.plan = plan;
-    this.teammateCount = teammateCount;
+    this.config = options.config || loadConfigOrDefault();
+    this.maxTeammates = this.config.teams.maxTeammates;
+    this.teammateCount = Math.min(
+      teammateCount || suggestTeammateCount(plan.tasks, { maxTeammates: this.maxTeammates }).count,
+      this.maxTeammates
+    );
     this.oversight = oversight;
-    this.dispatcher = new TeamDispatcher(plan, teammateCount);
+    this.goalMetrics = plan.goalMetrics || parseGoalMetrics(plan.designDoc || '');
+    this.dispatcher = new TeamDispatcher(plan, this.teammateCount, { config: this.config, backend: options.backend });
     this.completedTasks = [];
     this.blockedTasks = [];
     this.runningTasks = [];
@@ -33,7 +45,7 @@ class TeamManager {
     console.log(`Starting execution with ${this.teammateCount} teammates`);
 
     // Group tasks
-    const groups = groupTasksForTeams(this.plan.tasks);
+    const groups = groupTasksForTeams(this.plan.tasks, { maxTeammates: this.maxTeammates });
 
     console.log(`Independent tasks: ${groups.independent.length}`);
     console.log(`Dependent tasks: ${groups.dependent.length}`);
@@ -44,12 +56,22 @@ class TeamManager {
     // Handle dependent tasks
     await this.dispatchDependentTasks(groups.dependent, groups.dependencyGraph);
 
+    const summary = this.generateSummary();
+
+    // Session journal, when running inside a journaled session
+    recordSessionEvent('team-summary', {
+      plan: this.plan.title || null,
+      teammates: this.teammateCount,
+      mode: this.dispatcher.mode.mode,
+      summary
+    }, { projectDir: this.plan.projectDir, config: this.config });
+
     // Return results
     return {
       completed: this.completedTasks,
       blocked: this.blockedTasks,
       results: this.taskResults,
-      summary: this.generateSummary()
+      summary
     };
   }
 
@@ -95,8 +117,11 @@ class TeamManager {
   async dispatchAndMonitor(task) {
     console.log(`Dispatching task: ${task.id}`);
 
-    // Get goal tags from task
-    const goalTags = task.goalTags || {};
+    // Effective goal tags: the task's overrides over the design doc's goal metrics
+    const { tags: goalTags, errors: goalTagErrors } = resolveTaskGoalTags(task, { goalMetrics: this.goalMetrics });
+    for (const error of goalTagErrors) {
+      console.log(`Warning: ${error}`);
+    }
 
     // Prepare context
     const context = {
@@ -123,16 +148,26 @@ class TeamManager {
     this.runningTasks = this.runningTasks.filter(id => id !== task.id);
 
     if (result.success) {
-      // Run Oversight check
-      const alignment = await this.runOversightCheck(task, result);
+      // Run Oversight check; goal tags that did not parse are part of its result
+      const checked = await this.runOversightCheck(task, result, goalTags);
+      const alignment = goalTagErrors.length > 0 ? { ...checked, goalTagErrors } : checked;
 
       // Record completion
       this.completedTasks.push({
         ...task,
+        goalTags,
         result,
         alignment
       });
 
+      // The goals it was checked against, for goal drift detection
+      recordSessionEvent('task-checked', {
+        plan: this.plan.title || null,
+        task: task.id,
+        goalTags,
+        alignment: alignment.status
+      }, { projectDir: this.plan.projectDir, config: this.config });
+
       this.taskResults.set(task.id, {
         success: true,
         alignment,
@@ -162,9 +197,10 @@ class TeamManager {
    * Run Oversight alignment check
    * @param {Object} task - Task that completed
    * @param {Object} result - Task result
+   * @param {Object} goalTags - Effective goal tags (default: the task's own)
    * @returns {Promise<Object>} Alignment check result
    */
-  async runOversightCheck(task, result) {
+  async runOversightCheck(task, result, goalTags = task.goalTags || {}) {
     if (!this.oversight) {
       return { status: 'not-checked', reason: 'No oversight agent' };
     }
@@ -174,7 +210,7 @@ class TeamManager {
         taskId: task.id,
         code: result.code || result.changes || [],
         tests: result.tests || [],
-        goalTags: task.goalTags || {}
+        goalTags
       });
     } catch (error) {
       return {
@@ -244,7 +280,7 @@ class TeamManager {
     console.log(`Task ${task.id} failed: ${error}`);
 
     // Check for dependent tasks
-    const groups = groupTasksForTeams(this.plan.tasks);
+    const groups = groupTasksForTeams(this.plan.tasks, { maxTeammates: this.maxTeammates });
     const dependents = this.getDependentTasks(task.id, groups.dependencyGraph);
 
     if (dependents.length > 0) {
@@ -8,16 +8,27 @@
  * - Failure: { success: false, error: ... }
  */
 
+const fs = require('fs');
+const path = require('path');
+const { loadConfigOrDefault } = require('../../../scripts/teams-helpers/config');
+const { recordSessionEvent } = require('../../../scripts/teams-helpers/journal');
+
+const SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 };
+
 class AlertSystem {
   /**
    * Create alert system
    * @param {Object} options - Configuration options
+   * @param {Object} options.config - Superpowers config (default: loadConfigOrDefault())
+   * @param {Array} options.sinks - Where notifications go (default: config.alerts.sinks)
    */
   constructor(options = {}) {
     this.notificationQueue = [];
     this.alertHistory = [];
     this.criticalAlertsSent = false;
     this.options = options;
+    this.config = options.config || loadConfigOrDefault();
+    this.sinks = options.sinks || this.config.alerts.sinks;
   }
 
   /**
@@ -66,17 +77,62 @@ class AlertSystem {
     // - Potentially pause execution
 
     const message = this.formatCriticalAlert(alert);
-    console.log(`🚨 CRITICAL ALERT: ${message}`);
+    const deliveries = this.deliver({
+      type: 'critical-alert',
+      severity: 'critical',
+      text: `🚨 CRITICAL ALERT: ${message}`,
+      alerts: [alert]
+    });
 
     // Example notification structure
     return {
       type: 'critical-alert',
       alertId: alert.id,
       message,
-      actionRequired: true
+      actionRequired: true,
+      deliveries
     };
   }
 
+  /**
+   * Send a notification to every configured sink
+   *
+   * Sinks:
+   * - { type: 'console' } - print to stdout
+   * - { type: 'file', path } - append one JSON line per notification
+   * Either can set minSeverity to skip less severe notifications.
+   *
+   * @param {Object} notification - { type, severity, text, alerts }
+   * @returns {Array} One result per sink
+   */
+  deliver(notification) {
+    return this.sinks.map(sink => {
+      if (sink.minSeverity && SEVERITY_ORDER[notification.severity] > SEVERITY_ORDER[sink.minSeverity]) {
+        return { success: true, data: { sink: sink.type, skipped: true } };
+      }
+
+      try {
+        if (sink.type === 'file') {
+          if (!sink.path) {
+            return { success: false, error: 'file sink has no path' };
+          }
+          fs.mkdirSync(path.dirname(sink.path), { recursive: true });
+          fs.appendFileSync(sink.path, JSON.stringify({
+            timestamp: new Date().toISOString(),
+            ...notification
+          }) + '\n');
+        } else if (sink.type === 'console') {
+          console.log(notification.text);
+        } else {
+          return { success: false, error: `Unknown alert sink type: ${sink.type}` };
+        }
+        return { success: true, data: { sink: sink.type } };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
   /**
    * Queue notification (non-critical)
    * @param {Object} alert - Alert
@@ -99,13 +155,23 @@ class AlertSystem {
 
     const formatted = this.formatBatchAlert(batch);
 
-    // In real implementation, this would send to main session
-    console.log(`📋 Batch Alert (${batch.length}):`, formatted.summary);
+    // A batch is as severe as its worst alert
+    const severity = batch
+      .map(alert => alert.severity)
+      .sort((a, b) => SEVERITY_ORDER[a] - SEVERITY_ORDER[b])[0] || 'info';
+
+    const deliveries = this.deliver({
+      type: 'batch-alert',
+      severity,
+      text: `📋 Batch Alert (${batch.length}): ${formatted.summary}`,
+      alerts: batch
+    });
 
     return {
       sent: batch.length,
       alerts: batch,
-      summary: formatted.summary
+      summary: formatted.summary,
+      deliveries
     };
   }
 
@@ -198,14 +264,18 @@ class AlertSystem {
 /**
  * Generate milestone report
  * @param {Object} options - Report options
+ * @param {Object} options.config - Superpowers config; score thresholds come from config.alerts (default: loadConfigOrDefault())
+ * @param {string} options.projectDir - Project whose session journal records the report (default: cwd)
  * @returns {Promise<Object>} Report
  */
 async function generateMilestoneReport(options) {
   const {
     taskResults = [],
     goals = {},
-    milestoneName = 'Milestone'
+    milestoneName = 'Milestone',
+    config = loadConfigOrDefault()
   } = options;
+  const { alignmentTarget, alignedScore, partialScore } = config.alerts;
 
   const aligned = taskResults.filter(r => r.alignment?.status === 'aligned').length;
   const misaligned = taskResults.filter(r => r.alignment?.status === 'misaligned').length;
@@ -229,11 +299,11 @@ async function generateMilestoneReport(options) {
     });
   }
 
-  if (score < 80) {
+  if (score < alignmentTarget) {
     recommendations.push({
       type: 'improve-alignment',
       priority: 'medium',
-      message: `Alignment score ${score}% is below 80% target`
+      message: `Alignment score ${score}% is below ${alignmentTarget}% target`
     });
   }
 
@@ -256,7 +326,7 @@ async function generateMilestoneReport(options) {
     };
   }
 
-  return {
+  const report = {
     milestone: milestoneName,
     timestamp: new Date().toISOString(),
     summary: {
@@ -266,7 +336,7 @@ async function generateMilestoneReport(options) {
       notChecked,
       score
     },
-    status: score >= 90 ? 'aligned' : score >= 70 ? 'partial' : 'misaligned',
+    status: score >= alignedScore ? 'aligned' : score >= partialScore ? 'partial' : 'misaligned',
     goalAchievements,
     recommendations,
     details: taskResults.map(r => ({
@@ -275,6 +345,16 @@ async function generateMilestoneReport(options) {
       issues: r.alignment?.issues?.length || 0
     }))
   };
+
+  // Session journal, when running inside a journaled session
+  recordSessionEvent('alignment-report', {
+    milestone: report.milestone,
+    status: report.status,
+    summary: report.summary,
+    recommendations: recommendations.map(r => r.message)
+  }, { projectDir: options.projectDir, config });
+
+  return report;
 }
 
 /**
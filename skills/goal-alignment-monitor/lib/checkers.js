@@ -4,32 +4,104 @@
  * Alignment checkers for different goal types
  */
 
+const { loadConfigOrDefault } = require('../../../scripts/teams-helpers/config');
+const {
+  DEFAULT_MARKER,
+  findGoalDimension,
+  listGoalDimensions,
+  parseGoalValue,
+  parsePerformanceGoal,
+  parseSecurityGoal
+} = require('../../../scripts/teams-helpers/goal-tags');
+
 class AlignmentChecker {
-  constructor() {
-    this.checkers = {
-      architecture: new ArchitectureChecker(),
+  /**
+   * Create alignment checker
+   * @param {Object} options - Checker options
+   * @param {Object} options.config - Superpowers config; thresholds come from config.checkers (default: loadConfigOrDefault())
+   */
+  constructor(options = {}) {
+    const config = options.config || loadConfigOrDefault();
+    this.thresholds = config.checkers;
+
+    // Checkers that goal dimensions name in their `checker` field
+    this.builtinCheckers = {
+      architecture: new ArchitectureChecker(this.thresholds),
       style: new StyleChecker(),
-      testing: new TestingChecker(),
-      performance: new PerformanceChecker(),
+      testing: new TestingChecker(this.thresholds),
+      performance: new PerformanceChecker(this.thresholds),
       security: new SecurityChecker()
     };
+    this.customCheckers = new Map();
+  }
+
+  /**
+   * Checker for a goal dimension
+   * @param {Object} dimension - Registered goal dimension
+   * @returns {Object|null} Checker with check(code, tests, value), or null if the dimension has none
+   */
+  checkerFor(dimension) {
+    if (!dimension.checker) {
+      return null;
+    }
+    if (typeof dimension.checker === 'string') {
+      return this.builtinCheckers[dimension.checker] || null;
+    }
+
+    // Custom checkers are created once per AlignmentChecker, with the configured thresholds
+    if (!this.customCheckers.has(dimension.name)) {
+      this.customCheckers.set(dimension.name, dimension.checker(this.thresholds));
+    }
+    return this.customCheckers.get(dimension.name);
   }
 
   /**
    * Run all applicable checks
+   *
+   * One check per registered goal dimension that has a checker and a goal
+   * set (not 'none' or 'standard'). Results are keyed by dimension name.
+   * Checkers get the value parsed by the dimension, e.g. performance targets
+   * with units. A value that does not parse is reported as a warning, and
+   * the dimension is still checked against its default goal, so checks that
+   * apply to every goal (e.g. hardcoded secrets) keep running.
+   *
    * @param {Object} code - Code changes
    * @param {Object} tests - Test results
-   * @param {Object} goalTags - Goal tags
+   * @param {Object} goalTags - Goal tags (any key spelling, e.g. style or codeStyle)
    * @returns {Promise<Object>} Check result
    */
   async checkAll(code, tests, goalTags) {
     const results = {};
+    const raw = {};
+    for (const [key, value] of Object.entries(goalTags || {})) {
+      const dimension = findGoalDimension(key);
+      if (dimension && value !== null && value !== undefined && value !== '') {
+        raw[dimension.name] = value;
+      }
+    }
+
+    for (const dimension of listGoalDimensions()) {
+      const checker = this.checkerFor(dimension);
+      if (!checker || raw[dimension.name] === undefined) {
+        continue;
+      }
 
-    for (const [key, checker] of Object.entries(this.checkers)) {
-      const goalValue = goalTags[key];
-      if (goalValue && goalValue !== 'none' && goalValue !== 'standard') {
-        results[key] = await checker.check(code, tests, goalValue);
+      let value;
+      let parseIssue = null;
+      try {
+        value = parseGoalValue(dimension, raw[dimension.name]);
+      } catch (error) {
+        parseIssue = { message: `Cannot check ${dimension.label.toLowerCase()} goal: ${error.message}`, severity: 'warning' };
+        value = parseGoalValue(dimension, DEFAULT_MARKER);
       }
+      if (!parseIssue && (value === 'none' || value === 'standard')) {
+        continue;
+      }
+
+      const result = await checker.check(code, tests, value);
+      results[dimension.name] = parseIssue
+        ? { ...result, passed: false, issues: [parseIssue, ...result.issues] }
+        : result;
     }
 
     return this.combineResults(results);
@@ -68,6 +140,13 @@ class AlignmentChecker {
 }
 
 class ArchitectureChecker {
+  /**
+   * @param {Object} thresholds - config.checkers
+   */
+  constructor(thresholds = {}) {
+    this.maxComplexity = thresholds.maxComplexity || 10;
+  }
+
   /**
    * Check architecture alignment
    * @param {Object} code - Code changes
@@ -119,7 +198,7 @@ class ArchitectureChecker {
 
       default:
         // Standard check - basic structure
-        if (structure.complexity > 10) {
+        if (structure.complexity > this.maxComplexity) {
           issues.push({
             message: 'High cyclomatic complexity',
             severity: 'warning'
@@ -240,6 +319,13 @@ class StyleChecker {
 }
 
 class TestingChecker {
+  /**
+   * @param {Object} thresholds - config.checkers
+   */
+  constructor(thresholds = {}) {
+    this.coverageTarget = thresholds.coverageTarget ?? 80;
+  }
+
   /**
    * Check testing alignment
    * @param {Object} code - Code changes
@@ -264,9 +350,9 @@ class TestingChecker {
           message: 'No unit tests found',
           severity: 'warning'
         });
-      } else if (coverage < 80) {
+      } else if (coverage < this.coverageTarget) {
         issues.push({
-          message: `Unit test coverage ${coverage}% (target: 80%)`,
+          message: `Unit test coverage ${coverage}% (target: ${this.coverageTarget}%)`,
           severity: 'info'
         });
       }
@@ -309,44 +395,58 @@ class TestingChecker {
   }
 }
 
+// Where each metric's measurement lives in tests.performance
+const PERFORMANCE_RESULT_KEYS = {
+  concurrency: ['concurrentCapacity'],
+  throughput: ['throughput', 'requestsPerSecond'],
+  cpu: ['cpuPercent']
+};
+
+const COMPARE = {
+  '<': (actual, target) => actual < target,
+  '<=': (actual, target) => actual <= target,
+  '>': (actual, target) => actual > target,
+  '>=': (actual, target) => actual >= target,
+  '=': (actual, target) => actual === target
+};
+
 class PerformanceChecker {
+  /**
+   * @param {Object} thresholds - config.checkers
+   */
+  constructor(thresholds = {}) {
+    this.criticalFactor = thresholds.responseTimeCriticalFactor || 2;
+  }
+
   /**
    * Check performance alignment
+   *
+   * Each target is compared with its measurement in tests.performance;
+   * targets without a measurement are skipped.
+   *
    * @param {Object} code - Code changes
    * @param {Object} tests - Test results
-   * @param {string} requirement - Performance requirement
+   * @param {string|Object} requirement - Performance goal, see parsePerformanceGoal()
    * @returns {Promise<Object>} Check result
    */
   async check(code, tests, requirement) {
     const issues = [];
     const perfResults = tests?.performance || {};
+    const goal = parsePerformanceGoal(requirement);
 
-    // Parse requirement (e.g., "< 100ms")
-    const timeMatch = requirement.match(/<\\s*(\\d+)ms/i);
-    const throughputMatch = requirement.match(/(\\d+)\\s*concurrent/i);
-
-    if (timeMatch) {
-      const targetTime = parseInt(timeMatch[1]);
-      const actualTime = perfResults.avgResponseTime || 0;
-
-      if (actualTime > targetTime) {
-        issues.push({
-          message: `Response time ${actualTime}ms exceeds target ${targetTime}ms`,
-          severity: actualTime > targetTime * 2 ? 'critical' : 'warning'
-        });
+    for (const target of goal === 'none' ? [] : goal.targets) {
+      const actual = this.measurement(perfResults, target);
+      if (typeof actual !== 'number' || COMPARE[target.comparator](actual, target.value)) {
+        continue;
       }
-    }
 
-    if (throughputMatch) {
-      const targetConcurrent = parseInt(throughputMatch[1]);
-      const actualConcurrent = perfResults.concurrentCapacity || 0;
-
-      if (actualConcurrent < targetConcurrent) {
-        issues.push({
-          message: `Concurrent capacity ${actualConcurrent} below target ${targetConcurrent}`,
-          severity: 'warning'
-        });
-      }
+      const name = this.describe(target);
+      const limit = target.comparator.startsWith('<');
+      const timed = target.unit === 'ms';
+      issues.push({
+        message: `${name} ${actual}${this.unitSuffix(target)} ${limit ? 'exceeds' : 'below'} target ${target.comparator} ${target.value}${this.unitSuffix(target)}`,
+        severity: timed && limit && actual > target.value * this.criticalFactor ? 'critical' : 'warning'
+      });
     }
 
     return {
@@ -355,6 +455,46 @@ class PerformanceChecker {
       critical: issues.some(i => i.severity === 'critical')
     };
   }
+
+  /**
+   * Measured value for a target
+   * @param {Object} perfResults - tests.performance
+   * @param {Object} target - Parsed performance target
+   * @returns {number|undefined} Measurement, in the target's unit
+   */
+  measurement(perfResults, target) {
+    if (target.metric === 'responseTime') {
+      if (target.percentile !== undefined) {
+        return perfResults[`p${target.percentile}ResponseTime`] ?? perfResults.responseTimes?.[`p${target.percentile}`];
+      }
+      return perfResults.avgResponseTime;
+    }
+    if (target.metric === 'memory') {
+      return perfResults[`${target.scope || 'memory'}MB`] ?? perfResults.memoryMB;
+    }
+
+    const keys = PERFORMANCE_RESULT_KEYS[target.metric] || [target.metric];
+    return keys.map(key => perfResults[key]).find(value => value !== undefined);
+  }
+
+  describe(target) {
+    const names = {
+      responseTime: 'Response time',
+      memory: target.scope ? `Memory (${target.scope.toUpperCase()})` : 'Memory',
+      concurrency: 'Concurrent capacity',
+      throughput: 'Throughput',
+      cpu: 'CPU usage'
+    };
+    const name = names[target.metric] || target.metric;
+    return target.percentile !== undefined ? `p${target.percentile} ${name.toLowerCase()}` : name;
+  }
+
+  unitSuffix(target) {
+    if (target.unit === 'concurrent') {
+      return '';
+    }
+    return target.unit === 'req/s' ? ' req/s' : target.unit;
+  }
 }
 
 class SecurityChecker {
@@ -362,7 +502,7 @@ class SecurityChecker {
    * Check security alignment
    * @param {Object} code - Code changes
    * @param {Object} tests - Test results
-   * @param {string} requirement - Security requirement
+   * @param {string|Object} requirement - Security goal, see parseSecurityGoal()
    * @returns {Promise<Object>} Check result
    */
   async check(code, tests, requirement) {
@@ -392,22 +532,26 @@ class SecurityChecker {
       });
     }
 
-    // Check authentication
-    if (requirement.toLowerCase().includes('jwt')) {
-      if (!securityResults.usesJWT) {
+    // Check the required mechanisms; tests.security.requirements maps name to implemented
+    const goal = parseSecurityGoal(requirement);
+    const implemented = securityResults.requirements || {};
+
+    for (const { name } of goal === 'none' ? [] : goal.requirements) {
+      if (name === 'jwt' && !securityResults.usesJWT && implemented.jwt !== true) {
         issues.push({
           message: 'JWT authentication not implemented',
           severity: 'warning'
         });
-      }
-    }
-
-    if (requirement.toLowerCase().includes('bcrypt')) {
-      if (!securityResults.usesBcrypt) {
+      } else if (name === 'bcrypt' && !securityResults.usesBcrypt && implemented.bcrypt !== true) {
         issues.push({
           message: 'bcrypt hashing not used for passwords',
           severity: 'warning'
         });
+      } else if (implemented[name] === false) {
+        issues.push({
+          message: `Security requirement ${name} not implemented`,
+          severity: 'warning'
+        });
       }
     }
 
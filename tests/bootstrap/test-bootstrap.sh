@@ -0,0 +1,96 @@
+#!/usr/bin/env bash
+# Snapshot tests for the session bootstrap
+# Usage: ./test-bootstrap.sh [--update]
+#
+# Generates the bootstrap for each platform with scripts/superpowers.mjs and
+# compares it with tests/bootstrap/snapshots/. After an intended change
+# (e.g. editing using-superpowers), run with --update and review the diff.
+set -euo pipefail
+
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
+REPO_ROOT="$(cd "$SCRIPT_DIR/../.." && pwd)"
+SNAPSHOT_DIR="$SCRIPT_DIR/snapshots"
+UPDATE="${1:-}"
+
+TEST_HOME=$(mktemp -d)
+trap 'rm -rf "$TEST_HOME"' EXIT
+
+echo "=== Test: Bootstrap snapshots ==="
+
+FAILED=0
+
+# name, HOME to use, then bootstrap arguments
+check_snapshot() {
+    local name="$1"
+    local home="$2"
+    shift 2
+
+    local actual
+    actual=$(HOME="$home" node "$REPO_ROOT/scripts/superpowers.mjs" bootstrap "$@")
+
+    if [ "$UPDATE" = "--update" ]; then
+        printf '%s\n' "$actual" > "$SNAPSHOT_DIR/$name"
+        echo "  [UPDATED] $name"
+    elif [ "$actual" = "$(cat "$SNAPSHOT_DIR/$name")" ]; then
+        echo "  [PASS] $name"
+    else
+        echo "  [FAIL] $name differs from snapshot"
+        diff -u "$SNAPSHOT_DIR/$name" <(printf '%s\n' "$actual") | head -40 || true
+        FAILED=$((FAILED + 1))
+    fi
+}
+
+mkdir -p "$TEST_HOME/clean" "$TEST_HOME/legacy/.config/superpowers/skills"
+
+check_snapshot claude-code.hook.json "$TEST_HOME/clean" --platform claude-code --hook
+check_snapshot claude-code-legacy.hook.json "$TEST_HOME/legacy" --platform claude-code --hook
+check_snapshot opencode.txt "$TEST_HOME/clean" --platform opencode
+check_snapshot codex.txt "$TEST_HOME/clean" --platform codex
+
+# A migrated legacy directory no longer triggers the warning
+mkdir -p "$TEST_HOME/migrated/.config/superpowers/skills"
+echo '{}' > "$TEST_HOME/migrated/.config/superpowers/skills/.migrated.json"
+migrated_output=$(HOME="$TEST_HOME/migrated" node "$REPO_ROOT/scripts/superpowers.mjs" bootstrap --platform claude-code --hook)
+if [ "$migrated_output" = "$(cat "$SNAPSHOT_DIR/claude-code.hook.json")" ]; then
+    echo "  [PASS] migrated legacy directory has no warning"
+else
+    echo "  [FAIL] warning shown after migration"
+    FAILED=$((FAILED + 1))
+fi
+
+# The hook must emit exactly what the CLI does
+hook_output=$(HOME="$TEST_HOME/clean" bash "$REPO_ROOT/hooks/session-start.sh")
+if [ "$hook_output" = "$(cat "$SNAPSHOT_DIR/claude-code.hook.json")" ]; then
+    echo "  [PASS] session-start.sh emits the generated hook JSON"
+else
+    echo "  [FAIL] session-start.sh output differs from the generator"
+    FAILED=$((FAILED + 1))
+fi
+
+# When the generator fails, the hook still injects the whole skill
+real_node="$(command -v node)"
+mkdir -p "$TEST_HOME/broken-node"
+printf '#!/bin/sh\nexit 1\n' > "$TEST_HOME/broken-node/node"
+chmod +x "$TEST_HOME/broken-node/node"
+fallback_output=$(HOME="$TEST_HOME/clean" PATH="$TEST_HOME/broken-node:$PATH" bash "$REPO_ROOT/hooks/session-start.sh" 2>/dev/null)
+fallback_context=$(printf '%s' "$fallback_output" | "$real_node" -e "
+let s = '';
+process.stdin.on('data', c => s += c).on('end', () => console.log(JSON.parse(s).hookSpecificOutput.additionalContext));
+" 2>&1)
+if printf '%s' "$fallback_context" | grep -q "full content of your 'superpowers:using-superpowers' skill" \
+    && printf '%s' "$fallback_context" | grep -qF "$(sed -n 2p "$REPO_ROOT/skills/using-superpowers/SKILL.md")"; then
+    echo "  [PASS] session-start.sh falls back to the full static bootstrap"
+else
+    echo "  [FAIL] session-start.sh fallback is missing the skill content"
+    echo "  Result: $fallback_context"
+    FAILED=$((FAILED + 1))
+fi
+
+if [ "$FAILED" -gt 0 ]; then
+    echo ""
+    echo "$FAILED snapshot(s) differ. If the change is intended, run: $0 --update"
+    exit 1
+fi
+
+echo ""
+echo "=== All bootstrap snapshot tests passed ==="
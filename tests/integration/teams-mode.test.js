@@ -4,36 +4,155 @@
  * Integration tests for Superpowers Teams mode
  */
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 // Import helpers
-const { detectAgentTeamsMode } = require('../../scripts/teams-helpers/detect-mode');
-const { parseGoalTags, validateGoalTags, formatGoalTags } = require('../../scripts/teams-helpers/goal-tags');
-const { groupTasksForTeams, suggestTeammateCount, validateDependencies } = require('../../scripts/teams-helpers/task-grouping');
+const { detectAgentTeamsMode, registerBackend, shouldUseTeamsMode, unregisterBackend } = require('../../scripts/teams-helpers/detect-mode');
+const {
+  parseGoalTags,
+  parseGoalMetrics,
+  resolveTaskGoalTags,
+  validateGoalTags,
+  formatGoalTags,
+  serializeGoalTags,
+  deserializeGoalTags,
+  diffGoalTags,
+  parsePerformanceGoal,
+  parseSecurityGoal,
+  registerGoalDimension,
+  unregisterGoalDimension
+} = require('../../scripts/teams-helpers/goal-tags');
+const { AlignmentChecker } = require('../../skills/goal-alignment-monitor/lib/checkers');
+const { AlertSystem } = require('../../skills/goal-alignment-monitor/lib/alert-system');
+const { TeamManager } = require('../../skills/executing-as-team/lib/team-manager');
+const { analyzeTaskSchedule, groupTasksForTeams, predictMakespan, suggestTeammateCount, validateDependencies } = require('../../scripts/teams-helpers/task-grouping');
+const { loadConfig, loadConfigOrDefault, defaultConfig } = require('../../scripts/teams-helpers/config');
+const { expandCommand, parseWorkerOutput, runTeammateProcess } = require('../../scripts/teams-helpers/process-backend');
+const { listSessions, querySessions, readSession, recordHookEvent, recordSessionEvent } = require('../../scripts/teams-helpers/journal');
+const { detectGoalDrift, extractPlanGoalTags } = require('../../scripts/teams-helpers/goal-drift');
+const { parsePlan } = require('../../scripts/teams-helpers/plan-parser');
 
 describe('Teams Mode Integration', () => {
   describe('Mode Detection', () => {
     test('should detect Agent Teams mode when enabled', () => {
-      // Mock environment
+      // Mock environment and runtime API
       process.env.CLAUDE_CODE_EXPERIMENTAL_AGENT_TEAMS = '1';
+      global.createAgentTask = async () => ({});
 
-      const mode = detectAgentTeamsMode();
+      const mode = detectAgentTeamsMode({ config: defaultConfig() });
 
       expect(mode.envVarSet).toBe(true);
       expect(mode.mode).toBe('agent-teams');
 
       // Cleanup
       delete process.env.CLAUDE_CODE_EXPERIMENTAL_AGENT_TEAMS;
+      delete global.createAgentTask;
     });
 
     test('should fallback to subagent when disabled', () => {
       delete process.env.CLAUDE_CODE_EXPERIMENTAL_AGENT_TEAMS;
 
-      const mode = detectAgentTeamsMode();
+      const mode = detectAgentTeamsMode({ config: defaultConfig() });
 
       expect(mode.envVarSet).toBe(false);
       expect(mode.mode).toBe('subagent');
     });
+
+    test('should explain why each backend was accepted or rejected', () => {
+      global.createAgentTask = async () => ({});
+
+      const mode = detectAgentTeamsMode({ config: defaultConfig(), env: {} });
+      const byName = Object.fromEntries(mode.candidates.map(c => [c.name, c]));
+
+      expect(mode.mode).toBe('subagent');
+      expect(byName['agent-teams'].reason).toContain('CLAUDE_CODE_EXPERIMENTAL_AGENT_TEAMS');
+      expect(byName.codex.reason).toContain('spawnAgent()');
+      expect(byName.subagent.selected).toBe(true);
+
+      // forceTeams is an explicit request, so the environment variable is not needed
+      expect(shouldUseTeamsMode({ config: defaultConfig(), env: {}, forceTeams: true })).toBe('agent-teams');
+
+      delete global.createAgentTask;
+      expect(shouldUseTeamsMode({ config: defaultConfig(), env: {}, forceTeams: true })).toBe('subagent');
+    });
+
+    test('should use registered backends by priority unless overridden', () => {
+      registerBackend({
+        name: 'local-process',
+        priority: 200,
+        probe: ({ env }) => env.LOCAL_WORKERS
+          ? { available: true, reason: 'LOCAL_WORKERS is set' }
+          : { available: false, reason: 'LOCAL_WORKERS is not set' },
+        provides: { dispatch: async () => ({}) }
+      });
+
+      expect(detectAgentTeamsMode({ config: defaultConfig(), env: {} }).mode).toBe('subagent');
+      expect(detectAgentTeamsMode({ config: defaultConfig(), env: { LOCAL_WORKERS: '2' } }).mode).toBe('local-process');
+
+      const config = defaultConfig();
+      config.teams.mode = 'subagent';
+      const mode = detectAgentTeamsMode({ config, env: { LOCAL_WORKERS: '2' } });
+      expect(mode.mode).toBe('subagent');
+      expect(mode.candidates[0].reason).toContain('subagent was requested by config');
+
+      const unknown = detectAgentTeamsMode({ config, backend: 'nope', env: {} });
+      expect(unknown.mode).toBe('subagent');
+      expect(unknown.warnings[0]).toContain('Unknown backend "nope"');
+
+      expect(() => registerBackend({ name: 'broken', priority: 1, probe: () => ({}) })).toThrow(/must provide dispatch/);
+      unregisterBackend('local-process');
+    });
+  });
+
+  describe('Process Backend', () => {
+    // Echoes the request back as the result, after an optional delay in ms
+    const worker = (delay = 0) =>
+      `node -e "let s='';process.stdin.on('data',c=>s+=c).on('end',()=>setTimeout(()=>{console.log('log line');console.log(JSON.stringify({request:JSON.parse(s)}))},${delay}))"`;
+
+    test('should quote placeholders in the command template', () => {
+      expect(expandCommand('run {taskId} {title} {other}', { taskId: '1', title: 'it\'s; rm -rf /' }))
+        .toBe('run \'1\' \'it\'\\\'\'s; rm -rf /\' {other}');
+    });
+
+    test('should take the last JSON line of worker output', () => {
+      expect(parseWorkerOutput('{"done":true}')).toEqual({ done: true });
+      expect(parseWorkerOutput('progress\n{"done":true}\n')).toEqual({ done: true });
+      expect(parseWorkerOutput('no result')).toBe(null);
+    });
+
+    test('should pass the request on stdin and parse the result', async () => {
+      const result = await runTeammateProcess(2, { task: { id: '7' }, goalTags: { testing: 'unit' } }, { command: worker() });
+
+      expect(result.success).toBe(true);
+      expect(result.request.teammateId).toBe(2);
+      expect(result.request.goalTags.testing).toBe('unit');
+    });
+
+    test('should fail tasks that exit non-zero or print no result', async () => {
+      await expect(runTeammateProcess(0, { task: { id: '1' } }, { command: 'echo broken >&2; exit 3' }))
+        .rejects.toThrow(/exit code 3: broken/);
+      await expect(runTeammateProcess(0, { task: { id: '1' } }, { command: 'echo done' }))
+        .rejects.toThrow(/no JSON result/);
+    });
+
+    test('should limit concurrent processes', async () => {
+      const start = Date.now();
+      await Promise.all([1, 2, 3].map(id =>
+        runTeammateProcess(id, { task: { id: `${id}` } }, { command: worker(300), concurrency: 1 })
+      ));
+
+      expect(Date.now() - start).toBeGreaterThan(900);
+    });
+
+    test('should be chosen when a command is configured', () => {
+      const config = defaultConfig();
+      config.teams.process.command = 'node worker.js';
+
+      const mode = detectAgentTeamsMode({ config, env: {} });
+      expect(mode.mode).toBe('process');
+    });
   });
 
   describe('Goal Tags Parsing', () => {
@@ -52,8 +171,78 @@ Performance: < 100ms
       expect(tags.architecture).toBe('microservices');
       expect(tags.codeStyle).toBe('functional');
       expect(tags.testing).toBe('unit');
-      expect(tags.security).toBe('JWT');
-      expect(tags.performance).toBe('< 100ms');
+      expect(tags.security).toEqual({ requirements: [{ name: 'jwt', kind: 'authentication' }] });
+      expect(tags.performance).toEqual(parsePerformanceGoal('< 100ms'));
+      expect(parseGoalMetrics('## Goal Metrics\nSecurity: Basic auth').errors[0]).toMatch(/^Goal Metrics section \(line 1\): security /);
+    });
+
+    test('should parse a structured goal-metrics block', () => {
+      const designDoc = [
+        '## Goal Metrics',
+        '',
+        '```yaml goal-metrics',
+        'architecture: Microservices',
+        'code style: functional',
+        'performance:',
+        '  responseTime: < 100ms',
+        '  concurrentConnections: 1000',
+        'security:',
+        '  - JWT',
+        '```',
+        '',
+        'Testing: e2e'
+      ].join('\n');
+
+      const metrics = parseGoalMetrics(designDoc);
+
+      expect(metrics.format).toBe('yaml');
+      expect(metrics.errors).toEqual([]);
+      expect(metrics.metrics.architecture).toBe('microservices');
+      expect(metrics.metrics.performance.targets[1]).toEqual({ metric: 'concurrency', comparator: '>=', value: 1000, unit: 'concurrent' });
+      expect(metrics.metrics.security).toEqual({ requirements: [{ name: 'jwt', kind: 'authentication' }] });
+
+      // Prose around the block is not scraped
+      expect(parseGoalTags(designDoc).testing).toBe('unit');
+
+      const json = parseGoalMetrics('```json goal-metrics\n{ "testing": "e2e", "colour": "blue" }\n```');
+      expect(json.metrics.testing).toBe('e2e');
+      expect(json.errors[0]).toContain('unknown goal "colour"');
+    });
+
+    test('should resolve task goal tags and where each came from', () => {
+      const goalMetrics = parseGoalMetrics('```yaml goal-metrics\narchitecture: microservices\ntesting: unit\n```');
+      const resolved = resolveTaskGoalTags(
+        { id: '2', goalTags: { testing: 'e2e', architecture: 'microservices' } },
+        { goalMetrics }
+      );
+
+      expect(resolved.tags.testing).toBe('e2e');
+      expect(resolved.sources.testing).toBe('task');
+      expect(resolved.sources.codeStyle).toBe('default');
+      expect(resolved.redundant).toEqual(['architecture']);
+
+      const inherited = resolveTaskGoalTags({ id: '3' }, { goalMetrics });
+      expect(inherited.sources.architecture).toBe('design');
+      expect(inherited.tags.testing).toBe('unit');
+    });
+
+    test('should keep goal values that do not parse so the checkers report them', async () => {
+      const designDoc = '## Goal Metrics\nSecurity: Basic auth';
+      const tags = parseGoalTags(designDoc);
+      expect(tags.security).toBe('Basic auth');
+
+      const goalMetrics = parseGoalMetrics(designDoc);
+      expect(resolveTaskGoalTags({ id: '3' }, { goalMetrics }).tags.security).toBe('Basic auth');
+
+      const resolved = resolveTaskGoalTags({ id: '4', goalTags: { performance: 'fast' } }, { goalMetrics });
+      expect(resolved.tags.performance).toBe('fast');
+      expect(resolved.sources.performance).toBe('task');
+      expect(resolved.errors[0]).toMatch(/^task 4 goal tags: performance /);
+
+      const result = await new AlignmentChecker({ config: defaultConfig() }).checkAll({}, {}, resolved.tags);
+      expect(result.passed).toBe(false);
+      expect(result.issues.map(i => i.category).sort()).toEqual(['performance', 'security']);
+      expect(result.issues[0].message).toMatch(/^Cannot check \w+ goal: /);
     });
 
     test('should use defaults when no goal section', () => {
@@ -85,14 +274,226 @@ Performance: < 100ms
         codeStyle: 'functional',
         testing: 'unit',
         security: 'JWT',
-        performance: 'none'
+        performance: 'none',
+        userExperience: 'cli'
       };
 
       const formatted = formatGoalTags(tags);
 
       expect(formatted).toContain('**Goal Tags:**');
       expect(formatted).toContain('- architecture: microservices');
-      expect(formatted).toContain('- style: functional');
+      expect(formatted).toContain('- codeStyle: functional');
+      expect(formatted).toContain('- performance: default');
+      expect(formatted).toContain('- userExperience: default');
+    });
+
+    test('should parse performance and security goals into typed values', async () => {
+      expect(parsePerformanceGoal('p95 < 100ms, 1000 concurrent, < 256MB RSS')).toEqual({
+        targets: [
+          { metric: 'responseTime', comparator: '<', value: 100, unit: 'ms', percentile: 95 },
+          { metric: 'concurrency', comparator: '>=', value: 1000, unit: 'concurrent' },
+          { metric: 'memory', comparator: '<', value: 256, unit: 'MB', scope: 'rss' }
+        ]
+      });
+      expect(parsePerformanceGoal('under 2s').targets[0].value).toBe(2000);
+      expect(parseSecurityGoal('JWT + bcrypt, OWASP top 10').requirements.map(r => r.name))
+        .toEqual(['jwt', 'bcrypt', 'owasp-top-10']);
+
+      const tags = { performance: 'p95 < 100ms, 1000 concurrent', security: 'JWT + bcrypt' };
+      expect(formatGoalTags(tags)).toContain('- performance: p95 < 100ms, >= 1000 concurrent');
+      expect(validateGoalTags(tags).valid).toBe(true);
+      expect(validateGoalTags({ performance: 'fast', security: 'strong' }).errors).toHaveLength(2);
+
+      const checker = new AlignmentChecker({ config: defaultConfig() });
+      const result = await checker.checkAll({}, {
+        performance: { p95ResponseTime: 150, concurrentCapacity: 1200 },
+        security: { usesJWT: true, usesBcrypt: true }
+      }, tags);
+      expect(result.issues).toHaveLength(1);
+      expect(result.issues[0].message).toBe('p95 response time 150ms exceeds target < 100ms');
+      expect(result.critical).toBe(false);
+
+      // A goal that does not parse still gets the checks every goal gets
+      const untyped = await checker.checkAll({}, { security: { hardcodedSecrets: true } }, { security: 'strong' });
+      expect(untyped.issues.map(i => i.severity)).toEqual(['warning', 'critical']);
+      expect(untyped.critical).toBe(true);
+    });
+
+    test('should serialize goal tags losslessly in every format', () => {
+      const tags = {
+        ...parseGoalTags(''),
+        architecture: 'microservices',
+        codeStyle: 'functional',
+        performance: parsePerformanceGoal('p95 < 100ms, < 256MB RSS'),
+        userExperience: ['web', 'cli']
+      };
+
+      for (const format of ['markdown', 'json', 'yaml']) {
+        const text = serializeGoalTags(tags, format);
+        expect(deserializeGoalTags(text, format)).toEqual({ tags, errors: [], invalid: {} });
+        expect(deserializeGoalTags(text).tags).toEqual(tags);
+      }
+
+      // Defaults are explicit, and formatGoalTags() output reads back
+      expect(serializeGoalTags({ testing: 'unit' }, 'yaml')).toBe('testing: default');
+      expect(parseGoalTags(formatGoalTags(tags))).toEqual(tags);
+      expect(() => serializeGoalTags({ performance: 'fast' })).toThrow(/performance/);
+      expect(formatGoalTags({ security: 'Basic auth' })).toBe('**Goal Tags:**\n- security: Basic auth');
+    });
+
+    test('should pick up registered goal dimensions everywhere', async () => {
+      registerGoalDimension({
+        name: 'accessibility',
+        aliases: ['a11y'],
+        values: ['wcag-a', 'wcag-aa', 'none'],
+        checker: () => ({
+          check: async (code, tests, level) => ({
+            passed: (code.files || []).every(file => !file.includes('img')),
+            issues: [{ message: `Image without alt text (${level})` }]
+          })
+        })
+      });
+
+      const tags = parseGoalTags('```yaml goal-metrics\na11y: WCAG-AA\n```');
+      expect(tags.accessibility).toBe('wcag-aa');
+      expect(parseGoalTags('').accessibility).toBe('none');
+      expect(formatGoalTags(tags)).toContain('- accessibility: wcag-aa');
+      expect(validateGoalTags({ accessibility: 'wcag-aaa' }).errors).toEqual(['Invalid accessibility: wcag-aaa']);
+
+      const checker = new AlignmentChecker({ config: defaultConfig() });
+      const result = await checker.checkAll({ files: ['img.html'] }, {}, { accessibility: 'wcag-aa' });
+      expect(result.passed).toBe(false);
+      expect(result.issues[0].category).toBe('accessibility');
+
+      expect(() => registerGoalDimension({ name: 'uxAgain', aliases: ['ux'] })).toThrow(/already names userExperience/);
+      unregisterGoalDimension('accessibility');
+      expect(parseGoalTags('').accessibility).toBe(undefined);
+    });
+  });
+
+  describe('Goal Drift', () => {
+    const planDoc = [
+      '# Auth Implementation Plan',
+      '',
+      '```yaml goal-metrics',
+      'testing: unit',
+      'security: JWT + bcrypt',
+      '```',
+      '',
+      '### Task 1: Setup',
+      '',
+      '**Goal Tags:**',
+      '- testing: e2e',
+      '',
+      '### Task 2: Hashing',
+      '',
+      '**Goal Tags:**',
+      '- security: JWT + bcrypt',
+      '',
+      '### Task 3: Login'
+    ].join('\n');
+    const designDoc = '```yaml goal-metrics\ntesting: unit\nsecurity: JWT + argon2\n```';
+
+    test('should diff goal tags by meaning, not spelling', () => {
+      expect(diffGoalTags({ style: 'OOP', performance: '< 100ms' }, { codeStyle: 'oop', performance: 'under 100 ms' }).changed).toBe(false);
+
+      const diff = diffGoalTags({ testing: 'unit' }, { testing: 'e2e', security: 'JWT' });
+      expect(diff.changes.map(c => c.goal)).toEqual(['testing', 'security']);
+      expect(diff.changes[1].before).toBe(undefined);
+    });
+
+    test('should read the baseline and task goal tags from a plan', () => {
+      const plan = extractPlanGoalTags(planDoc);
+
+      expect(plan.title).toBe('Auth Implementation Plan');
+      expect(plan.baseline.testing).toBe('unit');
+      expect(plan.tasks.map(t => t.id)).toEqual(['1', '2', '3']);
+      expect(plan.tasks[1].goalTags.security.requirements.map(r => r.name)).toEqual(['jwt', 'bcrypt']);
+      expect(plan.tasks[2].goalTags).toEqual({});
+    });
+
+    test('should list stale tasks and checks against superseded goals', () => {
+      const drift = detectGoalDrift({
+        planDoc,
+        designDoc,
+        checks: [
+          { task: '3', time: '2026-03-02T10:00:00Z', alignment: 'aligned', goalTags: { testing: 'unit', security: 'JWT + bcrypt' } },
+          { task: '1', alignment: 'aligned', goalTags: { testing: 'e2e', security: 'JWT + argon2' } }
+        ]
+      });
+
+      expect(drift.designChanges.map(c => c.goal)).toEqual(['security']);
+      // Task 1 overrides a goal the design did not change
+      expect(drift.staleTasks.map(t => t.id)).toEqual(['2']);
+      expect(drift.recheck.map(t => t.id)).toEqual(['3']);
+      expect(drift.recheck[0].changes[0].goal).toBe('security');
+    });
+  });
+
+  describe('Plan Parsing', () => {
+    test('should turn a plan document into executable tasks', () => {
+      const plan = parsePlan([
+        '# Auth Implementation Plan',
+        '',
+        '**Goal:** JWT authentication',
+        '**Teams Mode:** enabled',
+        '**Teammate Count:** adaptive',
+        '',
+        '### Task 1: Setup',
+        '',
+        '**Files:**',
+        '- Create: `src/index.js`',
+        '- Modify: `src/app.js:10-25`',
+        '',
+        '**Step 1: Write the test**',
+        '',
+        '```js',
+        '### Task 9: not a task',
+        '```',
+        '',
+        '### Task 2: Login',
+        '',
+        '**Goal Tags:**',
+        '- testing: e2e',
+        '',
+        '**Steps:**',
+        '1. [RED] Write failing test',
+        '2. [GREEN] Make it pass',
+        '',
+        '**Estimate:** 1h 30m',
+        '',
+        '**Dependencies:**',
+        '- Task 1'
+      ].join('\n'));
+
+      expect(plan.errors).toEqual([]);
+      expect(plan.title).toBe('Auth Implementation Plan');
+      expect(plan.header.teamsMode).toBe('enabled');
+      expect(plan.header.teammateCount).toBe('adaptive');
+      expect(plan.tasks.map(t => t.id)).toEqual(['1', '2']);
+      expect(plan.tasks[0].files[1]).toEqual({ action: 'modify', path: 'src/app.js', range: { start: 10, end: 25 }, note: null, line: 11 });
+      expect(plan.tasks[0].steps[0].body).toContain('### Task 9');
+      expect(plan.tasks[1].steps[0].phase).toBe('red');
+      expect(plan.tasks[1].goalTags).toEqual({ testing: 'e2e' });
+      expect(plan.tasks[1].dependencies).toEqual(['1']);
+      expect(plan.tasks[1].estimateMinutes).toBe(90);
+      expect(validateDependencies(plan.tasks).valid).toBe(true);
+    });
+
+    test('should report malformed sections with their line', () => {
+      const { errors } = parsePlan([
+        '# Plan',
+        '**Teams Mode:** maybe',
+        '### Task 1: Setup',
+        '**Files:**',
+        '- Refactor: `src/a.js`',
+        '**Dependencies:** Task 4',
+        '### Task 1: Again'
+      ].join('\n'));
+
+      expect(errors.map(e => e.line)).toEqual([2, 5, 6, 7]);
+      expect(errors[1].message).toContain('Unknown file action "Refactor"');
+      expect(errors[2].message).toContain('Task 4, which the plan does not define');
     });
   });
 
@@ -127,10 +528,9 @@ Performance: < 100ms
     });
 
     test('should cap parallel at 5', () => {
-      const tasks = [
-        { id: String(i), title: `Task ${i}`, dependencies: [] }
-        for (let i = 1; i <= 10; i++)
-      ];
+      const tasks = Array.from({ length: 10 }, (_, i) => (
+        { id: String(i + 1), title: `Task ${i + 1}`, dependencies: [] }
+      ));
 
       const groups = groupTasksForTeams(tasks);
 
@@ -161,12 +561,223 @@ Performance: < 100ms
       expect(suggestion.count).toBe(2);
       expect(suggestion.reason).toContain('Adaptive');
     });
+
+    test('should compute waves, critical path and slack from estimates', () => {
+      const tasks = [
+        { id: '1', title: 'Setup', dependencies: [], estimateMinutes: 20 },
+        { id: '2', title: 'Auth', dependencies: ['1'], estimateMinutes: 60 },
+        { id: '3', title: 'API', dependencies: ['1'], estimateMinutes: 30 },
+        { id: '4', title: 'Tests', dependencies: ['2', '3'], estimateMinutes: 15 },
+        { id: '5', title: 'Docs', dependencies: [] }
+      ];
+
+      const schedule = analyzeTaskSchedule(tasks, { teammateCount: 2 });
+
+      expect(schedule.waves.map(wave => wave.tasks)).toEqual([['1', '5'], ['2', '3'], ['4']]);
+      expect(schedule.width).toBe(2);
+      expect(schedule.criticalPath).toEqual({ tasks: ['1', '2', '4'], minutes: 95 });
+      expect(schedule.tasks.find(t => t.id === '3').slack).toBe(30);
+      expect(schedule.tasks.find(t => t.id === '5').minutes).toBe(30); // default estimate
+      expect(schedule.makespan.minutes).toBe(95);
+      expect(predictMakespan(tasks, 1).minutes).toBe(155);
+      expect(suggestTeammateCount(tasks).count).toBe(2);
+    });
+
+    test('should find the critical path with fractional estimates', () => {
+      const schedule = analyzeTaskSchedule([
+        { id: '1', dependencies: [], estimateMinutes: 0.1 },
+        { id: '2', dependencies: ['1'], estimateMinutes: 0.2 },
+        { id: '3', dependencies: ['2'], estimateMinutes: 0.3 }
+      ]);
+
+      expect(schedule.criticalPath.tasks).toEqual(['1', '2', '3']);
+      expect(schedule.criticalPath.minutes).toBeCloseTo(0.6);
+    });
+
+    test('should reject teammate counts below one', () => {
+      const tasks = [{ id: '1', dependencies: [] }];
+
+      expect(() => predictMakespan(tasks, 0)).toThrow('teammateCount must be a whole number of at least 1, got 0');
+      expect(() => analyzeTaskSchedule(tasks, { teammateCount: -1 })).toThrow(/teammateCount must be a whole number/);
+      expect(() => analyzeTaskSchedule(tasks, { maxTeammates: 0 })).toThrow(/maxTeammates must be a whole number/);
+      expect(() => suggestTeammateCount(tasks, { maxTeammates: 2.5 })).toThrow(/maxTeammates must be a whole number/);
+    });
+
+    test('should leave cyclic tasks out of the schedule', () => {
+      const schedule = analyzeTaskSchedule([
+        { id: '1', dependencies: [] },
+        { id: '2', dependencies: ['3'] },
+        { id: '3', dependencies: ['2'] }
+      ]);
+
+      expect(schedule.cycleDetected).toBe(true);
+      expect(schedule.unscheduled).toEqual(['2', '3']);
+      expect(schedule.waves).toHaveLength(1);
+      expect(schedule.errors[0]).toContain('Circular dependencies');
+    });
+  });
+
+  describe('Configuration', () => {
+    const writeConfig = (file, settings) => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(settings));
+    };
+
+    test('should merge project settings over user settings', () => {
+      const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'superpowers-config-'));
+      const userFile = path.join(tmp, 'user', 'config.json');
+      const projectDir = path.join(tmp, 'project');
+
+      writeConfig(userFile, {
+        skills: { disabled: ['brainstorming'] },
+        teams: { mode: 'subagent', maxTeammates: 3 }
+      });
+      writeConfig(path.join(projectDir, '.superpowers', 'config.json'), {
+        skills: { disabled: ['project:deploy'], roots: [{ name: 'team', dir: 'team-skills' }] },
+        teams: { maxTeammates: 2 }
+      });
+
+      const config = loadConfig({ projectDir, userFile });
+
+      expect(config.teams.mode).toBe('subagent');
+      expect(config.teams.maxTeammates).toBe(2);
+      expect(config.skills.disabled).toEqual(['project:deploy', 'brainstorming']);
+      expect(config.skills.roots[0].dir).toBe(path.join(projectDir, 'team-skills'));
+      expect(config.checkers.coverageTarget).toBe(80);
+      expect(config.sources).toHaveLength(2);
+
+      fs.rmSync(tmp, { recursive: true, force: true });
+    });
+
+    test('should reject unknown settings and bad values', () => {
+      const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'superpowers-config-'));
+      const userFile = path.join(tmp, 'config.json');
+
+      writeConfig(userFile, { teams: { maxTeamates: 2 } });
+      expect(() => loadConfig({ projectDir: tmp, userFile })).toThrow(/unknown setting "maxTeamates"/);
+
+      writeConfig(userFile, { teams: { mode: 'always' } });
+      expect(() => loadConfig({ projectDir: tmp, userFile })).toThrow(/teams.mode must be one of/);
+
+      fs.rmSync(tmp, { recursive: true, force: true });
+    });
+
+    test('should apply config to mode detection and teammate cap', () => {
+      const config = defaultConfig();
+      config.teams.mode = 'subagent';
+      process.env.CLAUDE_CODE_EXPERIMENTAL_AGENT_TEAMS = '1';
+
+      const mode = detectAgentTeamsMode({ config });
+      expect(mode.configuredMode).toBe('subagent');
+      expect(mode.mode).toBe('subagent');
+
+      delete process.env.CLAUDE_CODE_EXPERIMENTAL_AGENT_TEAMS;
+
+      const tasks = Array.from({ length: 4 }, (_, i) => ({ id: `${i + 1}`, dependencies: [] }));
+      expect(groupTasksForTeams(tasks, { maxTeammates: 2 }).maxParallel).toBe(2);
+      expect(suggestTeammateCount(tasks, { maxTeammates: 2 }).count).toBe(2);
+    });
+
+    test('should detect the mode with default settings when the config is malformed', () => {
+      const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'superpowers-config-'));
+      const cwd = process.cwd();
+      writeConfig(path.join(tmp, '.superpowers', 'config.json'), { teams: { mode: 'always' } });
+
+      process.chdir(tmp);
+      try {
+        const mode = detectAgentTeamsMode({ env: {} });
+        expect(mode.mode).toBe('subagent');
+        expect(mode.configuredMode).toBe('auto');
+        expect(mode.warnings[0]).toMatch(/^Using default config: .*teams.mode must be one of/);
+      } finally {
+        process.chdir(cwd);
+        fs.rmSync(tmp, { recursive: true, force: true });
+      }
+    });
+
+    test('should fall back to default settings wherever the config is loaded implicitly', () => {
+      const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'superpowers-config-'));
+      const cwd = process.cwd();
+      writeConfig(path.join(tmp, '.superpowers', 'config.json'), { teams: { mode: 'always' } });
+
+      const fallback = loadConfigOrDefault({ projectDir: tmp, quiet: true });
+      expect(fallback.teams.mode).toBe('auto');
+      expect(fallback.warnings[0]).toMatch(/^Using default config: .*teams.mode must be one of/);
+      expect(loadConfigOrDefault({ projectDir: cwd, quiet: true }).warnings).toEqual([]);
+
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      process.chdir(tmp);
+      try {
+        const plan = { tasks: [{ id: '1', dependencies: [] }] };
+        expect(new AlignmentChecker().thresholds).toEqual(defaultConfig().checkers);
+        expect(new AlertSystem().sinks).toEqual(defaultConfig().alerts.sinks);
+        expect(new TeamManager(plan, 1, null).maxTeammates).toBe(defaultConfig().teams.maxTeammates);
+        expect(warn).toHaveBeenCalledTimes(1);
+      } finally {
+        process.chdir(cwd);
+        warn.mockRestore();
+        fs.rmSync(tmp, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Session Journal', () => {
+    const hook = (projectDir, event, fields = {}) =>
+      recordHookEvent({ session_id: 's1', cwd: projectDir, hook_event_name: event, ...fields }, { projectDir });
+
+    test('should record a session from hook events', () => {
+      const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'superpowers-journal-'));
+
+      expect(recordSessionEvent('team-summary', { plan: 'Outside' }, { projectDir }).success).toBe(false);
+
+      hook(projectDir, 'SessionStart', { source: 'startup' });
+      hook(projectDir, 'PostToolUse', { tool_name: 'Read', tool_input: { file_path: 'x' } });
+      hook(projectDir, 'PostToolUse', {
+        tool_name: 'Skill',
+        tool_input: { skill: 'superpowers:executing-plans', args: 'docs/plans/feature.md' }
+      });
+      recordSessionEvent('team-summary', { plan: 'Feature', teammates: 2 }, { projectDir, config: defaultConfig() });
+      hook(projectDir, 'SessionEnd', { reason: 'exit' });
+
+      const entries = readSession(projectDir, 's1');
+      expect(entries.map(e => e.event)).toEqual(['session-start', 'skill-loaded', 'plan-executed', 'team-summary', 'session-end']);
+
+      const [session] = listSessions(projectDir, { skill: 'executing-plans' });
+      expect(session.sessionId).toBe('s1');
+      expect(session.plans).toEqual(['docs/plans/feature.md']);
+      expect(session.teamSummaries).toBe(1);
+      expect(typeof session.endedAt).toBe('string');
+      expect(session.endHead).toBe(session.startHead);
+
+      expect(listSessions(projectDir, { skill: 'brainstorming' })).toHaveLength(0);
+      expect(querySessions(projectDir, { event: 'plan-executed' })).toHaveLength(1);
+
+      // Session over: library events are no longer journaled
+      expect(recordSessionEvent('team-summary', { plan: 'Late' }, { projectDir }).success).toBe(false);
+
+      // Journals stay out of git status
+      const ignore = fs.readFileSync(path.join(projectDir, '.superpowers', 'sessions', '.gitignore'), 'utf8');
+      expect(ignore.split('\n')).toContain('*');
+
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    test('should not journal when disabled in config', () => {
+      const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'superpowers-journal-'));
+      fs.mkdirSync(path.join(projectDir, '.superpowers'));
+      fs.writeFileSync(path.join(projectDir, '.superpowers', 'config.json'), JSON.stringify({ journal: { enabled: false } }));
+
+      expect(hook(projectDir, 'SessionStart')).toEqual([]);
+      expect(listSessions(projectDir)).toEqual([]);
+
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
   });
 
   describe('End-to-End Flow', () => {
     test('should complete full Teams mode flow', () => {
       // Step 1: Detect mode
-      const mode = detectAgentTeamsMode();
+      const mode = detectAgentTeamsMode({ config: defaultConfig() });
       expect(mode.mode).toBe('subagent'); // Fallback in test
 
       // Step 2: Parse goals
@@ -436,5 +436,816 @@ else
     exit 1
 fi
 
+# Test 6: Test full YAML frontmatter parsing against the real library
+echo ""
+echo "Test 6: Testing YAML frontmatter parsing..."
+
+mkdir -p "$TEST_HOME/yaml-skill" "$TEST_HOME/broken-skill"
+cat > "$TEST_HOME/yaml-skill/SKILL.md" <<'EOF'
+---
+name: "yaml-skill"
+description: >
+  Use when frontmatter spans
+  several lines
+tags: [testing, yaml]
+requires:
+  - writing-plans
+metadata:
+  version: 2
+---
+# YAML Skill
+EOF
+
+cat > "$TEST_HOME/broken-skill/SKILL.md" <<'EOF'
+---
+name: broken-skill
+description: "never closed
+---
+# Broken
+EOF
+
+result=$(node --input-type=module -e "
+import { extractFrontmatter } from '$REPO_ROOT/lib/skills-core.js';
+
+const parsed = extractFrontmatter('$TEST_HOME/yaml-skill/SKILL.md');
+console.log('PARSED:', JSON.stringify(parsed));
+
+const broken = extractFrontmatter('$TEST_HOME/broken-skill/SKILL.md');
+console.log('BROKEN_LINE:', broken.error && broken.error.line);
+" 2>&1)
+
+if echo "$result" | grep -q '"description":"Use when frontmatter spans several lines"'; then
+    echo "  [PASS] Folded descriptions are joined"
+else
+    echo "  [FAIL] Folded description not parsed"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q '"tags":\["testing","yaml"\],"requires":\["writing-plans"\],"metadata":{"version":2}'; then
+    echo "  [PASS] Lists and nested maps are kept in metadata"
+else
+    echo "  [FAIL] Metadata lost lists or nested maps"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'BROKEN_LINE: 3'; then
+    echo "  [PASS] Malformed frontmatter reports its line number"
+else
+    echo "  [FAIL] Malformed frontmatter line number not reported"
+    echo "  Result: $result"
+    exit 1
+fi
+
+# Test 7: Test persistent skill index
+echo ""
+echo "Test 7: Testing SkillIndex cache..."
+
+result=$(XDG_CACHE_HOME="$TEST_HOME/default-cache" node --input-type=module -e "
+import fs from 'fs';
+import { findSkillsInDir, SkillIndex, defaultSkillIndex } from '$REPO_ROOT/lib/skills-core.js';
+
+const dir = '$TEST_HOME/skills-dir';
+const indexFile = '$TEST_HOME/cache/skill-index.json';
+
+const uncached = findSkillsInDir(dir, 'test', 3, { index: false });
+const first = new SkillIndex({ indexFile });
+const cold = findSkillsInDir(dir, 'test', 3, { index: first });
+console.log('SAME_SHAPE:', JSON.stringify(cold) === JSON.stringify(uncached));
+console.log('COLD:', JSON.stringify(first.stats));
+
+fs.appendFileSync(dir + '/skill-b/SKILL.md', 'changed\n');
+const second = new SkillIndex({ indexFile });
+second.findSkills(dir, 'test');
+console.log('WARM:', JSON.stringify(second.stats));
+
+second.rebuild(dir, 'test');
+console.log('REBUILD:', JSON.stringify(second.stats));
+
+findSkillsInDir(dir, 'test');
+const shared = defaultSkillIndex();
+console.log('DEFAULT:', shared === defaultSkillIndex(), shared.indexFile, fs.existsSync(shared.indexFile));
+" 2>&1)
+
+if echo "$result" | grep -q 'SAME_SHAPE: true'; then
+    echo "  [PASS] Indexed results match findSkillsInDir"
+else
+    echo "  [FAIL] Indexed results differ from findSkillsInDir"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'WARM: {"parsed":1,"reused":2}'; then
+    echo "  [PASS] Only the changed skill is re-parsed"
+else
+    echo "  [FAIL] Warm index did not reuse unchanged skills"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'REBUILD: {"parsed":3,"reused":0}'; then
+    echo "  [PASS] rebuild() re-parses every skill"
+else
+    echo "  [FAIL] rebuild() did not re-parse"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q "DEFAULT: true $TEST_HOME/default-cache/superpowers/skill-index.json true"; then
+    echo "  [PASS] findSkillsInDir uses the shared default index"
+else
+    echo "  [FAIL] findSkillsInDir did not use the default index"
+    echo "  Result: $result"
+    exit 1
+fi
+
+# Test 8: Test transitive requires resolution
+echo ""
+echo "Test 8: Testing resolveSkillWithDependencies..."
+
+mkdir -p "$TEST_HOME/deps-personal/needs-shared" "$TEST_HOME/deps-personal/loop-a" "$TEST_HOME/deps-personal/loop-b"
+cat > "$TEST_HOME/deps-personal/needs-shared/SKILL.md" <<'EOF'
+---
+name: needs-shared
+description: Use when testing requires
+requires:
+  - shared-skill
+  - unique-skill
+---
+EOF
+printf -- '---\nname: loop-a\ndescription: Loop\nrequires: [loop-b]\n---\n' > "$TEST_HOME/deps-personal/loop-a/SKILL.md"
+printf -- '---\nname: loop-b\ndescription: Loop\nrequires: [loop-a]\n---\n' > "$TEST_HOME/deps-personal/loop-b/SKILL.md"
+cp -r "$TEST_HOME/personal-skills/shared-skill" "$TEST_HOME/deps-personal/"
+
+result=$(node --input-type=module -e "
+import { resolveSkillWithDependencies } from '$REPO_ROOT/lib/skills-core.js';
+
+const superpowersDir = '$TEST_HOME/superpowers-skills';
+const personalDir = '$TEST_HOME/deps-personal';
+
+const order = resolveSkillWithDependencies('needs-shared', superpowersDir, personalDir);
+console.log('ORDER:', order.map(s => s.skillPath + '@' + s.sourceType).join(','));
+
+try {
+    resolveSkillWithDependencies('loop-a', superpowersDir, personalDir);
+} catch (error) {
+    console.log('CYCLE:', error.code, error.chain.join('>'));
+}
+" 2>&1)
+
+if echo "$result" | grep -q 'ORDER: shared-skill@personal,unique-skill@superpowers,needs-shared@personal'; then
+    echo "  [PASS] Dependencies load first and respect shadowing"
+else
+    echo "  [FAIL] Unexpected dependency order"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'CYCLE: CYCLE loop-a>loop-b>loop-a'; then
+    echo "  [PASS] Circular requirements are detected"
+else
+    echo "  [FAIL] Circular requirement not detected"
+    echo "  Result: $result"
+    exit 1
+fi
+
+# Test 9: Test named skill roots
+echo ""
+echo "Test 9: Testing multi-root resolution..."
+
+mkdir -p "$TEST_HOME/org-skills/deploy" "$TEST_HOME/org-skills/unique-skill"
+printf -- '---\nname: deploy\ndescription: Org deploy\n---\n' > "$TEST_HOME/org-skills/deploy/SKILL.md"
+printf -- '---\nname: unique-skill\ndescription: Org copy\n---\n' > "$TEST_HOME/org-skills/unique-skill/SKILL.md"
+
+result=$(node --input-type=module -e "
+import { parseSkillRoots, resolveSkillPath, findSkillsInRoots } from '$REPO_ROOT/lib/skills-core.js';
+
+const roots = parseSkillRoots([
+    { name: 'personal', dir: '$TEST_HOME/personal-skills' },
+    { name: 'team', dir: '$TEST_HOME/org-skills' },
+    { name: 'superpowers', dir: '$TEST_HOME/superpowers-skills' }
+]);
+
+console.log('TEAM:', resolveSkillPath('team:deploy', roots).root);
+console.log('SHADOWED:', resolveSkillPath('unique-skill', roots).root);
+console.log('FORCED:', resolveSkillPath('superpowers:unique-skill', roots).root);
+console.log('UNKNOWN_NS:', resolveSkillPath('nowhere:deploy', roots));
+console.log('TAGS:', findSkillsInRoots(roots).map(s => s.root + ':' + s.name).sort().join(','));
+" 2>&1)
+
+if echo "$result" | grep -q 'TEAM: team' && echo "$result" | grep -q 'FORCED: superpowers'; then
+    echo "  [PASS] Namespaced names resolve to their root"
+else
+    echo "  [FAIL] Namespaced resolution failed"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'SHADOWED: team' && echo "$result" | grep -q 'UNKNOWN_NS: null'; then
+    echo "  [PASS] Earlier roots shadow later roots"
+else
+    echo "  [FAIL] Root precedence not respected"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'TAGS: personal:shared-skill,superpowers:shared-skill,superpowers:unique-skill,team:deploy,team:unique-skill'; then
+    echo "  [PASS] findSkillsInRoots tags each skill with its root"
+else
+    echo "  [FAIL] Skills not tagged with their root"
+    echo "  Result: $result"
+    exit 1
+fi
+
+# skills.roots and skills.disabled in the config apply to the CLI too
+mkdir -p "$TEST_HOME/roots-project/.superpowers"
+cat > "$TEST_HOME/roots-project/.superpowers/config.json" <<EOF
+{ "skills": { "roots": [{ "name": "team", "dir": "$TEST_HOME/org-skills" }], "disabled": ["team:unique-skill"] } }
+EOF
+result=$(cd "$TEST_HOME/roots-project" && node "$REPO_ROOT/scripts/superpowers.mjs" find-skills org deploy unique --json 2>&1)
+
+if echo "$result" | grep -q '"name": "deploy"' && echo "$result" | grep -q '"root": "team"' \
+    && ! echo "$result" | grep -q '"name": "unique-skill"'; then
+    echo "  [PASS] CLI searches config roots and leaves out disabled skills"
+else
+    echo "  [FAIL] CLI ignored skills.roots or skills.disabled"
+    echo "  Result: $result"
+    exit 1
+fi
+
+# Test 10: Test lint-skills command
+echo ""
+echo "Test 10: Testing lint-skills..."
+
+mkdir -p "$TEST_HOME/lint-skills/good-skill" "$TEST_HOME/lint-skills/bad-skill"
+cat > "$TEST_HOME/lint-skills/good-skill/SKILL.md" <<'EOF'
+---
+name: good-skill
+description: Use when checking that the linter accepts valid skills
+---
+# Good Skill
+
+Follow superpowers:unique-skill first.
+EOF
+
+cat > "$TEST_HOME/lint-skills/bad-skill/SKILL.md" <<'EOF'
+---
+name: wrong-name
+description: Does things
+---
+# Bad Skill
+
+Use superpowers:no-such-skill here.
+
+```dot
+digraph broken {
+    a -> ;
+}
+```
+EOF
+
+set +e
+result=$(node "$REPO_ROOT/scripts/superpowers.mjs" lint-skills "$TEST_HOME/lint-skills" \
+    --json --superpowers-dir "$TEST_HOME/superpowers-skills" 2>&1)
+exit_code=$?
+set -e
+
+if [ "$exit_code" -eq 1 ]; then
+    echo "  [PASS] lint-skills exits non-zero on errors"
+else
+    echo "  [FAIL] lint-skills exited with $exit_code"
+    echo "  Result: $result"
+    exit 1
+fi
+
+for rule in name-mismatch description-convention unknown-reference dot-syntax; do
+    if echo "$result" | grep -q "\"rule\": \"$rule\""; then
+        echo "  [PASS] lint-skills reports $rule"
+    else
+        echo "  [FAIL] lint-skills did not report $rule"
+        echo "  Result: $result"
+        exit 1
+    fi
+done
+
+if echo "$result" | grep -q '"errorCount": 3'; then
+    echo "  [PASS] good-skill has no problems"
+else
+    echo "  [FAIL] Unexpected error count"
+    echo "  Result: $result"
+    exit 1
+fi
+
+set +e
+result=$(node "$REPO_ROOT/scripts/superpowers.mjs" lint-skills "$TEST_HOME/lint-skills" --max-body-lines abc 2>&1)
+exit_code=$?
+set -e
+
+if [ "$exit_code" -eq 2 ] && echo "$result" | grep -q 'Error: --max-body-lines must be a positive whole number, got "abc"'; then
+    echo "  [PASS] lint-skills rejects a non-numeric --max-body-lines"
+else
+    echo "  [FAIL] lint-skills accepted --max-body-lines abc (exit $exit_code)"
+    echo "  Result: $result"
+    exit 1
+fi
+
+set +e
+result=$(node "$REPO_ROOT/scripts/superpowers.mjs" schedule "$TEST_HOME/no-such-plan.md" 2>&1)
+exit_code=$?
+set -e
+
+if [ "$exit_code" -eq 1 ] && echo "$result" | grep -q '^Error: ENOENT' && ! echo "$result" | grep -q '    at '; then
+    echo "  [PASS] A missing file is reported as an error, not a stack trace"
+else
+    echo "  [FAIL] Missing file not reported cleanly (exit $exit_code)"
+    echo "  Result: $result"
+    exit 1
+fi
+
+# Test 11: Test offline skill ranking
+echo ""
+echo "Test 11: Testing rankSkills..."
+
+result=$(node --input-type=module -e "
+import { rankSkills } from '$REPO_ROOT/lib/skills-core.js';
+
+const skills = [
+    { name: 'systematic-debugging', description: 'Use when encountering any bug or test failure', content: 'Find the root cause before fixing.' },
+    { name: 'writing-plans', description: 'Use when you have requirements for a multi-step task', content: 'Write the plan before touching code.' },
+    { name: 'brainstorming', description: 'Use before any creative work', content: 'Explore ideas with the user.' }
+];
+
+const ranked = rankSkills('The tests keep failing with a weird bug', skills);
+console.log('TOP:', ranked[0].skill.name);
+console.log('TERMS:', ranked[0].matches.map(m => m.term + '@' + m.fields.join('+')).join(','));
+console.log('COUNT:', ranked.length);
+console.log('TOPK:', rankSkills('plan the bug fix', skills, { topK: 1 }).length);
+console.log('NONE:', rankSkills('the and of', skills).length);
+" 2>&1)
+
+if echo "$result" | grep -q 'TOP: systematic-debugging' && echo "$result" | grep -q 'COUNT: 1'; then
+    echo "  [PASS] Most relevant skill ranks first, non-matches are omitted"
+else
+    echo "  [FAIL] Unexpected ranking"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'TERMS:.*bug@description' && echo "$result" | grep -q 'TERMS:.*test@description'; then
+    echo "  [PASS] Matches explain terms and fields"
+else
+    echo "  [FAIL] Matched terms not reported"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'TOPK: 1' && echo "$result" | grep -q 'NONE: 0'; then
+    echo "  [PASS] topK limits results and stopword-only queries match nothing"
+else
+    echo "  [FAIL] topK or stopword handling wrong"
+    echo "  Result: $result"
+    exit 1
+fi
+
+# Test 12: Test structured update check
+echo ""
+echo "Test 12: Testing checkForUpdatesAsync..."
+
+export GIT_AUTHOR_NAME=test GIT_AUTHOR_EMAIL=test@example.com GIT_COMMITTER_NAME=test GIT_COMMITTER_EMAIL=test@example.com
+git init -q --bare -b main "$TEST_HOME/updates-remote.git"
+git clone -q "$TEST_HOME/updates-remote.git" "$TEST_HOME/updates-publisher" 2>/dev/null
+(
+    cd "$TEST_HOME/updates-publisher"
+    git checkout -q -b main
+    printf '# Release Notes\n\n## v1.0.0 (2026-01-01)\n\nFirst release.\n' > RELEASE-NOTES.md
+    git add RELEASE-NOTES.md && git commit -q -m v1 && git push -q origin main
+)
+git clone -q "$TEST_HOME/updates-remote.git" "$TEST_HOME/updates-checkout"
+(
+    cd "$TEST_HOME/updates-publisher"
+    printf '# Release Notes\n\n## v1.1.0 (2026-02-01)\n\nNew skills.\n\n## v1.0.0 (2026-01-01)\n\nFirst release.\n' > RELEASE-NOTES.md
+    git commit -q -am v1.1 && echo fix > fix.txt && git add fix.txt && git commit -q -m fix && git push -q origin main
+)
+
+result=$(node --input-type=module -e "
+import { checkForUpdatesAsync, getCachedUpdateCheck } from '$REPO_ROOT/lib/skills-core.js';
+
+const cacheFile = '$TEST_HOME/update-cache.json';
+const repo = '$TEST_HOME/updates-checkout';
+
+console.log('BEFORE:', getCachedUpdateCheck(repo, { cacheFile }));
+const first = await checkForUpdatesAsync(repo, { cacheFile });
+console.log('FIRST:', first.available, first.behind, first.ahead, first.remote + '/' + first.branch, first.cached, first.error);
+console.log('NOTES:', first.releaseNotes.map(n => n.version + '@' + n.date).join(','));
+const second = await checkForUpdatesAsync(repo, { cacheFile });
+console.log('SECOND:', second.cached, second.behind);
+console.log('SYNC:', getCachedUpdateCheck(repo, { cacheFile }).behind);
+console.log('EXPIRED:', getCachedUpdateCheck(repo, { cacheFile, ttlMs: -1 }));
+const badRemote = await checkForUpdatesAsync(repo, { cacheFile, remote: 'nope' });
+console.log('BADREMOTE:', badRemote.available, badRemote.error);
+console.log('ERROR_TTL:', getCachedUpdateCheck(repo, { cacheFile, remote: 'nope' }) !== null,
+    getCachedUpdateCheck(repo, { cacheFile, remote: 'nope', errorTtlMs: -1 }),
+    getCachedUpdateCheck(repo, { cacheFile, errorTtlMs: -1 }) !== null);
+" 2>&1)
+
+if echo "$result" | grep -q 'BEFORE: null' && echo "$result" | grep -q 'FIRST: true 2 0 origin/main false null'; then
+    echo "  [PASS] Reports commits behind and the remote branch"
+else
+    echo "  [FAIL] Unexpected update check result"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'NOTES: 1.1.0@2026-02-01$'; then
+    echo "  [PASS] Only missing release notes are returned"
+else
+    echo "  [FAIL] Wrong release notes"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'SECOND: true 2' && echo "$result" | grep -q 'SYNC: 2' && echo "$result" | grep -q 'EXPIRED: null'; then
+    echo "  [PASS] Results are cached with a TTL"
+else
+    echo "  [FAIL] Cache not used"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'BADREMOTE: false Remote "nope" is not configured'; then
+    echo "  [PASS] Unknown remotes are reported, not thrown"
+else
+    echo "  [FAIL] Unknown remote not handled"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'ERROR_TTL: true null true'; then
+    echo "  [PASS] Failed checks expire after the shorter error TTL"
+else
+    echo "  [FAIL] Failed check cached like a successful one"
+    echo "  Result: $result"
+    exit 1
+fi
+
+# Detached HEAD in a fork: "upstream" wins over the fork's origin
+git -C "$TEST_HOME/updates-checkout" remote rename origin upstream
+git -C "$TEST_HOME/updates-checkout" remote add origin "$TEST_HOME/updates-checkout/.git"
+git -C "$TEST_HOME/updates-checkout" checkout -q --detach HEAD
+
+result=$(node --input-type=module -e "
+import { checkForUpdatesAsync } from '$REPO_ROOT/lib/skills-core.js';
+
+const r = await checkForUpdatesAsync('$TEST_HOME/updates-checkout', { cacheFile: '$TEST_HOME/update-cache.json', force: true });
+console.log('DETACHED:', r.detached, r.localBranch, r.remote + '/' + r.branch, r.behind, r.error);
+" 2>&1)
+
+if echo "$result" | grep -q 'DETACHED: true null upstream/main 2 null'; then
+    echo "  [PASS] Detached HEAD compares against upstream's default branch"
+else
+    echo "  [FAIL] Detached HEAD or fork not handled"
+    echo "  Result: $result"
+    exit 1
+fi
+
+# Test 13: Test skills.lock
+echo ""
+echo "Test 13: Testing skill lockfile..."
+
+mkdir -p "$TEST_HOME/locked-repo/skills/alpha" "$TEST_HOME/locked-repo/skills/beta" "$TEST_HOME/locked-personal"
+(
+    cd "$TEST_HOME/locked-repo"
+    git init -q
+    printf -- '---\nname: alpha\ndescription: Alpha v1\n---\nv1\n' > skills/alpha/SKILL.md
+    printf -- '---\nname: beta\ndescription: Beta\n---\n' > skills/beta/SKILL.md
+    git add -A && git commit -q -m v1 && git tag v1
+    printf -- '---\nname: alpha\ndescription: Alpha v2\n---\nv2\n' > skills/alpha/SKILL.md
+    git commit -q -am v2
+)
+
+result=$(XDG_CACHE_HOME="$TEST_HOME/cache" node --input-type=module -e "
+import fs from 'fs';
+import { createLock, verifyLock, pinSkill, findSkillsInDir, findSkillsInRoots, resolveSkillPath } from '$REPO_ROOT/lib/skills-core.js';
+
+const roots = [
+    { name: 'personal', dir: '$TEST_HOME/locked-personal' },
+    { name: 'superpowers', dir: '$TEST_HOME/locked-repo/skills' }
+];
+
+const lock = createLock(findSkillsInRoots(roots));
+console.log('KEYS:', Object.keys(lock.skills).join(','), lock.skills.alpha.root, lock.skills.alpha.path);
+console.log('CLEAN:', verifyLock(lock, findSkillsInRoots(roots), roots).ok);
+
+fs.appendFileSync('$TEST_HOME/locked-repo/skills/beta/SKILL.md', 'edited\n');
+fs.mkdirSync('$TEST_HOME/locked-personal/alpha');
+fs.writeFileSync('$TEST_HOME/locked-personal/alpha/SKILL.md', '---\nname: alpha\ndescription: Mine\n---\n');
+const drift = verifyLock(lock, findSkillsInRoots(roots), roots);
+console.log('DRIFT:', drift.ok, drift.entries.map(e => e.skill + '=' + e.status).join(','));
+console.log('LOCKED_ROOT:', resolveSkillPath('alpha', roots, undefined, { lock }).root, resolveSkillPath('alpha', roots).root);
+
+pinSkill(lock, 'alpha', 'v1', roots, { root: 'superpowers' });
+const pinned = resolveSkillPath('alpha', roots, undefined, { lock });
+console.log('PINNED:', pinned.ref, fs.readFileSync(pinned.skillFile, 'utf8').includes('v1'));
+const found = findSkillsInDir('$TEST_HOME/locked-repo/skills', 'superpowers', 3, { lock });
+console.log('FOUND:', found.map(s => s.name + '=' + s.lock.status + ':' + s.description).join(','));
+console.log('AFTER_PIN:', verifyLock(lock, findSkillsInRoots(roots), roots).entries.map(e => e.skill + '=' + e.status).join(','));
+" 2>&1)
+
+if echo "$result" | grep -q 'KEYS: alpha,beta superpowers alpha/SKILL.md' && echo "$result" | grep -q 'CLEAN: true'; then
+    echo "  [PASS] Lock records root, path and hash"
+else
+    echo "  [FAIL] Lock contents wrong"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'DRIFT: false alpha=moved,beta=changed'; then
+    echo "  [PASS] Verify flags changed and newly shadowed skills"
+else
+    echo "  [FAIL] Drift not detected"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'LOCKED_ROOT: superpowers personal'; then
+    echo "  [PASS] resolveSkillPath honors the locked root"
+else
+    echo "  [FAIL] Lock ignored by resolveSkillPath"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'PINNED: v1 true' && echo "$result" | grep -q 'FOUND: alpha=pinned:Alpha v1,beta=changed:Beta'; then
+    echo "  [PASS] Pinned skills load from the git ref"
+else
+    echo "  [FAIL] Pinning failed"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'AFTER_PIN: alpha=pinned,beta=changed'; then
+    echo "  [PASS] Pinned skills ignore working tree changes"
+else
+    echo "  [FAIL] Pinned skill verification wrong"
+    echo "  Result: $result"
+    exit 1
+fi
+
+# Test 14: Test shadowing report
+echo ""
+echo "Test 14: Testing shadowReport..."
+
+touch -d '2025-01-01' "$TEST_HOME/personal-skills/shared-skill/SKILL.md"
+touch -d '2025-06-01' "$TEST_HOME/superpowers-skills/shared-skill/SKILL.md"
+
+result=$(node --input-type=module -e "
+import { shadowReport } from '$REPO_ROOT/lib/shadow-report.js';
+
+const report = shadowReport([
+    { name: 'personal', dir: '$TEST_HOME/personal-skills' },
+    { name: 'superpowers', dir: '$TEST_HOME/superpowers-skills' }
+]);
+
+console.log('SKILLS:', report.map(r => r.skill).join(','));
+const [entry] = report;
+console.log('ACTIVE:', entry.active.root, entry.active.modified, entry.active.modifiedSource);
+console.log('SHADOWED:', entry.shadowed[0].root, entry.shadowed[0].modified, entry.shadowed[0].newerThanActive);
+console.log(entry.shadowed[0].diff);
+" 2>&1)
+
+if echo "$result" | grep -q 'SKILLS: shared-skill$' && echo "$result" | grep -q 'ACTIVE: personal 2025-01-01T.* mtime'; then
+    echo "  [PASS] Lists each shadowed skill with the winning copy"
+else
+    echo "  [FAIL] Unexpected shadow report"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'SHADOWED: superpowers 2025-06-01T.* true'; then
+    echo "  [PASS] Warns when the shadowed copy changed later"
+else
+    echo "  [FAIL] Stale personal copy not flagged"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q '^--- superpowers:shared-skill' && echo "$result" | grep -q '^-# Superpowers Shared' && echo "$result" | grep -q '^+# Personal Shared'; then
+    echo "  [PASS] Includes a unified diff of the bodies"
+else
+    echo "  [FAIL] Diff missing or wrong"
+    echo "  Result: $result"
+    exit 1
+fi
+
+# Test 15: Test platform tool-name rewriting
+echo ""
+echo "Test 15: Testing rewriteToolNames..."
+
+result=$(node --input-type=module -e "
+import { rewriteToolNames } from '$REPO_ROOT/lib/skills-core.js';
+
+const text = 'Create a TodoWrite todo.\nUse the Task tool, not MyTodoWrite or TodoWrite-style lists.\nA Task is not a tool.';
+
+const opencode = rewriteToolNames(text, 'opencode');
+console.log('OPENCODE:', JSON.stringify(opencode.content));
+console.log('SUBS:', opencode.substitutions.map(s => s.from + '>' + s.to + '@' + s.line + ':' + s.source).join(','));
+console.log('CLAUDE:', rewriteToolNames(text, 'claude-code').content === text);
+
+const overridden = rewriteToolNames(text, 'codex', {
+    skillName: 'demo',
+    overrides: { demo: { 'Task tool': null } },
+    metadata: { tool_mappings: { codex: { TodoWrite: 'plan tool' } } }
+});
+console.log('CODEX:', overridden.substitutions.map(s => s.from + '>' + s.to + ':' + s.source).join(','));
+
+try {
+    rewriteToolNames(text, 'emacs');
+} catch (error) {
+    console.log('UNKNOWN:', error.message);
+}
+" 2>&1)
+
+if echo "$result" | grep -q 'OPENCODE: "Create a update_plan todo.\\nUse the subagent (@mention), not MyTodoWrite or TodoWrite-style lists.\\nA Task is not a tool."'; then
+    echo "  [PASS] Rewrites whole tool names only"
+else
+    echo "  [FAIL] Unexpected rewrite"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'SUBS: TodoWrite>update_plan@1:platform,Task tool>subagent (@mention)@2:platform' && echo "$result" | grep -q 'CLAUDE: true'; then
+    echo "  [PASS] Reports each substitution with its line"
+else
+    echo "  [FAIL] Substitutions not reported"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'CODEX: TodoWrite>plan tool:frontmatter$'; then
+    echo "  [PASS] Per-skill overrides replace and disable rules"
+else
+    echo "  [FAIL] Overrides not applied"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'UNKNOWN: Unknown platform "emacs"'; then
+    echo "  [PASS] Unknown platforms are rejected"
+else
+    echo "  [FAIL] Unknown platform accepted"
+    echo "  Result: $result"
+    exit 1
+fi
+
+# Test 16: Test the bootstrap token budget
+echo ""
+echo "Test 16: Testing buildBootstrap budget fallbacks..."
+
+mkdir -p "$TEST_HOME/budget-skills/using-superpowers"
+cat > "$TEST_HOME/budget-skills/using-superpowers/SKILL.md" <<'EOF'
+---
+name: using-superpowers
+description: Use when starting any conversation
+---
+Always check for skills first.
+
+## Example
+
+```dot
+digraph flow {
+    "User message received" -> "Might any skill apply?";
+    "Might any skill apply?" -> "Invoke Skill tool" [label="yes, even 1%"];
+    "Might any skill apply?" -> "Respond" [label="definitely not"];
+    "Invoke Skill tool" -> "Announce: Using [skill] to [purpose]";
+    "Announce: Using [skill] to [purpose]" -> "Follow skill exactly";
+}
+```
+
+Use the Skill tool.
+
+## Details
+
+Lots of further detail about skills that can be dropped when space is short.
+Skills tell you HOW to approach a task, not WHAT to do. Process skills come
+first, implementation skills second. Rigid skills must be followed exactly;
+flexible skills are principles to adapt to the context. Instructions from the
+user always win over skills, but a request to do something is not permission
+to skip the workflow.
+EOF
+
+result=$(node --input-type=module -e "
+import { buildBootstrap, estimateTokens } from '$REPO_ROOT/lib/bootstrap.js';
+
+const options = {
+    superpowersDir: '$TEST_HOME/budget-skills',
+    homeDir: '$TEST_HOME',
+    skills: [
+        { name: 'alpha', root: 'project', description: 'Use when doing alpha things. More words follow here.' },
+        { name: 'beta', root: 'superpowers', description: 'Use when doing beta things.' }
+    ]
+};
+const report = (b) => b.level + ' ' + (b.tokens <= b.budget) + ' ' + b.dropped.map(d => d.kind + ':' + d.name).join(',');
+
+console.log('ESTIMATE:', estimateTokens('abcdefgh'), estimateTokens(''));
+const full = buildBootstrap('claude-code', { ...options, budget: 1000 });
+console.log('FULL:', report(full), full.content.includes('More words follow'));
+const condensed = buildBootstrap('claude-code', { ...options, budget: 200 });
+console.log('CONDENSED:', report(condensed), condensed.content.includes('Always check'), condensed.content.includes('digraph'));
+const index = buildBootstrap('opencode', { ...options, budget: 150 });
+console.log('INDEX:', report(index), index.content.includes('use_skill'));
+const tiny = buildBootstrap('claude-code', { ...options, budget: 85 });
+console.log('TINY:', report(tiny));
+" 2>&1)
+
+if echo "$result" | grep -q 'ESTIMATE: 2 0' && echo "$result" | grep -q 'FULL: full true  true'; then
+    echo "  [PASS] Full content when it fits"
+else
+    echo "  [FAIL] Full bootstrap not used within budget"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'CONDENSED: condensed true code-blocks:1 code block(s),descriptions:full skill descriptions,section:Details true false'; then
+    echo "  [PASS] Condenses code blocks and trailing sections first"
+else
+    echo "  [FAIL] Unexpected condensed bootstrap"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'INDEX: index true .*skill:using-superpowers,section:platform tool mapping true' && \
+   echo "$result" | grep -q 'TINY: index true .*skill-index:superpowers:beta'; then
+    echo "  [PASS] Falls back to a skills index and reports dropped skills"
+else
+    echo "  [FAIL] Index fallback not reported"
+    echo "  Result: $result"
+    exit 1
+fi
+# Test 17: Test legacy skills migration
+echo ""
+echo "Test 17: Testing migrateLegacySkills..."
+
+MIGRATE_HOME="$TEST_HOME/migrate-home"
+mkdir -p "$MIGRATE_HOME/.config/superpowers/skills/refactoring/old-refactor" \
+         "$MIGRATE_HOME/.config/superpowers/skills/ops/deploy" \
+         "$MIGRATE_HOME/.claude/skills/deploy"
+cat > "$MIGRATE_HOME/.config/superpowers/skills/refactoring/old-refactor/SKILL.md" <<'EOF'
+---
+name: Careful Refactoring
+description: Change structure in small steps.
+when_to_use: When restructuring working code
+version: 2.0.0
+---
+# Refactoring
+EOF
+printf -- '---\nname: deploy\ndescription: Use when deploying\n---\nold\n' > "$MIGRATE_HOME/.config/superpowers/skills/ops/deploy/SKILL.md"
+mkdir -p "$MIGRATE_HOME/.config/superpowers/skills/core/brainstorming"
+printf -- '---\nname: brainstorming\ndescription: Old copy\n---\n' > "$MIGRATE_HOME/.config/superpowers/skills/core/brainstorming/SKILL.md"
+printf -- '---\nname: deploy\ndescription: Use when deploying\n---\nnew\n' > "$MIGRATE_HOME/.claude/skills/deploy/SKILL.md"
+
+result=$(node --input-type=module -e "
+import fs from 'fs';
+import { migrateLegacySkills, readMigrationMarker } from '$REPO_ROOT/lib/legacy-migration.js';
+
+const homeDir = '$MIGRATE_HOME';
+const dry = migrateLegacySkills({ homeDir, dryRun: true });
+console.log('DRY:', dry.skills.map(s => s.name + '=' + s.status).join(','), fs.existsSync(homeDir + '/.claude/skills/careful-refactoring'), readMigrationMarker(homeDir));
+
+const report = migrateLegacySkills({ homeDir });
+const migrated = fs.readFileSync(homeDir + '/.claude/skills/careful-refactoring/SKILL.md', 'utf8');
+console.log('DESCRIPTION:', migrated.split('\n')[2]);
+console.log('OBSOLETE:', /when_to_use|version/.test(migrated));
+console.log('KEPT:', fs.readFileSync(homeDir + '/.claude/skills/deploy/SKILL.md', 'utf8').includes('new'), fs.existsSync(homeDir + '/.config/superpowers/skills/refactoring/old-refactor'));
+console.log('MARKER:', readMigrationMarker(homeDir).unresolved.length);
+
+console.log('AGAIN:', migrateLegacySkills({ homeDir }).skills.map(s => s.status).join(','));
+" 2>&1)
+
+if echo "$result" | grep -q 'DRY: brainstorming=bundled,deploy=collision,careful-refactoring=migrate false null'; then
+    echo "  [PASS] Dry run reports collisions and bundled skills, changes nothing"
+else
+    echo "  [FAIL] Unexpected dry run"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'DESCRIPTION: description: Use when restructuring working code - change structure in small steps.' && \
+   echo "$result" | grep -q 'OBSOLETE: false'; then
+    echo "  [PASS] Upgrades old frontmatter to name/description"
+else
+    echo "  [FAIL] Frontmatter not upgraded"
+    echo "  Result: $result"
+    exit 1
+fi
+
+if echo "$result" | grep -q 'KEPT: true true' && echo "$result" | grep -q 'MARKER: 1' && \
+   echo "$result" | grep -q 'AGAIN: bundled,collision,identical'; then
+    echo "  [PASS] Copies without overwriting and leaves a marker"
+else
+    echo "  [FAIL] Migration did not copy safely"
+    echo "  Result: $result"
+    exit 1
+fi
 echo ""
 echo "=== All skills-core library tests passed ==="
@@ -0,0 +1,46 @@
+#!/bin/bash
+# Offline skill triggering regression tests
+# Usage: ./run-offline.sh [top-k]
+#
+# Ranks the bundled skills against each prompt with `superpowers.mjs find-skills`
+# (local BM25, no model) and checks the expected skill is in the top K.
+# Cheap enough to run on every change to a skill description.
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+PLUGIN_DIR="$(cd "$SCRIPT_DIR/../.." && pwd)"
+PROMPTS_DIR="$SCRIPT_DIR/prompts"
+TOP_K="${1:-3}"
+
+# Isolate from personal and project skills so only bundled skills are ranked
+TEST_HOME=$(mktemp -d)
+trap 'rm -rf "$TEST_HOME"' EXIT
+
+echo "=== Offline Skill Triggering Tests (top $TOP_K) ==="
+echo ""
+
+PASSED=0
+FAILED=0
+
+for prompt_file in "$PROMPTS_DIR"/*.txt; do
+    skill=$(basename "$prompt_file" .txt)
+
+    ranked=$(cd "$TEST_HOME" && HOME="$TEST_HOME" SUPERPOWERS_SKILL_ROOTS= \
+        node "$PLUGIN_DIR/scripts/superpowers.mjs" find-skills --top "$TOP_K" --json "$(cat "$prompt_file")" | grep '"name":')
+
+    if echo "$ranked" | grep -q "\"name\": \"${skill}\""; then
+        echo "  [PASS] $skill"
+        PASSED=$((PASSED + 1))
+    else
+        echo "  [FAIL] $skill not in top $TOP_K"
+        echo "$ranked" | sed 's/^/    /'
+        FAILED=$((FAILED + 1))
+    fi
+done
+
+echo ""
+echo "Passed: $PASSED"
+echo "Failed: $FAILED"
+
+if [ $FAILED -gt 0 ]; then
+    exit 1
+fi